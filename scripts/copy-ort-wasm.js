@@ -0,0 +1,13 @@
+// Copies the ONNX runtime's WebAssembly binaries into public/ort/, so the
+// worker loads them from the app rather than from a CDN. Runs before
+// `npm start` and `npm run build`.
+const fs = require('fs');
+const path = require('path');
+
+const source = path.join(__dirname, '..', 'node_modules', '@xenova', 'transformers', 'dist');
+const target = path.join(__dirname, '..', 'public', 'ort');
+
+fs.mkdirSync(target, { recursive: true });
+for (const file of fs.readdirSync(source).filter(name => name.endsWith('.wasm'))) {
+  fs.copyFileSync(path.join(source, file), path.join(target, file));
+}
@@ -0,0 +1,92 @@
+// Downloads Whisper, translation and text-to-speech models from the Hugging Face hub into
+// public/models/ so the app can serve them itself (the "This app's server"
+// model source), then lists every file there in public/models/manifest.json
+// for the service worker to precache. Run it on a machine with internet access and deploy
+// the build to the offline machines.
+//
+//   node scripts/download-models.js Xenova/whisper-tiny Xenova/nllb-200-distilled-600M [--full]
+//
+// Only the quantized weights are fetched unless --full is given.
+const fs = require('fs');
+const path = require('path');
+
+const HUB_URL = 'https://huggingface.co';
+const MODELS_DIR = path.join(__dirname, '..', 'public', 'models');
+
+const CONFIG_FILES = [
+  'config.json',
+  'generation_config.json',
+  'preprocessor_config.json',
+  'tokenizer.json',
+  'tokenizer_config.json'
+];
+// Only speech recognition models have a feature extractor, and only
+// generating models a generation config
+const OPTIONAL_FILES = ['preprocessor_config.json', 'generation_config.json'];
+
+// Encoder-decoder models (Whisper, NLLB, M2M100) are exported in two parts,
+// others (VITS voices) as one
+const getWeightFiles = (config, full) => {
+  const parts = config.is_encoder_decoder ? ['onnx/encoder_model', 'onnx/decoder_model_merged'] : ['onnx/model'];
+  return [
+    ...parts.map(file => `${file}_quantized.onnx`),
+    ...(full ? parts.map(file => `${file}.onnx`) : [])
+  ];
+};
+
+const download = async (modelId, file) => {
+  const target = path.join(MODELS_DIR, modelId, file);
+  if (fs.existsSync(target)) {
+    console.log(`  ${file} (already downloaded)`);
+    return;
+  }
+  const response = await fetch(`${HUB_URL}/${modelId}/resolve/main/${file}`);
+  if (response.status === 404 && OPTIONAL_FILES.includes(file)) {
+    console.log(`  ${file} (not part of this model)`);
+    return;
+  }
+  if (!response.ok) {
+    throw new Error(`${modelId}/${file}: ${response.status} ${response.statusText}`);
+  }
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, Buffer.from(await response.arrayBuffer()));
+  console.log(`  ${file}`);
+};
+
+// Every file under public/models/, relative to it
+const listFiles = (dir, prefix = '') =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry =>
+    entry.isDirectory()
+      ? listFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+      : [`${prefix}${entry.name}`]
+  ).filter(file => file !== 'manifest.json');
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const full = args.includes('--full');
+  const modelIds = args.filter(arg => !arg.startsWith('--'));
+  if (modelIds.length === 0) {
+    console.error('Usage: node scripts/download-models.js <model id>... [--full]');
+    process.exit(1);
+  }
+
+  for (const modelId of modelIds) {
+    console.log(modelId);
+    for (const file of CONFIG_FILES) {
+      await download(modelId, file);
+    }
+    const config = JSON.parse(fs.readFileSync(path.join(MODELS_DIR, modelId, 'config.json'), 'utf8'));
+    for (const file of getWeightFiles(config, full)) {
+      await download(modelId, file);
+    }
+  }
+
+  const files = listFiles(MODELS_DIR);
+  fs.writeFileSync(path.join(MODELS_DIR, 'manifest.json'), JSON.stringify({ files }, null, 2));
+  console.log(`Wrote manifest.json (${files.length} files)`);
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
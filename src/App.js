@@ -1,18 +1,92 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { MicrophoneIcon, StopIcon, ArrowUpTrayIcon, LanguageIcon, PlayIcon, PauseIcon, TrashIcon, VideoCameraIcon } from '@heroicons/react/24/solid';
-import { pipeline, env, AutoProcessor } from '@xenova/transformers';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import {
+  MicrophoneIcon,
+  StopIcon,
+  ArrowDownTrayIcon,
+  PlayIcon,
+  PauseIcon,
+  TrashIcon,
+  SpeakerWaveIcon
+} from '@heroicons/react/24/solid';
 import '@fontsource/noto-sans-malayalam';
-
-// Configure environment
-env.allowLocalModels = false;
-env.useBrowserCache = true;
-env.backends.onnx.wasm.numThreads = 1;
-
-// Specify model configuration
-const MODEL_CONFIG = {
-  model_id: 'Xenova/whisper-tiny',  // Using tiny model for better browser performance
-  revision: 'main'
-};
+import { useTranscriber } from './hooks/useTranscriber';
+import { useAudioHistory, getExpiredEntries } from './hooks/useAudioHistory';
+import { useLiveTranscription } from './hooks/useLiveTranscription';
+import { useStoredState } from './hooks/useStoredState';
+import { useUploadQueue, isActiveItem } from './hooks/useUploadQueue';
+import { usePlaybackTime } from './hooks/usePlaybackTime';
+import { usePushToTalk } from './hooks/usePushToTalk';
+import { useWaveformPeaks } from './hooks/useWaveformPeaks';
+import { useRecordingRecovery } from './hooks/useRecordingRecovery';
+import { useElapsedTime } from './hooks/useElapsedTime';
+import { useReadAloud, DEFAULT_READ_ALOUD_SETTINGS } from './hooks/useReadAloud';
+import { useEvaluation } from './hooks/useEvaluation';
+import { useModelSource } from './hooks/useModelSource';
+import { MALAYALAM_FONT_STYLE, getSpeakerColor } from './constants';
+import { formatTimestamp } from './utils/time';
+import { findActiveIndex } from './utils/wordTimings';
+import {
+  EXPORT_FORMATS,
+  exportEntry,
+  exportEntries,
+  exportProceedings,
+  printProceedings,
+  exportRedactedAudio
+} from './utils/export';
+import { getEntryText, getEntrySegments, getTextLanguage, saveEdit, undoEdit, redoEdit } from './utils/transcript';
+import TranscriptEditor from './components/TranscriptEditor';
+import ModelSelector from './components/ModelSelector';
+import VadSettings from './components/VadSettings';
+import UploadQueue from './components/UploadQueue';
+import NormalizationSettings from './components/NormalizationSettings';
+import GlossaryEditor from './components/GlossaryEditor';
+import ConfidenceSettings from './components/ConfidenceSettings';
+import OfflineSettings from './components/OfflineSettings';
+import EvaluationPanel from './components/EvaluationPanel';
+import DictationDocument from './components/DictationDocument';
+import InputMonitor from './components/InputMonitor';
+import Waveform from './components/Waveform';
+import RecordingRecovery from './components/RecordingRecovery';
+import SpeakerPanel from './components/SpeakerPanel';
+import DiarizationSettings from './components/DiarizationSettings';
+import CaseDetailsPanel from './components/CaseDetailsPanel';
+import RedactionPanel from './components/RedactionPanel';
+import TranslationPanel from './components/TranslationPanel';
+import TranslationSettings from './components/TranslationSettings';
+import ReadAloudSettings from './components/ReadAloudSettings';
+import ReadAloudControls from './components/ReadAloudControls';
+import VoiceConversionHelp from './components/VoiceConversionHelp';
+import {
+  MODEL_OPTIONS,
+  DEFAULT_MODEL_ID,
+  DEFAULT_TRANSLATION_MODEL_ID,
+  getModelOption,
+  getTranslationModel,
+  getVoice,
+  createCtcModelConfig
+} from './models';
+import { DEFAULT_VAD_SETTINGS } from './utils/vad';
+import { loadAudio, UnsupportedMediaError } from './utils/audioIngest';
+import { formatBytes } from './utils/format';
+import { DEFAULT_NORMALIZATION_SETTINGS, normalizeResult } from './utils/malayalamNormalize';
+import { EMPTY_GLOSSARY, buildPrompt, applyRulesToResult } from './utils/glossary';
+import { DEFAULT_CONFIDENCE_SETTINGS, getUncertaintyReasons, isUncertain } from './utils/confidence';
+import { EMPTY_DICTATION, appendDictation } from './utils/dictation';
+import { computeWaveformPeaks } from './utils/audioLevel';
+import { getSpeakers, getSegmentSpeakers, applyDiarization } from './utils/speakers';
+import { DEFAULT_DIARIZATION_SETTINGS } from './utils/diarization';
+import { getCaseDetails, hasCaseDetails } from './utils/caseDetails';
+import {
+  TRANSLATION_LANGUAGE,
+  getSourceLines,
+  canTranslate,
+  hasTranslation,
+  getUntranslatedLines,
+  updateTranslation,
+  saveTranslationEdit,
+  revertTranslationEdit
+} from './utils/translation';
+import { getRedactions, hasRedactions, findRedactedWords, getAudioRedactionRanges, logRedactedExport } from './utils/redaction';
 
 // Basic audio settings
 const AUDIO_CONFIG = {
@@ -20,45 +94,95 @@ const AUDIO_CONFIG = {
   channelCount: 1
 };
 
-// Supported languages for voice cloning
+// Spoken languages the recognizer can be told to expect; 'auto' lets Whisper
+// detect the language from the first 30 seconds
 const SUPPORTED_LANGUAGES = [
+  { code: 'auto', name: 'Auto-detect' },
   { code: 'ml', name: 'Malayalam' },
   { code: 'en', name: 'English' },
   { code: 'hi', name: 'Hindi' }
 ];
 
-// Update Malayalam font style configuration
-const MALAYALAM_FONT_STYLE = {
-  fontFamily: 'system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Noto Sans Malayalam", "Malayalam Sangam MN", "Manjari", sans-serif',
-  fontSize: '1.1rem',
-  lineHeight: '1.5',
-  direction: 'ltr',
-  unicodeBidi: 'isolate'
+const TASK_OPTIONS = [
+  { id: 'transcribe', name: 'Transcribe' },
+  { id: 'translate', name: 'Translate to English' }
+];
+
+const getLanguageName = (code) =>
+  SUPPORTED_LANGUAGES.find(lang => lang.code === code)?.name ?? code?.toUpperCase() ?? 'Unknown';
+
+// Short description of what a transcription contains, e.g. "Malayalam → English"
+const describeTranscription = (transcription) => {
+  const source = getLanguageName(transcription.sourceLanguage) + (transcription.languageDetected ? ' (detected)' : '');
+  return transcription.task === 'translate' ? `${source} → English` : source;
+};
+
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 2];
+const SKIP_SECONDS = 5;
+
+// Keyboard shortcuts for the player of the recording that has focus. Alt is
+// required so they also work while typing in the transcript editor.
+const PLAYER_HOTKEYS = {
+  KeyK: audio => (audio.paused ? audio.play() : audio.pause()),
+  KeyJ: audio => { audio.currentTime = Math.max(0, audio.currentTime - SKIP_SECONDS); },
+  KeyL: audio => { audio.currentTime = Math.min(audio.duration || Infinity, audio.currentTime + SKIP_SECONDS); }
 };
+const HOTKEY_HELP = `Alt+K play/pause, Alt+J back ${SKIP_SECONDS}s, Alt+L forward ${SKIP_SECONDS}s`;
 
-function AudioPlayer({ audioUrl, onDelete }) {
+// Held down to record in dictation mode (KeyboardEvent.code)
+const PUSH_TO_TALK_KEY = 'F8';
+
+// Shared default, so memoized word lists are not recomputed on every render
+const NO_REDACTIONS = [];
+
+const handlePlayerHotkey = (event, audio) => {
+  const action = PLAYER_HOTKEYS[event.code];
+  if (!event.altKey || !action || !audio) return;
+  event.preventDefault();
+  action(audio);
+};
+
+function AudioPlayer({ audioUrl, onDelete, audioRef: externalAudioRef }) {
   const [isPlaying, setIsPlaying] = useState(false);
-  const audioRef = useRef(null);
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const ownAudioRef = useRef(null);
+  const audioRef = externalAudioRef ?? ownAudioRef;
 
   const togglePlay = () => {
     if (audioRef.current.paused) {
       audioRef.current.play();
-      setIsPlaying(true);
     } else {
       audioRef.current.pause();
-      setIsPlaying(false);
     }
   };
 
+  const skipBack = () => {
+    audioRef.current.currentTime = Math.max(0, audioRef.current.currentTime - SKIP_SECONDS);
+  };
+
+  const changePlaybackRate = (rate) => {
+    setPlaybackRate(rate);
+    audioRef.current.playbackRate = rate;
+  };
+
+  // Follow the element's own state, since the native controls and hotkeys
+  // also start and stop playback
   useEffect(() => {
     const audio = audioRef.current;
-    const handleEnded = () => setIsPlaying(false);
-    audio.addEventListener('ended', handleEnded);
-    return () => audio.removeEventListener('ended', handleEnded);
-  }, []);
+    const handlePlay = () => setIsPlaying(true);
+    const handlePause = () => setIsPlaying(false);
+    audio.addEventListener('play', handlePlay);
+    audio.addEventListener('pause', handlePause);
+    audio.addEventListener('ended', handlePause);
+    return () => {
+      audio.removeEventListener('play', handlePlay);
+      audio.removeEventListener('pause', handlePause);
+      audio.removeEventListener('ended', handlePause);
+    };
+  }, [audioRef]);
 
   return (
-    <div className="flex items-center space-x-2 bg-gray-100 p-2 rounded-lg">
+    <div className="flex items-center space-x-2 bg-gray-100 p-2 rounded-lg" title={HOTKEY_HELP}>
       <button
         onClick={togglePlay}
         className="p-2 rounded-full hover:bg-gray-200 transition-colors"
@@ -69,7 +193,24 @@ function AudioPlayer({ audioUrl, onDelete }) {
           <PlayIcon className="h-5 w-5 text-gray-700" />
         )}
       </button>
+      <button
+        onClick={skipBack}
+        className="px-2 py-1 text-xs text-gray-700 rounded hover:bg-gray-200"
+        title={`Back ${SKIP_SECONDS} seconds (Alt+J)`}
+      >
+        −{SKIP_SECONDS}s
+      </button>
       <audio ref={audioRef} src={audioUrl} className="w-48" controls />
+      <select
+        value={playbackRate}
+        onChange={(e) => changePlaybackRate(Number(e.target.value))}
+        className="px-1 py-1 text-xs border border-gray-300 rounded"
+        title="Playback speed"
+      >
+        {PLAYBACK_RATES.map(rate => (
+          <option key={rate} value={rate}>{rate}×</option>
+        ))}
+      </select>
       {onDelete && (
         <button
           onClick={onDelete}
@@ -82,15 +223,142 @@ function AudioPlayer({ audioUrl, onDelete }) {
   );
 }
 
+// Text of a segment as clickable words, with the word at `currentTime`
+// highlighted and the words hidden by `redactions` shaded
+const SegmentWords = ({ segment, currentTime, onSeek, redactions }) => {
+  const words = useMemo(() => findRedactedWords(segment, redactions), [segment, redactions]);
+  const activeIndex = currentTime == null ? -1 : findActiveIndex(words, currentTime);
+
+  return words.map((word, index) => (
+    <React.Fragment key={index}>
+      {index > 0 && ' '}
+      <span
+        onClick={() => onSeek(word.start)}
+        className={`cursor-pointer rounded hover:bg-blue-100 ${
+          index === activeIndex ? 'bg-yellow-200' : word.redacted ? 'bg-gray-700 text-white' : ''
+        }`}
+        title={word.redacted ? 'Redacted in exports' : undefined}
+      >
+        {word.text}
+      </span>
+    </React.Fragment>
+  ));
+};
+
+// Timestamped segments of a long-form transcription. With onSeek, words can be
+// clicked to seek and the segment and word at currentTime are highlighted.
+// With confidenceSettings, segments worth double-checking are marked.
+// speakerLabels gives each segment's { name, color } (or null), and with a
+// selection each segment gets a checkbox that calls onToggleSelect.
+// Words hidden by `redactions` are shaded. With onReadAloud each segment can
+// be read aloud, and the segment at readingIndex is marked as being read.
+const SegmentList = ({
+  segments,
+  lang = 'ml',
+  currentTime = null,
+  onSeek,
+  confidenceSettings = null,
+  speakerLabels = null,
+  selection = null,
+  onToggleSelect,
+  redactions = NO_REDACTIONS,
+  readingIndex = null,
+  onReadAloud
+}) => {
+  const activeIndex = currentTime == null ? -1 : findActiveIndex(segments, currentTime);
+  const activeRef = useRef(null);
+
+  // Keep the segment being played in view
+  useEffect(() => {
+    activeRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  return (
+    <ol className="divide-y divide-gray-100">
+      {segments.map((segment, index) => {
+        const reasons = confidenceSettings?.highlight ? getUncertaintyReasons(segment, confidenceSettings) : [];
+        const isActive = index === activeIndex;
+        const isReading = index === readingIndex;
+        const isFlagged = reasons.length > 0;
+        const speaker = speakerLabels?.[index];
+
+        return (
+          <li
+            key={index}
+            ref={isActive ? activeRef : null}
+            title={isFlagged ? `Check: ${reasons.join(', ')}` : undefined}
+            className={`group flex py-2 ${isFlagged ? 'border-l-4 border-orange-400 pl-1' : ''} ${
+              isActive ? 'bg-blue-50' : isReading ? 'bg-green-50' : isFlagged ? 'bg-orange-50' : ''
+            }`}
+          >
+            {selection && (
+              <input
+                type="checkbox"
+                checked={selection.has(index)}
+                // The change comes from a click, whose shiftKey extends the selection
+                onChange={(event) => onToggleSelect(index, event.nativeEvent)}
+                className="h-4 w-4 mt-1 mr-2 shrink-0"
+                aria-label={`Select segment ${index + 1}`}
+              />
+            )}
+            <span
+              onClick={onSeek && (() => onSeek(segment.start))}
+              className={`w-28 shrink-0 text-xs text-gray-500 font-mono pt-1 ${onSeek ? 'cursor-pointer hover:text-blue-600' : ''}`}
+            >
+              {formatTimestamp(segment.start)} – {formatTimestamp(segment.end)}
+            </span>
+            {onReadAloud && (
+              <button
+                onClick={() => onReadAloud(index)}
+                className="self-start p-0.5 mr-1 shrink-0 rounded text-gray-400 hover:text-blue-600 opacity-0 group-hover:opacity-100 focus:opacity-100"
+                title="Read this segment aloud"
+                aria-label={`Read segment ${index + 1} aloud`}
+              >
+                <SpeakerWaveIcon className="h-4 w-4" />
+              </button>
+            )}
+            <p
+              className="whitespace-pre-wrap"
+              lang={lang}
+              dir="ltr"
+              style={MALAYALAM_FONT_STYLE}
+            >
+              {speaker && (
+                <span className={`mr-2 px-1.5 py-0.5 text-xs font-sans rounded ${speaker.color}`}>{speaker.name}</span>
+              )}
+              {onSeek ? (
+                <SegmentWords
+                  segment={segment}
+                  currentTime={isActive ? currentTime : null}
+                  onSeek={onSeek}
+                  redactions={redactions}
+                />
+              ) : segment.text}
+            </p>
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
 // Update the transcription display components
-const TranscriptionDisplay = ({ text }) => {
+const TranscriptionDisplay = ({ text, segments, lang = 'ml' }) => {
+  if (segments?.length > 0) {
+    return (
+      <div className="p-4 bg-white rounded-lg shadow max-h-96 overflow-y-auto">
+        <SegmentList segments={segments} lang={lang} />
+      </div>
+    );
+  }
+
   return (
     <div className="p-4 bg-white rounded-lg shadow">
       <textarea
         value={text}
         readOnly
         className="w-full p-3 border border-gray-300 rounded-md min-h-[100px] focus:outline-none focus:ring-2 focus:ring-blue-500"
-        lang="ml"
+        lang={lang}
         dir="ltr"
         style={MALAYALAM_FONT_STYLE}
         placeholder="മലയാളം ടെക്സ്റ്റ് ഇവിടെ കാണിക്കും..."
@@ -99,101 +367,491 @@ const TranscriptionDisplay = ({ text }) => {
   );
 };
 
+// Download buttons, one per export format
+const ExportButtons = ({ onExport }) => {
+  return (
+    <div className="flex items-center space-x-1">
+      <ArrowDownTrayIcon className="h-4 w-4 text-gray-500" />
+      {EXPORT_FORMATS.map((format) => (
+        <button
+          key={format.id}
+          onClick={() => onExport(format.id)}
+          className="px-2 py-0.5 text-xs border border-gray-300 rounded hover:bg-gray-100"
+          title={`Download as ${format.name}`}
+        >
+          {format.name}
+        </button>
+      ))}
+    </div>
+  );
+};
+
 // Update the AudioHistoryItem component
-const AudioHistoryItem = ({ audio, onDelete }) => {
+const AudioHistoryItem = ({
+  audio,
+  onDelete,
+  onSaveEdit,
+  onUndo,
+  onRedo,
+  onWaveform,
+  onSpeakersChange,
+  onDiarize,
+  isDiarizing,
+  onCaseDetailsChange,
+  caseSuggestion,
+  onPrintProceedings,
+  onExportTranscript,
+  onRedactionsChange,
+  onExportRedactedAudio,
+  isExportingAudio,
+  translationJob,
+  translationModelName,
+  onTranslate,
+  onCancelTranslation,
+  onTranslationChange,
+  reading,
+  readAloudRate,
+  onReadAloud,
+  onReadAloudRateChange,
+  confidenceSettings
+}) => {
+  const segments = getEntrySegments(audio);
+  const lang = getTextLanguage(audio.transcription);
+  const audioRef = useRef(null);
+  const currentTime = usePlaybackTime(audioRef);
+  const waveformPeaks = useWaveformPeaks(audio, onWaveform);
+  const [showSpeakers, setShowSpeakers] = useState(false);
+  const [showCaseDetails, setShowCaseDetails] = useState(false);
+  const [showRedaction, setShowRedaction] = useState(false);
+  const [showTranslation, setShowTranslation] = useState(false);
+  const redactions = getRedactions(audio);
+  const { caseNumber } = getCaseDetails(audio);
+  const [selection, setSelection] = useState(() => new Set());
+  const lastToggledRef = useRef(null);
+
+  const speakers = getSpeakers(audio);
+  const speakerLabels = getSegmentSpeakers(audio).map(speaker => speaker && {
+    name: speaker.name,
+    color: getSpeakerColor(speakers.indexOf(speaker))
+  });
+
+  // Shift-click selects or clears the whole range from the last toggled segment
+  const toggleSelect = (index, event) => {
+    const isSelecting = !selection.has(index);
+    const anchor = event.shiftKey && lastToggledRef.current !== null ? lastToggledRef.current : index;
+    const next = new Set(selection);
+    for (let i = Math.min(anchor, index); i <= Math.max(anchor, index); i++) {
+      if (isSelecting) next.add(i); else next.delete(i);
+    }
+    lastToggledRef.current = index;
+    setSelection(next);
+  };
+
+  // Exports of a redacted entry are recorded in its redaction log
+  const logExport = (description) => {
+    if (hasRedactions(audio)) {
+      onRedactionsChange(audio.id, current => logRedactedExport(current, description));
+    }
+  };
+
+  // Seek to a word or segment and play from there
+  const seekTo = (time) => {
+    audioRef.current.currentTime = time;
+    audioRef.current.play();
+  };
+
+  // Jump to the next segment flagged for review after the playback position,
+  // wrapping around to the first
+  const uncertainSegments = confidenceSettings.highlight && segments
+    ? segments.filter(segment => isUncertain(segment, confidenceSettings))
+    : [];
+  const seekToNextUncertain = () => {
+    const next = uncertainSegments.find(segment => segment.start > currentTime + 0.05) ?? uncertainSegments[0];
+    audioRef.current.currentTime = next.start;
+  };
+
   return (
-    <div className="p-4 bg-gray-50 rounded-lg">
+    <div
+      className="p-4 bg-gray-50 rounded-lg"
+      onKeyDown={(event) => handlePlayerHotkey(event, audioRef.current)}
+    >
       <AudioPlayer 
         audioUrl={audio.audioUrl} 
         onDelete={() => onDelete(audio.id)}
+        audioRef={audioRef}
       />
       <div className="mt-2">
-        <p className="text-sm text-gray-500">{new Date(audio.timestamp).toLocaleString()}</p>
-        <div className="mt-2 p-3 bg-white rounded border border-gray-200">
-          <p 
-            className="whitespace-pre-wrap" 
-            lang="ml"
-            dir="ltr"
-            style={MALAYALAM_FONT_STYLE}
-          >
-            {audio.transcription.malayalam || 'വാക്ക് തിരിച്ചറിഞ്ഞില്ല'}
+        <Waveform
+          peaks={waveformPeaks}
+          duration={audio.duration ?? audioRef.current?.duration}
+          currentTime={currentTime}
+          onSeek={seekTo}
+        />
+      </div>
+      <div className="mt-2">
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-gray-500">
+            {caseNumber && <span className="mr-2 font-medium text-gray-800">{caseNumber}</span>}
+            {audio.sourceName && <span className="mr-2 text-gray-700">{audio.sourceName}</span>}
+            {new Date(audio.timestamp).toLocaleString()}
+            <span className="ml-2 text-xs text-gray-400">{describeTranscription(audio.transcription)}</span>
+            {audio.model && <span className="ml-2 text-xs text-gray-400">{audio.model}</span>}
           </p>
+          <div className="flex items-center space-x-2">
+            <ReadAloudControls
+              reading={reading}
+              lineCount={segments?.length ?? getSourceLines(audio).length}
+              rate={readAloudRate}
+              onStart={() => onReadAloud(audio)}
+              onStop={reading?.stop}
+              onPause={reading?.pause}
+              onResume={reading?.resume}
+              onRateChange={onReadAloudRateChange}
+            />
+            <button
+              onClick={() => setShowCaseDetails(!showCaseDetails)}
+              className={`px-2 py-0.5 text-xs border rounded hover:bg-gray-100 ${showCaseDetails ? 'border-blue-400 text-blue-700' : 'border-gray-300'}`}
+              title="Case details and the proceedings document"
+            >
+              Case
+            </button>
+            <button
+              onClick={() => setShowRedaction(!showRedaction)}
+              className={`px-2 py-0.5 text-xs border rounded hover:bg-gray-100 ${showRedaction ? 'border-blue-400 text-blue-700' : 'border-gray-300'}`}
+              title="Hide names and passages in exported transcripts and audio"
+            >
+              Redact{redactions.length > 0 && ` (${redactions.length})`}
+            </button>
+            {(canTranslate(audio) || hasTranslation(audio)) && (
+              <button
+                onClick={() => setShowTranslation(!showTranslation)}
+                className={`px-2 py-0.5 text-xs border rounded hover:bg-gray-100 ${showTranslation ? 'border-blue-400 text-blue-700' : 'border-gray-300'}`}
+                title="English translation beside the transcript"
+              >
+                {translationJob ? 'Translating…' : 'Translation'}
+              </button>
+            )}
+            {segments && (
+              <button
+                onClick={() => setShowSpeakers(!showSpeakers)}
+                className={`px-2 py-0.5 text-xs border rounded hover:bg-gray-100 ${showSpeakers ? 'border-blue-400 text-blue-700' : 'border-gray-300'}`}
+                title="Label segments by speaker"
+              >
+                Speakers{speakers.length > 0 && ` (${speakers.length})`}
+              </button>
+            )}
+            {uncertainSegments.length > 0 && (
+              <button
+                onClick={seekToNextUncertain}
+                className="px-2 py-0.5 text-xs border border-orange-300 text-orange-700 rounded hover:bg-orange-50"
+                title="Jump to the next segment flagged for review"
+              >
+                Next uncertain ({uncertainSegments.length})
+              </button>
+            )}
+            <ExportButtons
+              onExport={(formatId) => {
+                onExportTranscript(audio, formatId);
+              }}
+            />
+          </div>
+        </div>
+        {showCaseDetails && (
+          <div className="mt-2">
+            <CaseDetailsPanel
+              entry={audio}
+              suggestion={caseSuggestion}
+              onSave={(caseDetails) => onCaseDetailsChange(audio.id, caseDetails)}
+              onExport={(formatId) => {
+                exportProceedings(audio, formatId);
+                logExport(`Proceedings (${formatId})`);
+              }}
+              onPrint={() => {
+                onPrintProceedings(audio);
+                logExport('Proceedings (print)');
+              }}
+            />
+          </div>
+        )}
+        {showTranslation && (
+          <div className="mt-2">
+            <TranslationPanel
+              entry={audio}
+              lang={lang}
+              modelName={translationModelName}
+              job={translationJob}
+              onTranslate={() => onTranslate(audio)}
+              onCancel={() => onCancelTranslation(audio.id)}
+              onSave={(lines) => onTranslationChange(audio.id, current => saveTranslationEdit(current, lines))}
+              onRevert={() => onTranslationChange(audio.id, revertTranslationEdit)}
+            />
+          </div>
+        )}
+        {showRedaction && (
+          <div className="mt-2">
+            <RedactionPanel
+              entry={audio}
+              currentTime={currentTime}
+              onChange={(changes) => onRedactionsChange(audio.id, changes)}
+              onExportAudio={(mode) => onExportRedactedAudio(audio, mode)}
+              isExportingAudio={isExportingAudio}
+            />
+          </div>
+        )}
+        {showSpeakers && segments && (
+          <div className="mt-2">
+            <SpeakerPanel
+              entry={audio}
+              segmentCount={segments.length}
+              selection={selection}
+              onSelectionChange={setSelection}
+              onChange={(update) => onSpeakersChange(audio.id, update)}
+              onDiarize={onDiarize && (() => onDiarize(audio))}
+              isDiarizing={isDiarizing}
+            />
+          </div>
+        )}
+        <div className="mt-2 p-3 bg-white rounded border border-gray-200">
+          <TranscriptEditor entry={audio} onSave={onSaveEdit} onUndo={onUndo} onRedo={onRedo}>
+            {segments ? (
+              <div className="max-h-64 overflow-y-auto">
+                <SegmentList
+                  segments={segments}
+                  lang={lang}
+                  currentTime={currentTime}
+                  onSeek={seekTo}
+                  confidenceSettings={confidenceSettings}
+                  speakerLabels={speakerLabels}
+                  selection={showSpeakers ? selection : null}
+                  onToggleSelect={toggleSelect}
+                  redactions={redactions}
+                  readingIndex={reading?.index ?? null}
+                  onReadAloud={(index) => onReadAloud(audio, index)}
+                />
+              </div>
+            ) : (
+              <p 
+                className="whitespace-pre-wrap" 
+                lang={lang}
+                dir="ltr"
+                style={MALAYALAM_FONT_STYLE}
+              >
+                {getEntryText(audio) || 'വാക്ക് തിരിച്ചറിഞ്ഞില്ല'}
+              </p>
+            )}
+          </TranscriptEditor>
         </div>
       </div>
     </div>
   );
 };
 
+// Retention policy for the saved history and how much storage it uses. The
+// limits are edited as a draft and only applied, after confirming what they
+// delete, with Apply; applying them as typed would delete recordings for the
+// intermediate values (3 on the way from 50 to 30).
+const StorageSettings = ({ retention, history, onChange, storageEstimate }) => {
+  const [draft, setDraft] = useState(retention);
+
+  useEffect(() => {
+    setDraft(retention);
+  }, [retention]);
+
+  const isChanged = draft.maxEntries !== retention.maxEntries || draft.maxAgeDays !== retention.maxAgeDays;
+
+  const apply = () => {
+    const expiredCount = getExpiredEntries(history, draft).length;
+    if (expiredCount > 0 && !window.confirm(
+      `This permanently deletes ${expiredCount} saved recording${expiredCount === 1 ? '' : 's'}. Continue?`
+    )) {
+      return;
+    }
+    onChange(draft);
+  };
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-gray-700">
+        Saved Recordings
+      </label>
+      <div className="flex items-center space-x-2 text-sm text-gray-700">
+        <span>Keep at most</span>
+        <input
+          type="number"
+          min="0"
+          value={draft.maxEntries}
+          onChange={(e) => setDraft({ ...draft, maxEntries: Math.max(0, Number(e.target.value)) })}
+          className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+        />
+        <span>recordings</span>
+      </div>
+      <div className="flex items-center space-x-2 text-sm text-gray-700">
+        <span>Delete after</span>
+        <input
+          type="number"
+          min="0"
+          value={draft.maxAgeDays}
+          onChange={(e) => setDraft({ ...draft, maxAgeDays: Math.max(0, Number(e.target.value)) })}
+          className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+        />
+        <span>days</span>
+      </div>
+      {isChanged && (
+        <div className="flex space-x-2">
+          <button
+            onClick={apply}
+            className="px-3 py-1 text-sm bg-blue-500 text-white rounded-md hover:bg-blue-600"
+          >
+            Apply
+          </button>
+          <button
+            onClick={() => setDraft(retention)}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-100"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+      <p className="text-xs text-gray-500">Use 0 for no limit.</p>
+      {storageEstimate && (
+        <p className="text-xs text-gray-500">
+          Using {formatBytes(storageEstimate.usage)} of {formatBytes(storageEstimate.quota)} available
+        </p>
+      )}
+    </div>
+  );
+};
+
 function App() {
   // State variables
   const [isRecording, setIsRecording] = useState(false);
-  const [transcription, setTranscription] = useState({ malayalam: '' });
-  const [editedTranscription, setEditedTranscription] = useState({ malayalam: '' });
+  const [isRecordingPaused, setIsRecordingPaused] = useState(false);
+  const [transcription, setTranscription] = useState({ text: '' });
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState(null);
-  const [audioHistory, setAudioHistory] = useState([]);
   const [isModelLoading, setIsModelLoading] = useState(true);
-  const [loadingProgress, setLoadingProgress] = useState(0);
   const [audioDevices, setAudioDevices] = useState([]);
   const [selectedDevice, setSelectedDevice] = useState(null);
   const [retryCount, setRetryCount] = useState(0);
-  const [youtubeUrl, setYoutubeUrl] = useState('');
   const [selectedLanguage, setSelectedLanguage] = useState('ml');
-  const [isVoiceCloning, setIsVoiceCloning] = useState(false);
-  const [voiceAccent, setVoiceAccent] = useState('neutral');
+  const [selectedTask, setSelectedTask] = useState('transcribe');
+  const [isLiveMode, setIsLiveMode] = useState(false);
+  const [isDictationMode, setIsDictationMode] = useState(false);
+  const [recordingStream, setRecordingStream] = useState(null);
+  const [dictation, setDictation] = useStoredState('dictationDocument', EMPTY_DICTATION);
+  const [vadSettings, setVadSettings] = useStoredState('vadSettings', DEFAULT_VAD_SETTINGS);
+  const [vadModelFile, setVadModelFile] = useState(null);
+  const [diarizationSettings, setDiarizationSettings] = useStoredState('diarizationSettings', DEFAULT_DIARIZATION_SETTINGS);
+  const [speakerModelFile, setSpeakerModelFile] = useState(null);
+  // History entries whose speakers are being detected
+  const [diarizingIds, setDiarizingIds] = useState([]);
+  // History entries whose redacted audio is being prepared
+  const [exportingAudioIds, setExportingAudioIds] = useState([]);
+  const [translationModelId, setTranslationModelId] = useStoredState('translationModel', DEFAULT_TRANSLATION_MODEL_ID);
+  // Running translations, { stage, progress } by history entry id
+  const [translationJobs, setTranslationJobs] = useState({});
+  const [normalizationSettings, setNormalizationSettings] = useStoredState('normalizationSettings', DEFAULT_NORMALIZATION_SETTINGS);
+  const [glossary, setGlossary] = useStoredState('glossary', EMPTY_GLOSSARY);
+  const [confidenceSettings, setConfidenceSettings] = useStoredState('confidenceSettings', DEFAULT_CONFIDENCE_SETTINGS);
+  const [selectedModelId, setSelectedModelId] = useState(DEFAULT_MODEL_ID);
+  const [modelConfig, setModelConfig] = useState(() => getModelOption(DEFAULT_MODEL_ID));
+  const [modelSource, setModelSource] = useModelSource();
+  const [readAloudSettings, setReadAloudSettings] = useStoredState('readAloudSettings', DEFAULT_READ_ALOUD_SETTINGS);
+  // Model ID of a read-aloud voice that turned out to have no ONNX export
+  const [unconvertedVoice, setUnconvertedVoice] = useState(null);
   const [showAdvancedOptions, setShowAdvancedOptions] = useState(false);
 
   // Refs
   const mediaRecorderRef = useRef(null);
+  const translationControllersRef = useRef(new Map());
   const audioChunksRef = useRef([]);
-  const transcriberRef = useRef(null);
 
-  // Initialize transcriber
-  const initializeTranscriber = async () => {
-    if (!transcriberRef.current) {
-      try {
-        console.log('Loading whisper model...');
-        transcriberRef.current = await pipeline('automatic-speech-recognition', MODEL_CONFIG.model_id, {
-          revision: MODEL_CONFIG.revision,
-          quantized: true
-        });
-        console.log('Model loaded successfully!');
-      } catch (error) {
-        console.error('Model initialization error:', error);
-        setError(`Failed to load model: ${error.message}`);
-        throw error;
-      }
-    }
+  // Recording history, saved to IndexedDB so it survives reloads
+  const {
+    audioHistory,
+    addEntry,
+    updateEntry,
+    deleteEntry,
+    retention,
+    setRetention,
+    storageEstimate
+  } = useAudioHistory({ onError: setError });
+
+  // Whisper runs in a web worker so the UI stays responsive while it works
+  const {
+    loadingProgress,
+    partialText,
+    transcriptionProgress,
+    loadModel,
+    transcribe,
+    diarize,
+    translate,
+    synthesize,
+    cancel: cancelTranscription
+  } = useTranscriber();
+
+  // Transcripts read back with a text-to-speech voice
+  const readAloud = useReadAloud(synthesize);
+  const { setRate: setReadAloudRate } = readAloud;
+  useEffect(() => {
+    setReadAloudRate(readAloudSettings.rate);
+  }, [setReadAloudRate, readAloudSettings.rate]);
+
+  // Rolling-window transcription of the microphone while recording
+  const {
+    finalText: liveFinalText,
+    pendingText: livePendingText,
+    start: startLiveTranscription,
+    stop: stopLiveTranscription,
+    pause: pauseLiveTranscription,
+    resume: resumeLiveTranscription
+  } = useLiveTranscription({ transcribe });
+
+  // The recording in progress is written to IndexedDB as it is made, and
+  // unfinished recordings are offered for recovery
+  const {
+    pendingRecordings,
+    saveChunk: savePendingChunk,
+    discard: discardPendingRecording,
+    refresh: refreshPendingRecordings
+  } = useRecordingRecovery({ onError: setError });
+
+  // Recording time, not counting pauses
+  const recordingSeconds = useElapsedTime(isRecording, isRecordingPaused);
+
+  // Decoding options from the language and output selectors, VAD settings
+  // and glossary terms
+  const getDecodeOptions = () => ({
+    language: selectedLanguage === 'auto' ? null : selectedLanguage,
+    task: selectedTask,
+    vad: { ...vadSettings, modelFile: vadModelFile },
+    prompt: buildPrompt(glossary.terms)
+  });
+
+  // Convert a worker result into the shape stored on history entries,
+  // applying the enabled clean-up rules and the glossary replacements first
+  const toTranscription = (rawResult) => {
+    const result = applyRulesToResult(normalizeResult(rawResult, normalizationSettings), glossary.rules);
+    return {
+      text: result.text,
+      sourceLanguage: result.language,
+      languageDetected: result.languageDetected,
+      task: result.task,
+      segments: result.segments
+    };
   };
 
-  // Simplified audio processing
+  // Send audio to the worker; resolves with null if the job is cancelled
   const processAudio = async (audioData, sampleRate) => {
     try {
-      console.log('Processing audio...');
       setError(null);
 
-      // Initialize model if needed
-      if (!transcriberRef.current) {
-        await initializeTranscriber();
+      const result = await transcribe(audioData, sampleRate, getDecodeOptions());
+      if (result === null) {
+        return null;
       }
 
-      // Simple normalization
-      const maxValue = Math.max(...audioData.map(Math.abs));
-      const normalizedAudio = audioData.map(x => x / maxValue);
-
-      // Direct transcription
-      const result = await transcriberRef.current(normalizedAudio, {
-        sampling_rate: sampleRate,
-        language: 'ml',
-        task: 'transcribe'
-      });
-
-      console.log('Transcription result:', result);
-
-      return {
-        malayalam: result?.text || 'വാക്ക് തിരിച്ചറിഞ്ഞില്ല',
-        sourceLanguage: 'ml'
-      };
+      return toTranscription(result);
     } catch (error) {
       console.error('Audio processing error:', error);
       setError(`Failed to process audio: ${error.message}`);
@@ -223,67 +881,115 @@ function App() {
       mediaRecorderRef.current = mediaRecorder;
       audioChunksRef.current = [];
 
+      // Every one-second chunk is also persisted, so a crash loses at most a
+      // second of audio
+      const sessionId = Date.now();
+      let chunkIndex = 0;
       mediaRecorder.ondataavailable = (event) => {
         if (event.data.size > 0) {
           audioChunksRef.current.push(event.data);
+          savePendingChunk(sessionId, chunkIndex++, event.data);
         }
       };
 
+      const isLive = isLiveMode;
+      // Dictation appends each recording to the document instead of the history
+      const save = isDictationMode ? appendToDictation : saveTranscription;
       mediaRecorder.onstop = async () => {
+        let isSaved = false;
         try {
           const audioBlob = new Blob(audioChunksRef.current, { type: 'audio/webm;codecs=opus' });
-          await transcribeAudio(audioBlob);
+          if (isLive) {
+            // The live pass has already transcribed everything but the tail
+            setIsProcessing(true);
+            try {
+              const result = await stopLiveTranscription();
+              save(audioBlob, toTranscription(result), result.duration);
+              isSaved = true;
+            } finally {
+              setIsProcessing(false);
+            }
+          } else {
+            isSaved = await transcribeAudio(audioBlob, save);
+          }
         } catch (error) {
           console.error('Error processing recording:', error);
           setError('Failed to process recording: ' + error.message);
         }
+        // A recording that was not transcribed stays available for recovery
+        if (isSaved) {
+          discardPendingRecording(sessionId);
+        } else {
+          refreshPendingRecordings();
+        }
       };
 
       mediaRecorder.start(1000);
       setIsRecording(true);
+      setIsRecordingPaused(false);
+      setRecordingStream(stream);
+
+      if (isLive) {
+        await startLiveTranscription(stream, getDecodeOptions());
+      }
     } catch (error) {
       console.error('Recording error:', error);
       setError('Failed to start recording: ' + error.message);
     }
   };
 
-  // Simplified transcription function
-  const transcribeAudio = async (audioBlob) => {
-    try {
-      setIsProcessing(true);
-      setError(null);
+  // Show a finished transcription and add it to the history. `waveform` is
+  // passed when the samples are at hand; otherwise it is computed on display.
+  const saveTranscription = (audioBlob, processed, duration, waveform = null) => {
+    const { segments, ...result } = processed;
 
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)({
-        sampleRate: AUDIO_CONFIG.sampleRate
-      });
+    setTranscription(processed);
 
-      const arrayBuffer = await audioBlob.arrayBuffer();
-      const audioData = await audioContext.decodeAudioData(arrayBuffer);
-      const float32Array = audioData.getChannelData(0);
+    addEntry({
+      id: Date.now(),
+      blob: audioBlob,
+      transcription: result,
+      editedTranscription: result,
+      segments,
+      duration,
+      waveform,
+      // File name of uploads; recordings have none
+      sourceName: audioBlob.name ?? null,
+      model: modelConfig.name,
+      timestamp: new Date().toISOString()
+    });
+  };
 
-      const result = await processAudio(float32Array, AUDIO_CONFIG.sampleRate);
-      
-      setTranscription(result);
-      setEditedTranscription(result);
-      
-      const newAudioEntry = {
-        id: Date.now(),
-        blob: audioBlob,
-        audioUrl: URL.createObjectURL(audioBlob),
-        transcription: result,
-        editedTranscription: result,
-        timestamp: new Date().toISOString()
-      };
+  // Add a dictated recording's text, with its spoken commands applied, to
+  // the dictation document
+  const appendToDictation = (audioBlob, processed) => {
+    setDictation(current => appendDictation(current, processed.text));
+  };
 
-      setAudioHistory(prevHistory => {
-        const newHistory = [newAudioEntry, ...prevHistory];
-        return newHistory.slice(0, 10);
-      });
+  // Transcribe a recording or an uploaded audio/video file; resolves with
+  // whether the result was saved
+  const transcribeAudio = async (audioBlob, save = saveTranscription) => {
+    try {
+      setIsProcessing(true);
+      setError(null);
 
-      audioContext.close();
+      // Mono 16 kHz samples; their buffer is transferred to the worker, so
+      // the waveform is taken first
+      const { samples, sampleRate, duration } = await loadAudio(audioBlob);
+      const waveform = computeWaveformPeaks(samples);
+
+      const processed = await processAudio(samples, sampleRate);
+      if (processed === null) {
+        return false;
+      }
+      save(audioBlob, processed, duration, waveform);
+      return true;
     } catch (error) {
       console.error('Transcription error:', error);
-      setError('Failed to process audio: ' + error.message);
+      setError(error instanceof UnsupportedMediaError
+        ? error.message
+        : 'Failed to process audio: ' + error.message);
+      return false;
     } finally {
       setIsProcessing(false);
     }
@@ -291,24 +997,19 @@ function App() {
 
   // Initialize model with progress tracking and retry logic
   useEffect(() => {
+    // Nothing is loaded until the default model source is known
+    if (!modelSource) return;
     let isMounted = true;
     let retryTimeout = null;
 
-    const loadModel = async () => {
+    const initialize = async () => {
       try {
         if (isMounted) {
           setIsModelLoading(true);
           setError(null);
         }
         
-        // Add progress handler
-        env.progress_callback = (progress) => {
-          if (isMounted) {
-            setLoadingProgress(Math.round(progress.progress * 100));
-          }
-        };
-
-        await initializeTranscriber();
+        await loadModel(modelConfig, modelSource);
         
         if (isMounted) {
           setIsModelLoading(false);
@@ -333,23 +1034,21 @@ function App() {
       }
     };
 
-    loadModel();
+    initialize();
 
     // Cleanup function
     return () => {
       isMounted = false;
-      env.progress_callback = null;
       if (retryTimeout) {
         clearTimeout(retryTimeout);
       }
     };
-  }, [retryCount]);
+  }, [retryCount, modelConfig, modelSource, loadModel]);
 
   // Function to handle retry
   const handleRetry = () => {
     setRetryCount(prev => prev + 1);
     setError(null);
-    setLoadingProgress(0);
   };
 
   // Get available audio input devices
@@ -373,98 +1072,318 @@ function App() {
 
   // Save edited transcription
   const saveEditedTranscription = (id, newText) => {
-    setAudioHistory(prevHistory => 
-      prevHistory.map(item => 
-        item.id === id 
-          ? { ...item, editedTranscription: newText }
-          : item
-      )
-    );
+    updateEntry(id, entry => saveEdit(entry, newText));
   };
 
-  // Stop recording
+  // Step through the saved revisions of an entry
+  const undoEditedTranscription = (id) => {
+    updateEntry(id, undoEdit);
+  };
+
+  const redoEditedTranscription = (id) => {
+    updateEntry(id, redoEdit);
+  };
+
+  // Stop recording. Checks the recorder itself rather than isRecording, as
+  // push-to-talk may call this before the state update has rendered.
   const stopRecording = () => {
-    if (mediaRecorderRef.current && isRecording) {
+    const state = mediaRecorderRef.current?.state;
+    if (state === 'recording' || state === 'paused') {
       mediaRecorderRef.current.stop();
       mediaRecorderRef.current.stream.getTracks().forEach(track => track.stop());
       setIsRecording(false);
+      setIsRecordingPaused(false);
+      setRecordingStream(null);
     }
   };
 
-  // Handle file upload
-  const handleFileUpload = async (event) => {
-    const file = event.target.files[0];
-    if (file) {
-      try {
-        await transcribeAudio(file);
-      } catch (error) {
-        console.error('Error processing uploaded file:', error);
-        setError('Failed to process uploaded file: ' + error.message);
-      }
+  // Pausing keeps the same recording going; paused time is left out of the
+  // audio, the live transcript and the elapsed time
+  const pauseRecording = () => {
+    if (mediaRecorderRef.current?.state !== 'recording') return;
+    mediaRecorderRef.current.pause();
+    pauseLiveTranscription();
+    setIsRecordingPaused(true);
+  };
+
+  const resumeRecording = () => {
+    if (mediaRecorderRef.current?.state !== 'paused') return;
+    mediaRecorderRef.current.resume();
+    resumeLiveTranscription();
+    setIsRecordingPaused(false);
+  };
+
+  // Transcribe an unfinished recording into the history, then forget its
+  // chunks
+  const recoverRecording = async (recording) => {
+    const stamp = recording.startedAt.replace(/[:.]/g, '-');
+    const file = new File([recording.blob], `recovered-recording-${stamp}.webm`, { type: recording.blob.type });
+    if (await transcribeAudio(file)) {
+      discardPendingRecording(recording.sessionId);
     }
   };
 
+  // Decode and transcribe one file of the upload queue
+  const transcribeQueuedFile = async (file, { signal, onStage, onProgress }) => {
+    const { samples, sampleRate, duration } = await loadAudio(file);
+    if (signal.aborted) return false;
+    const waveform = computeWaveformPeaks(samples);
+
+    onStage('transcribing');
+    const result = await transcribe(samples, sampleRate, getDecodeOptions(), {
+      background: true,
+      signal,
+      onPartial: (text, progress) => onProgress(progress)
+    });
+    if (result === null) return false;
+
+    saveTranscription(file, toTranscription(result), duration, waveform);
+    return true;
+  };
+
+  // Transcribe one file of an evaluation set with the current settings
+  const transcribeEvaluationFile = async (file, { signal }) => {
+    const { samples, sampleRate } = await loadAudio(file);
+    if (signal.aborted) return null;
+
+    const result = await transcribe(samples, sampleRate, getDecodeOptions(), { background: true, signal });
+    return result === null ? null : toTranscription(result).text;
+  };
+
+  // Accuracy evaluation swaps models in the worker, so the model picked in
+  // the UI is loaded again afterwards
+  const {
+    runs: evaluationRuns,
+    isRunning: isEvaluating,
+    progress: evaluationProgress,
+    currentStep: evaluationStep,
+    run: runEvaluation,
+    cancel: cancelEvaluation
+  } = useEvaluation({
+    prepareModel: model => loadModel(model, modelSource),
+    transcribeFile: transcribeEvaluationFile,
+    restoreModel: () => loadModel(modelConfig, modelSource)
+  });
+
+  // Whisper models, plus the fine-tuned CTC model once its files are loaded
+  const evaluationModels = modelConfig.type === 'ctc'
+    ? [...MODEL_OPTIONS.filter(option => option.type !== 'ctc'), modelConfig]
+    : MODEL_OPTIONS.filter(option => option.type !== 'ctc');
+
+  // Uploaded files are transcribed one at a time once the model is ready
+  const {
+    items: uploadItems,
+    progress: uploadProgress,
+    addFiles: addUploads,
+    cancel: cancelUpload,
+    retry: retryUpload,
+    move: moveUpload,
+    clearFinished: clearFinishedUploads
+  } = useUploadQueue({ processFile: transcribeQueuedFile, isPaused: isModelLoading || isEvaluating });
+  const isUploading = uploadItems.some(isActiveItem);
+
+  // Push-to-talk for dictation; each press is one recording
+  usePushToTalk({
+    enabled: isDictationMode && !isModelLoading && !isProcessing && !isEvaluating,
+    onStart: () => (mediaRecorderRef.current?.state === 'recording' ? undefined : startRecording()),
+    onStop: stopRecording,
+    code: PUSH_TO_TALK_KEY
+  });
+
   // Delete audio from history
   const deleteAudio = (id) => {
-    setAudioHistory(prevHistory => prevHistory.filter(item => item.id !== id));
+    deleteEntry(id);
   };
 
-  // Function to handle YouTube URL input
-  const handleYoutubeInput = async (url) => {
+  // Propose speaker labels for an entry's segments by clustering the voices
+  // in its audio
+  const detectSpeakers = async (entry) => {
+    const segments = getEntrySegments(entry);
+    if (!segments || !speakerModelFile) return;
+    setDiarizingIds(ids => [...ids, entry.id]);
     try {
-      setIsProcessing(true);
-      setError(null);
-      // Here we would integrate with YouTube API
-      // For now, show a message
-      setError('YouTube integration coming soon!');
+      const { samples, sampleRate } = await loadAudio(entry.blob);
+      const result = await diarize(
+        samples,
+        sampleRate,
+        segments.map(({ start, end }) => ({ start, end })),
+        { ...diarizationSettings, modelFile: speakerModelFile }
+      );
+      if (result) {
+        updateEntry(entry.id, current => applyDiarization(current, result.labels));
+      }
     } catch (error) {
-      setError('Failed to process YouTube URL: ' + error.message);
+      console.error('Speaker detection error:', error);
+      setError(`Failed to detect speakers: ${error.message}`);
     } finally {
-      setIsProcessing(false);
+      setDiarizingIds(ids => ids.filter(id => id !== entry.id));
     }
   };
 
-  // Function to handle YouTube URL processing
-  const processYoutubeUrl = async (url) => {
+  const saveCaseDetails = (id, caseDetails) => {
+    updateEntry(id, { caseDetails });
+  };
+
+  // Details of the newest other entry that has any, for copying; the history
+  // is newest first
+  const getLatestCaseDetails = (id) => {
+    const entry = audioHistory.find(other => other.id !== id && hasCaseDetails(other));
+    return entry ? getCaseDetails(entry) : null;
+  };
+
+  // Record exports of redacted entries in their redaction logs
+  const logRedactedExports = (entries, description) => {
+    entries
+      .filter(hasRedactions)
+      .forEach(entry => updateEntry(entry.id, current => logRedactedExport(current, description)));
+  };
+
+  // Subtitle exports of entries saved without a duration decode their audio
+  // first, so these can fail
+  const exportTranscript = async (entry, formatId) => {
     try {
-      setIsProcessing(true);
-      setError(null);
-      
-      // Here we would:
-      // 1. Validate YouTube URL
-      // 2. Extract audio from video
-      // 3. Process the audio
-      // For now, show a message
-      throw new Error('YouTube integration coming soon!');
+      await exportEntry(entry, formatId);
+      logRedactedExports([entry], `Transcript (${formatId})`);
+    } catch (error) {
+      console.error('Export error:', error);
+      setError(`Failed to export: ${error.message}`);
+    }
+  };
+
+  const exportAllTranscripts = async (formatId) => {
+    try {
+      await exportEntries(audioHistory, formatId);
+      logRedactedExports(audioHistory, `Transcript (${formatId}, all recordings)`);
+    } catch (error) {
+      console.error('Export error:', error);
+      setError(`Failed to export: ${error.message}`);
+    }
+  };
+
+  const handlePrintProceedings = (entry) => {
+    try {
+      printProceedings(entry);
     } catch (error) {
       setError(error.message);
+    }
+  };
+
+  // Download the recording with its redacted ranges muted or beeped over,
+  // re-encoded from the stored audio
+  const downloadRedactedAudio = async (entry, mode) => {
+    setExportingAudioIds(ids => [...ids, entry.id]);
+    try {
+      const { samples, sampleRate } = await loadAudio(entry.blob);
+      exportRedactedAudio(entry, samples, sampleRate, mode);
+      const rangeCount = getAudioRedactionRanges(entry).length;
+      updateEntry(entry.id, current => logRedactedExport(current, `Audio (${mode}, ${rangeCount} ranges)`));
+    } catch (error) {
+      console.error('Redacted audio export error:', error);
+      setError(`Failed to export redacted audio: ${error.message}`);
     } finally {
-      setIsProcessing(false);
+      setExportingAudioIds(ids => ids.filter(id => id !== entry.id));
     }
   };
 
-  // Language Selection Handler
-  const handleLanguageChange = async (e) => {
-    const newLang = e.target.value;
-    setSelectedLanguage(newLang);
-    // Reset transcriber to load with new language
-    transcriberRef.current = null;
+  // Translate the lines of an entry's transcript that have no translation
+  // yet, keeping the existing translation of the others
+  const translateEntry = async (entry) => {
+    const model = getTranslationModel(translationModelId);
+    const language = getTextLanguage(entry.transcription);
+    const srcLang = model.languageCodes[language];
+    if (!srcLang) {
+      setError(`${model.name} cannot translate from ${getLanguageName(language)}`);
+      return;
+    }
+
+    const texts = getUntranslatedLines(entry);
+    const controller = new AbortController();
+    translationControllersRef.current.set(entry.id, controller);
+    setTranslationJobs(jobs => ({ ...jobs, [entry.id]: { stage: 'loading', progress: 0 } }));
     try {
-      await initializeTranscriber();
+      const result = texts.length > 0
+        ? await translate(
+          texts,
+          { model, source: modelSource, srcLang, tgtLang: model.languageCodes[TRANSLATION_LANGUAGE] },
+          {
+            signal: controller.signal,
+            onProgress: (stage, progress) => setTranslationJobs(jobs => ({ ...jobs, [entry.id]: { stage, progress } }))
+          }
+        )
+        : { translations: [] };
+      if (result) {
+        const translations = new Map(texts.map((text, index) => [text, result.translations[index]]));
+        updateEntry(entry.id, current => updateTranslation(current, translations, model.id));
+      }
     } catch (error) {
-      console.error('Error changing language:', error);
-      setError('Failed to change language: ' + error.message);
+      console.error('Translation error:', error);
+      setError(`Failed to translate: ${error.message}`);
+    } finally {
+      translationControllersRef.current.delete(entry.id);
+      setTranslationJobs(jobs => {
+        const next = { ...jobs };
+        delete next[entry.id];
+        return next;
+      });
     }
   };
 
-  // Voice Accent Handler
-  const handleAccentChange = (e) => {
-    setVoiceAccent(e.target.value);
+  const cancelTranslation = (id) => {
+    translationControllersRef.current.get(id)?.abort();
+  };
+
+  // Read an entry's transcript aloud line by line (segment by segment when
+  // it has timings), or only the segment at `segmentIndex`
+  const readEntryAloud = async (entry, segmentIndex = null) => {
+    const voice = getVoice(readAloudSettings.voiceId, readAloudSettings.customModelId);
+    if (!voice.model_id) {
+      setError('Enter the model ID of the custom voice under Advanced Options → Read Aloud');
+      return;
+    }
+    const lines = getSourceLines(entry);
+    setUnconvertedVoice(null);
+    try {
+      await (segmentIndex === null
+        ? readAloud.start(entry.id, lines, { voice, source: modelSource })
+        : readAloud.start(entry.id, [lines[segmentIndex]], { voice, source: modelSource }, segmentIndex));
+    } catch (error) {
+      if (error.name === 'VoiceNotConvertedError') {
+        setUnconvertedVoice(voice.model_id);
+        return;
+      }
+      console.error('Read aloud error:', error);
+      setError(`Failed to read aloud: ${error.message}`);
+    }
+  };
+
+  // Keep a waveform drawn for an older entry so it is only decoded once
+  const saveWaveform = (id, waveform) => {
+    updateEntry(id, entry => ({ ...entry, waveform }));
+  };
+
+  // Model Selection Handlers
+  const handleModelSelect = (modelId) => {
+    setSelectedModelId(modelId);
+    const option = getModelOption(modelId);
+    // The CTC model is loaded once its files have been picked
+    if (option.type !== 'ctc') {
+      setModelConfig(option);
+    }
   };
 
-  // Voice Cloning Toggle Handler
-  const handleVoiceCloningToggle = (e) => {
-    setIsVoiceCloning(e.target.checked);
+  const handleLoadCtcModel = (modelFile, vocabFile) => {
+    setModelConfig(createCtcModelConfig(modelFile, vocabFile));
+  };
+
+  // Language Selection Handler
+  // The language is a decoding option, so the loaded model is kept as is
+  const handleLanguageChange = (e) => {
+    setSelectedLanguage(e.target.value);
+  };
+
+  // Task Selection Handler
+  const handleTaskChange = (e) => {
+    setSelectedTask(e.target.value);
   };
 
   return (
@@ -486,6 +1405,20 @@ function App() {
                   </div>
                 )}
 
+                {unconvertedVoice && (
+                  <VoiceConversionHelp modelId={unconvertedVoice} onDismiss={() => setUnconvertedVoice(null)} />
+                )}
+
+                {/* Unfinished Recordings */}
+                {pendingRecordings.length > 0 && !isRecording && (
+                  <RecordingRecovery
+                    recordings={pendingRecordings}
+                    onRecover={recoverRecording}
+                    onDiscard={discardPendingRecording}
+                    disabled={isProcessing || isModelLoading || isEvaluating}
+                  />
+                )}
+
                 {/* Loading Indicator */}
                 {isModelLoading && (
                   <div className="p-4 bg-yellow-50 rounded-lg">
@@ -518,6 +1451,32 @@ function App() {
                   </select>
                 </div>
 
+                {/* Task Selection */}
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Output
+                  </label>
+                  <select
+                    value={selectedTask}
+                    onChange={handleTaskChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    {TASK_OPTIONS.map((task) => (
+                      <option key={task.id} value={task.id}>
+                        {task.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                {/* Model Selection */}
+                <ModelSelector
+                  selectedModelId={selectedModelId}
+                  onSelect={handleModelSelect}
+                  onLoadCtcModel={handleLoadCtcModel}
+                  disabled={isProcessing || isRecording || isEvaluating || isUploading}
+                />
+
                 {/* Audio Device Selection */}
                 {audioDevices.length > 0 && (
                   <div className="mb-4">
@@ -538,29 +1497,6 @@ function App() {
                   </div>
                 )}
 
-                {/* YouTube URL Input */}
-                <div className="mb-4">
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    YouTube URL (Optional)
-                  </label>
-                  <div className="flex space-x-2">
-                    <input
-                      type="text"
-                      value={youtubeUrl}
-                      onChange={(e) => setYoutubeUrl(e.target.value)}
-                      placeholder="Enter YouTube URL"
-                      className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                    />
-                    <button
-                      onClick={() => handleYoutubeInput(youtubeUrl)}
-                      disabled={!youtubeUrl || isProcessing}
-                      className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
-                    >
-                      <VideoCameraIcon className="h-5 w-5" />
-                    </button>
-                  </div>
-                </div>
-
                 {/* Advanced Options Toggle */}
                 <div className="mb-4">
                   <button
@@ -575,41 +1511,115 @@ function App() {
                 {showAdvancedOptions && (
                   <div className="p-4 bg-gray-50 rounded-lg mb-4">
                     <div className="space-y-4">
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">
-                          Voice Accent
-                        </label>
-                        <select
-                          value={voiceAccent}
-                          onChange={handleAccentChange}
-                          className="w-full px-3 py-2 border border-gray-300 rounded-md"
-                        >
-                          <option value="neutral">Neutral</option>
-                          <option value="formal">Formal</option>
-                          <option value="casual">Casual</option>
-                        </select>
-                      </div>
-                      
-                      <div className="flex items-center">
-                        <input
-                          type="checkbox"
-                          checked={isVoiceCloning}
-                          onChange={handleVoiceCloningToggle}
-                          className="h-4 w-4 text-blue-600"
+                      <VadSettings
+                        settings={vadSettings}
+                        onChange={setVadSettings}
+                        modelFile={vadModelFile}
+                        onModelFileChange={setVadModelFile}
+                      />
+
+                      <DiarizationSettings
+                        settings={diarizationSettings}
+                        onChange={setDiarizationSettings}
+                        modelFile={speakerModelFile}
+                        onModelFileChange={setSpeakerModelFile}
+                      />
+
+                      <TranslationSettings
+                        modelId={translationModelId}
+                        onChange={setTranslationModelId}
+                      />
+
+                      <NormalizationSettings
+                        settings={normalizationSettings}
+                        onChange={setNormalizationSettings}
+                      />
+
+                      <ConfidenceSettings
+                        settings={confidenceSettings}
+                        onChange={setConfidenceSettings}
+                      />
+
+                      <GlossaryEditor
+                        glossary={glossary}
+                        onChange={setGlossary}
+                        onError={setError}
+                      />
+
+                      <StorageSettings
+                        retention={retention}
+                        history={audioHistory}
+                        onChange={setRetention}
+                        storageEstimate={storageEstimate}
+                      />
+
+                      {modelSource && (
+                        <OfflineSettings
+                          source={modelSource}
+                          onChange={setModelSource}
+                          onError={setError}
+                          disabled={isProcessing || isRecording || isEvaluating || isUploading}
                         />
-                        <label className="ml-2 text-sm text-gray-700">
-                          Enable Voice Cloning
-                        </label>
-                      </div>
+                      )}
+
+                      <ReadAloudSettings
+                        settings={readAloudSettings}
+                        onChange={setReadAloudSettings}
+                      />
                     </div>
                   </div>
                 )}
 
+                {/* Accuracy Evaluation */}
+                <div className="mb-4">
+                  <EvaluationPanel
+                    modelOptions={evaluationModels}
+                    runs={evaluationRuns}
+                    isRunning={isEvaluating}
+                    progress={evaluationProgress}
+                    currentStep={evaluationStep}
+                    disabled={isModelLoading || isProcessing || isRecording || isUploading}
+                    onRun={runEvaluation}
+                    onCancel={cancelEvaluation}
+                    onError={setError}
+                  />
+                </div>
+
+                {/* Live Transcription Toggle */}
+                <div className="flex items-center">
+                  <input
+                    id="live-mode"
+                    type="checkbox"
+                    checked={isLiveMode}
+                    onChange={(e) => setIsLiveMode(e.target.checked)}
+                    disabled={isRecording}
+                    className="h-4 w-4 text-blue-600"
+                  />
+                  <label htmlFor="live-mode" className="ml-2 text-sm text-gray-700">
+                    Live transcription while recording
+                  </label>
+                </div>
+
+                {/* Dictation Toggle */}
+                <div className="flex items-center">
+                  <input
+                    id="dictation-mode"
+                    type="checkbox"
+                    checked={isDictationMode}
+                    onChange={(e) => setIsDictationMode(e.target.checked)}
+                    disabled={isRecording}
+                    className="h-4 w-4 text-blue-600"
+                  />
+                  <label htmlFor="dictation-mode" className="ml-2 text-sm text-gray-700">
+                    Dictation mode (append recordings to one document, hold {PUSH_TO_TALK_KEY} to talk)
+                  </label>
+                </div>
+
                 {/* Existing Controls */}
                 <div className="space-y-4">
                   <button
                     onClick={isRecording ? stopRecording : startRecording}
-                    disabled={isProcessing || isModelLoading}
+                    disabled={isProcessing || isModelLoading || isEvaluating}
                     className={`w-full px-6 py-3 rounded-full flex items-center justify-center ${
                       isRecording 
                         ? 'bg-red-500 hover:bg-red-600' 
@@ -629,19 +1639,72 @@ function App() {
                     )}
                   </button>
 
-                  <label className="w-full px-6 py-3 bg-gray-500 hover:bg-gray-600 text-white rounded-full cursor-pointer flex items-center justify-center">
-                    <ArrowUpTrayIcon className="h-6 w-6 mr-2" />
-                    Upload Audio
-                    <input
-                      type="file"
-                      accept="audio/*"
-                      onChange={handleFileUpload}
-                      className="hidden"
-                      disabled={isProcessing || isModelLoading}
-                    />
-                  </label>
+                  {isRecording && (
+                    <div className="flex items-center justify-between">
+                      <span className={`flex items-center text-sm ${isRecordingPaused ? 'text-gray-500' : 'text-red-600'}`}>
+                        <span className={`h-2 w-2 mr-2 rounded-full ${isRecordingPaused ? 'bg-gray-400' : 'bg-red-600 animate-pulse'}`} />
+                        {formatTimestamp(recordingSeconds)}
+                        {isRecordingPaused && ' (paused)'}
+                      </span>
+                      <button
+                        onClick={isRecordingPaused ? resumeRecording : pauseRecording}
+                        className="px-4 py-1 flex items-center text-sm border border-gray-300 rounded-full hover:bg-gray-100"
+                      >
+                        {isRecordingPaused ? (
+                          <>
+                            <PlayIcon className="h-4 w-4 mr-1" />
+                            Resume
+                          </>
+                        ) : (
+                          <>
+                            <PauseIcon className="h-4 w-4 mr-1" />
+                            Pause
+                          </>
+                        )}
+                      </button>
+                    </div>
+                  )}
+
+                  <UploadQueue
+                    items={uploadItems}
+                    progress={uploadProgress}
+                    onAddFiles={addUploads}
+                    onCancel={cancelUpload}
+                    onRetry={retryUpload}
+                    onMove={moveUpload}
+                    onClearFinished={clearFinishedUploads}
+                  />
                 </div>
 
+                {/* Input Level */}
+                {isRecording && recordingStream && <InputMonitor stream={recordingStream} />}
+
+                {isDictationMode && (
+                  <DictationDocument
+                    dictation={dictation}
+                    isRecording={isRecording}
+                    onClear={() => setDictation(EMPTY_DICTATION)}
+                  />
+                )}
+
+                {/* Live Transcript */}
+                {isRecording && isLiveMode && (
+                  <div className="p-3 bg-white rounded border border-blue-200 max-h-64 overflow-y-auto">
+                    <p className="text-xs text-blue-600 mb-1">Live</p>
+                    <p
+                      className="whitespace-pre-wrap"
+                      lang={selectedTask === 'translate' ? 'en' : 'ml'}
+                      dir="ltr"
+                      style={MALAYALAM_FONT_STYLE}
+                    >
+                      {liveFinalText}
+                      {livePendingText && (
+                        <span className="text-gray-400"> {livePendingText}</span>
+                      )}
+                    </p>
+                  </div>
+                )}
+
                 {/* Processing Indicator */}
                 {isProcessing && (
                   <div className="flex items-center justify-center p-4 bg-blue-50 rounded-lg mt-4">
@@ -649,27 +1712,82 @@ function App() {
                       <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
                       <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
                     </svg>
-                    Processing audio...
+                    Processing audio... {Math.round(transcriptionProgress * 100)}%
+                    <button
+                      onClick={cancelTranscription}
+                      className="ml-4 px-3 py-1 text-sm bg-white border border-blue-300 text-blue-700 rounded-md hover:bg-blue-100"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                )}
+
+                {isProcessing && partialText && (
+                  <div className="p-3 bg-white rounded border border-gray-200">
+                    <p
+                      className="whitespace-pre-wrap text-gray-500"
+                      lang="ml"
+                      dir="ltr"
+                      style={MALAYALAM_FONT_STYLE}
+                    >
+                      {partialText}
+                    </p>
                   </div>
                 )}
 
-                {transcription.malayalam && (
+                {transcription.text && (
                   <div className="mt-6 p-4 bg-white rounded-lg shadow">
-                    <h3 className="text-lg font-semibold mb-3">Malayalam Transcription</h3>
-                    <TranscriptionDisplay text={transcription.malayalam} />
+                    <h3 className="text-lg font-semibold mb-3">
+                      {transcription.task === 'translate' ? 'Translation' : 'Transcription'}
+                      <span className="ml-2 text-sm font-normal text-gray-500">
+                        {describeTranscription(transcription)}
+                      </span>
+                    </h3>
+                    <TranscriptionDisplay
+                      text={transcription.text}
+                      segments={transcription.segments}
+                      lang={getTextLanguage(transcription)}
+                    />
                   </div>
                 )}
 
                 {/* Recording History */}
                 {audioHistory.length > 0 && (
                   <div className="mt-8">
-                    <h3 className="text-xl font-semibold mb-4">Recording History</h3>
+                    <div className="flex items-center justify-between mb-4">
+                      <h3 className="text-xl font-semibold">Recording History</h3>
+                      <ExportButtons onExport={exportAllTranscripts} />
+                    </div>
                     <div className="space-y-4">
                       {audioHistory.map((audio) => (
                         <AudioHistoryItem 
                           key={audio.id}
                           audio={audio}
                           onDelete={deleteAudio}
+                          onSaveEdit={saveEditedTranscription}
+                          onUndo={undoEditedTranscription}
+                          onRedo={redoEditedTranscription}
+                          onWaveform={saveWaveform}
+                          onSpeakersChange={updateEntry}
+                          onDiarize={speakerModelFile ? detectSpeakers : null}
+                          isDiarizing={diarizingIds.includes(audio.id)}
+                          onCaseDetailsChange={saveCaseDetails}
+                          caseSuggestion={getLatestCaseDetails(audio.id)}
+                          onPrintProceedings={handlePrintProceedings}
+                          onExportTranscript={exportTranscript}
+                          onRedactionsChange={updateEntry}
+                          onExportRedactedAudio={downloadRedactedAudio}
+                          isExportingAudio={exportingAudioIds.includes(audio.id)}
+                          translationJob={translationJobs[audio.id] ?? null}
+                          translationModelName={getTranslationModel(translationModelId).name}
+                          onTranslate={translateEntry}
+                          onCancelTranslation={cancelTranslation}
+                          onTranslationChange={updateEntry}
+                          reading={readAloud.key === audio.id ? readAloud : null}
+                          readAloudRate={readAloudSettings.rate}
+                          onReadAloud={readEntryAloud}
+                          onReadAloudRateChange={(rate) => setReadAloudSettings({ ...readAloudSettings, rate })}
+                          confidenceSettings={confidenceSettings}
                         />
                       ))}
                     </div>
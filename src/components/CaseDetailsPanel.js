@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { CASE_DETAIL_FIELDS, getCaseDetails, cleanCaseDetails } from '../utils/caseDetails';
+import { PROCEEDINGS_FORMATS } from '../utils/export';
+
+// Case metadata of one history entry, and the proceedings document built from
+// it. `suggestion` holds the details of the latest other case, offered for
+// copying since consecutive recordings usually belong to the same hearing.
+const CaseDetailsPanel = ({ entry, suggestion, onSave, onExport, onPrint }) => {
+  const saved = getCaseDetails(entry);
+  const [draft, setDraft] = useState(saved);
+  const isChanged = CASE_DETAIL_FIELDS.some(field => draft[field.id] !== saved[field.id]);
+
+  const setField = (id, value) => setDraft(current => ({ ...current, [id]: value }));
+
+  return (
+    <div className="p-3 bg-white rounded border border-gray-200 space-y-2 text-sm">
+      <div className="grid grid-cols-1 gap-2">
+        {CASE_DETAIL_FIELDS.map(field => (
+          <label key={field.id} className="block text-gray-700">
+            <span className="text-xs">{field.label}</span>
+            {field.multiline ? (
+              <textarea
+                value={draft[field.id]}
+                onChange={(e) => setField(field.id, e.target.value)}
+                placeholder={field.placeholder}
+                rows={2}
+                className="block w-full px-2 py-1 border border-gray-300 rounded"
+              />
+            ) : (
+              <input
+                type={field.type ?? 'text'}
+                value={draft[field.id]}
+                onChange={(e) => setField(field.id, e.target.value)}
+                placeholder={field.placeholder}
+                className="block w-full px-2 py-1 border border-gray-300 rounded"
+              />
+            )}
+          </label>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => onSave(cleanCaseDetails(draft))}
+          disabled={!isChanged}
+          className="px-3 py-1 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:opacity-50"
+        >
+          Save details
+        </button>
+        {isChanged && (
+          <button
+            onClick={() => setDraft(saved)}
+            className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-100"
+          >
+            Revert
+          </button>
+        )}
+        {suggestion && (
+          <button
+            onClick={() => setDraft({ ...suggestion, note: draft.note })}
+            className="px-3 py-1 text-xs text-blue-600 hover:text-blue-800"
+            title={suggestion.caseNumber || undefined}
+          >
+            Copy from last case
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 pt-2 border-t border-gray-100">
+        <span className="text-xs text-gray-600">Proceedings document</span>
+        {PROCEEDINGS_FORMATS.map(format => (
+          <button
+            key={format.id}
+            onClick={() => onExport(format.id)}
+            className="px-2 py-0.5 text-xs border border-gray-300 rounded hover:bg-gray-100"
+            title={`Download as ${format.name}`}
+          >
+            {format.name}
+          </button>
+        ))}
+        <button
+          onClick={onPrint}
+          className="px-2 py-0.5 text-xs border border-gray-300 rounded hover:bg-gray-100"
+          title="Print, or save as PDF from the print dialog"
+        >
+          Print / PDF
+        </button>
+        {isChanged && <span className="text-xs text-orange-700">Save the details to include your changes</span>}
+      </div>
+    </div>
+  );
+};
+
+export default CaseDetailsPanel;
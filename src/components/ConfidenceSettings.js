@@ -0,0 +1,37 @@
+import React from 'react';
+
+// Whether and below which confidence segments are flagged for review
+const ConfidenceSettings = ({ settings, onChange }) => {
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center">
+        <input
+          id="confidence-highlight"
+          type="checkbox"
+          checked={settings.highlight}
+          onChange={(e) => onChange({ ...settings, highlight: e.target.checked })}
+          className="h-4 w-4 text-blue-600"
+        />
+        <label htmlFor="confidence-highlight" className="ml-2 text-sm font-medium text-gray-700">
+          Highlight uncertain segments for review
+        </label>
+      </div>
+      {settings.highlight && (
+        <label className="block pl-6 text-sm text-gray-700">
+          Flag segments below {Math.round(settings.threshold * 100)}% confidence
+          <input
+            type="range"
+            min="0.05"
+            max="0.95"
+            step="0.05"
+            value={settings.threshold}
+            onChange={(e) => onChange({ ...settings, threshold: Number(e.target.value) })}
+            className="block w-full"
+          />
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default ConfidenceSettings;
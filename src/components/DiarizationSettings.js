@@ -0,0 +1,69 @@
+import React from 'react';
+import { DIARIZATION_INPUT_TYPES } from '../utils/diarization';
+
+// Speaker embedding model and clustering settings for automatic speaker
+// detection, in the Advanced Options panel
+const DiarizationSettings = ({ settings, onChange, modelFile, onModelFileChange }) => {
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-gray-700">
+        Speaker Detection
+      </label>
+      <div className="space-y-2 text-sm text-gray-700">
+        <label className="block">
+          <span>Speaker embedding model (.onnx)</span>
+          <input
+            type="file"
+            accept=".onnx"
+            onChange={(e) => onModelFileChange(e.target.files[0] || null)}
+            className="block w-full mt-1 text-sm"
+          />
+        </label>
+        <p className="text-xs text-gray-500">
+          {modelFile
+            ? `Using ${modelFile.name}. Use "Detect speakers" on a recording to label its segments.`
+            : 'Pick a model to enable "Detect speakers" on recordings. It runs in the browser; nothing is uploaded.'}
+        </p>
+        <label className="block">
+          <span>Model input</span>
+          <select
+            value={settings.inputType}
+            onChange={(e) => onChange({ ...settings, inputType: e.target.value })}
+            className="block w-full mt-1 px-2 py-1 border border-gray-300 rounded-md"
+          >
+            {DIARIZATION_INPUT_TYPES.map(type => (
+              <option key={type.id} value={type.id}>{type.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center space-x-2">
+          <span>Number of speakers</span>
+          <input
+            type="number"
+            min="0"
+            value={settings.speakerCount}
+            onChange={(e) => onChange({ ...settings, speakerCount: Math.max(0, Math.round(Number(e.target.value))) })}
+            className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+          />
+          <span className="text-xs text-gray-500">0 = detect automatically</span>
+        </label>
+        {settings.speakerCount === 0 && (
+          <label className="block">
+            Merge voices at least {Math.round(settings.threshold * 100)}% similar
+            <input
+              type="range"
+              min="0.2"
+              max="0.9"
+              step="0.05"
+              value={settings.threshold}
+              onChange={(e) => onChange({ ...settings, threshold: Number(e.target.value) })}
+              className="block w-full"
+            />
+          </label>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DiarizationSettings;
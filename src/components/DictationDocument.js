@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { MALAYALAM_FONT_STYLE } from '../constants';
+import {
+  DICTATION_COMMANDS,
+  isDictationEmpty,
+  dictationToText,
+  dictationToMarkdown
+} from '../utils/dictation';
+import { downloadFile } from '../utils/export';
+
+// The document a dictation session builds up, with copy/download actions and
+// the list of spoken commands
+const DictationDocument = ({ dictation, isRecording, onClear }) => {
+  const [showCommands, setShowCommands] = useState(false);
+  const isEmpty = isDictationEmpty(dictation);
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  const handleClear = () => {
+    if (window.confirm('Clear the dictation document?')) onClear();
+  };
+
+  return (
+    <div className="p-4 bg-white rounded-lg shadow space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold">
+          Dictation
+          {isRecording && <span className="ml-2 text-sm font-normal text-red-600">● Listening</span>}
+        </h3>
+        <div className="flex items-center space-x-2 text-xs">
+          <button
+            onClick={() => navigator.clipboard.writeText(dictationToText(dictation))}
+            disabled={isEmpty}
+            className="px-2 py-1 bg-gray-200 rounded-md hover:bg-gray-300 disabled:opacity-50"
+          >
+            Copy
+          </button>
+          <button
+            onClick={() => downloadFile(`dictation-${stamp}.txt`, dictationToText(dictation), 'text/plain')}
+            disabled={isEmpty}
+            className="px-2 py-1 bg-gray-200 rounded-md hover:bg-gray-300 disabled:opacity-50"
+          >
+            TXT
+          </button>
+          <button
+            onClick={() => downloadFile(`dictation-${stamp}.md`, dictationToMarkdown(dictation), 'text/markdown')}
+            disabled={isEmpty}
+            className="px-2 py-1 bg-gray-200 rounded-md hover:bg-gray-300 disabled:opacity-50"
+          >
+            Markdown
+          </button>
+          <button
+            onClick={handleClear}
+            disabled={isEmpty || isRecording}
+            className="px-2 py-1 text-red-600 hover:text-red-800 disabled:opacity-50"
+          >
+            Clear
+          </button>
+        </div>
+      </div>
+
+      <div className="max-h-96 overflow-y-auto space-y-3" lang="ml" dir="ltr" style={MALAYALAM_FONT_STYLE}>
+        {isEmpty && (
+          <p className="text-sm text-gray-400">Each recording is added here. Speak a command to format the text.</p>
+        )}
+        {dictation.blocks.filter(block => block.text).map((block, index) => (block.type === 'heading'
+          ? <h4 key={index} className="font-bold text-gray-900">{block.text}</h4>
+          : <p key={index} className="whitespace-pre-wrap">{block.text}</p>))}
+      </div>
+
+      <div>
+        <button onClick={() => setShowCommands(!showCommands)} className="text-xs text-blue-600 hover:text-blue-800">
+          {showCommands ? 'Hide' : 'Show'} spoken commands
+        </button>
+        {showCommands && (
+          <ul className="mt-1 text-xs text-gray-600 space-y-1" style={MALAYALAM_FONT_STYLE}>
+            {DICTATION_COMMANDS.map(command => (
+              <li key={command.action}>
+                <span className="font-medium">{command.name}:</span> {command.phrases.map(phrase => `“${phrase}”`).join(', ')}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DictationDocument;
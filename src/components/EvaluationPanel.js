@@ -0,0 +1,285 @@
+import React, { useState } from 'react';
+import { parseManifestFile, matchAudioFiles } from '../utils/evaluationManifest';
+import { aggregateEvaluations } from '../utils/errorRate';
+import { ACCEPTED_MEDIA_TYPES } from '../utils/audioIngest';
+import { toCsv } from '../utils/csv';
+import { downloadFile } from '../utils/export';
+import { MALAYALAM_FONT_STYLE } from '../constants';
+
+const formatRate = (rate) => (rate === null || rate === undefined ? '—' : `${(rate * 100).toFixed(1)}%`);
+
+// Reference against hypothesis, word by word: substitutions show both words,
+// deletions the missing reference word, insertions the extra recognized word
+const AlignmentView = ({ alignment }) => {
+  return (
+    <p className="whitespace-pre-wrap leading-8" lang="ml" dir="ltr" style={MALAYALAM_FONT_STYLE}>
+      {alignment.map((op, index) => {
+        if (op.type === 'substitute') {
+          return (
+            <span key={index} className="bg-yellow-100 rounded px-0.5" title="Substitution">
+              <del className="text-red-700">{op.reference}</del>{' '}
+              <ins className="text-green-800 no-underline">{op.hypothesis}</ins>{' '}
+            </span>
+          );
+        }
+        if (op.type === 'delete') {
+          return <del key={index} className="bg-red-100 text-red-800" title="Deletion">{op.reference} </del>;
+        }
+        if (op.type === 'insert') {
+          return <ins key={index} className="bg-green-100 text-green-800 no-underline" title="Insertion">{op.hypothesis} </ins>;
+        }
+        return <span key={index}>{op.reference} </span>;
+      })}
+    </p>
+  );
+};
+
+const ResultCell = ({ result, isSelected, onSelect }) => {
+  if (result.status !== 'done') {
+    return (
+      <td className={`px-2 py-1 text-xs ${result.status === 'failed' ? 'text-red-600' : 'text-gray-400'}`} title={result.error}>
+        {result.status}
+      </td>
+    );
+  }
+  const { words, characters } = result.evaluation;
+  return (
+    <td className="px-2 py-1">
+      <button
+        onClick={onSelect}
+        className={`text-left hover:underline ${isSelected ? 'font-semibold text-blue-700' : ''}`}
+        title="Show alignment"
+      >
+        {formatRate(words.rate)}
+        <span className="ml-1 text-xs text-gray-500">{formatRate(characters.rate)}</span>
+      </button>
+    </td>
+  );
+};
+
+// One row per file and one column per model, with the corpus-level rates on
+// top. Each cell shows WER, then CER.
+const ResultsTable = ({ runs, names, selected, onSelect }) => {
+  const aggregates = runs.map(run => aggregateEvaluations(
+    Object.values(run.results).filter(result => result.status === 'done').map(result => result.evaluation)
+  ));
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-600">
+            <th className="px-2 py-1 font-medium">File</th>
+            {runs.map(run => (
+              <th key={run.model.id} className="px-2 py-1 font-medium">{run.model.name}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          <tr className="bg-gray-50 font-medium">
+            <td className="px-2 py-1">All files</td>
+            {aggregates.map((aggregate, index) => (
+              <td key={runs[index].model.id} className="px-2 py-1">
+                {formatRate(aggregate.words.rate)}
+                <span className="ml-1 text-xs text-gray-500">{formatRate(aggregate.characters.rate)}</span>
+                <span className="block text-xs font-normal text-gray-500">{aggregate.fileCount} scored</span>
+              </td>
+            ))}
+          </tr>
+          {names.map(name => (
+            <tr key={name}>
+              <td className="px-2 py-1 max-w-[10rem] truncate" title={name}>{name}</td>
+              {runs.map((run, modelIndex) => (
+                <ResultCell
+                  key={run.model.id}
+                  result={run.results[name]}
+                  isSelected={selected?.modelIndex === modelIndex && selected?.name === name}
+                  onSelect={() => onSelect({ modelIndex, name })}
+                />
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const resultsToCsv = (runs, names) => toCsv([
+  ['model', 'file', 'status', 'wer', 'cer', 'substitutions', 'deletions', 'insertions', 'reference_words', 'hypothesis'],
+  ...runs.flatMap(run => names.map(name => {
+    const result = run.results[name];
+    const words = result.evaluation?.words;
+    return [
+      run.model.name,
+      name,
+      result.status,
+      words ? String(words.rate ?? '') : '',
+      result.evaluation ? String(result.evaluation.characters.rate ?? '') : '',
+      words ? String(words.substitutions) : '',
+      words ? String(words.deletions) : '',
+      words ? String(words.insertions) : '',
+      words ? String(words.referenceLength) : '',
+      result.hypothesis ?? ''
+    ];
+  }))
+]);
+
+// Accuracy evaluation: a manifest of reference transcripts plus the audio it
+// names, transcribed by each chosen model and scored by word and character
+// error rate
+const EvaluationPanel = ({ modelOptions, runs, isRunning, progress, currentStep, disabled, onRun, onCancel, onError }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [manifest, setManifest] = useState(null);
+  const [audioFiles, setAudioFiles] = useState([]);
+  const [modelIds, setModelIds] = useState(() => modelOptions.slice(0, 1).map(option => option.id));
+  const [selected, setSelected] = useState(null);
+
+  const handleManifest = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      setManifest({ name: file.name, entries: await parseManifestFile(file) });
+    } catch (error) {
+      console.error('Manifest error:', error);
+      onError(`Failed to read manifest: ${error.message}`);
+    }
+  };
+
+  const toggleModel = (id, isChecked) => {
+    setModelIds(ids => (isChecked ? [...ids, id] : ids.filter(modelId => modelId !== id)));
+  };
+
+  const entries = manifest ? matchAudioFiles(manifest.entries, audioFiles) : [];
+  const missing = entries.filter(entry => !entry.file);
+  const models = modelOptions.filter(option => modelIds.includes(option.id));
+  const canRun = !disabled && !isRunning && models.length > 0 && entries.length > missing.length;
+
+  // Files scored in the latest run, in manifest order
+  const names = runs.length > 0 ? Object.keys(runs[0].results) : [];
+  const selectedResult = selected && runs[selected.modelIndex]?.results[selected.name];
+  const reference = selected && entries.find(entry => entry.name === selected.name)?.reference;
+
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  return (
+    <div>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="text-sm font-medium text-gray-700 hover:text-gray-900"
+      >
+        {isOpen ? '▾' : '▸'} Accuracy Evaluation
+      </button>
+
+      {isOpen && (
+        <div className="mt-2 space-y-3 text-sm">
+          <p className="text-xs text-gray-500">
+            Load reference transcripts (CSV with file and reference columns, or JSON) and the audio files they name.
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <label className="px-3 py-1 bg-gray-200 rounded-md cursor-pointer hover:bg-gray-300">
+              {manifest ? `Manifest: ${manifest.name}` : 'Choose manifest'}
+              <input type="file" accept=".json,.csv" onChange={handleManifest} className="hidden" />
+            </label>
+            <label className="px-3 py-1 bg-gray-200 rounded-md cursor-pointer hover:bg-gray-300">
+              {audioFiles.length > 0 ? `${audioFiles.length} audio files` : 'Choose audio files'}
+              <input
+                type="file"
+                accept={ACCEPTED_MEDIA_TYPES}
+                multiple
+                onChange={(e) => setAudioFiles(Array.from(e.target.files))}
+                className="hidden"
+              />
+            </label>
+          </div>
+          {manifest && (
+            <p className={`text-xs ${missing.length > 0 ? 'text-orange-700' : 'text-gray-500'}`}>
+              {entries.length - missing.length} of {entries.length} manifest entries matched to audio
+              {missing.length > 0 && ` (missing: ${missing.slice(0, 5).map(entry => entry.name).join(', ')}${missing.length > 5 ? ', …' : ''})`}
+            </p>
+          )}
+
+          <div>
+            <p className="text-gray-700">Models to compare</p>
+            {modelOptions.map(option => (
+              <label key={option.id} className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={modelIds.includes(option.id)}
+                  onChange={(e) => toggleModel(option.id, e.target.checked)}
+                  disabled={isRunning}
+                  className="h-4 w-4 text-blue-600"
+                />
+                <span className="ml-2">{option.name}</span>
+              </label>
+            ))}
+          </div>
+
+          <div className="flex items-center gap-2">
+            {isRunning ? (
+              <button onClick={onCancel} className="px-3 py-1 bg-white border border-blue-300 text-blue-700 rounded-md hover:bg-blue-100">
+                Cancel
+              </button>
+            ) : (
+              <button
+                onClick={() => {
+                  setSelected(null);
+                  onRun(entries, models);
+                }}
+                disabled={!canRun}
+                className="px-3 py-1 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:opacity-50"
+              >
+                Run evaluation
+              </button>
+            )}
+            {!isRunning && runs.length > 0 && (
+              <button
+                onClick={() => downloadFile(`evaluation-${stamp}.csv`, resultsToCsv(runs, names), 'text/csv')}
+                className="px-3 py-1 bg-gray-200 rounded-md hover:bg-gray-300"
+              >
+                Export CSV
+              </button>
+            )}
+          </div>
+
+          {isRunning && (
+            <div>
+              <p className="text-xs text-gray-600">
+                {currentStep?.model.name}: {currentStep?.fileName ?? 'loading model'}
+              </p>
+              <div className="mt-1 h-2 bg-gray-200 rounded">
+                <div className="h-2 bg-blue-500 rounded" style={{ width: `${progress * 100}%` }} />
+              </div>
+            </div>
+          )}
+
+          {runs.length > 0 && (
+            <ResultsTable runs={runs} names={names} selected={selected} onSelect={setSelected} />
+          )}
+
+          {selectedResult?.status === 'done' && (
+            <div className="p-3 bg-white rounded border border-gray-200 space-y-2">
+              <p className="text-xs text-gray-600">
+                {selected.name} · {runs[selected.modelIndex].model.name}:{' '}
+                {selectedResult.evaluation.words.substitutions} substitutions,{' '}
+                {selectedResult.evaluation.words.deletions} deletions,{' '}
+                {selectedResult.evaluation.words.insertions} insertions in {selectedResult.evaluation.words.referenceLength} reference words
+              </p>
+              <AlignmentView alignment={selectedResult.evaluation.words.alignment} />
+              {reference !== undefined && (
+                <details className="text-xs text-gray-500">
+                  <summary className="cursor-pointer">Reference and recognized text</summary>
+                  <p className="mt-1" style={MALAYALAM_FONT_STYLE}>{reference}</p>
+                  <p className="mt-1" style={MALAYALAM_FONT_STYLE}>{selectedResult.hypothesis}</p>
+                </details>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EvaluationPanel;
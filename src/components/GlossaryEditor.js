@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import {
+  RULE_TYPES,
+  validateRule,
+  glossaryToJson,
+  glossaryToCsv,
+  parseGlossaryFile,
+  mergeGlossaries
+} from '../utils/glossary';
+import { downloadFile } from '../utils/export';
+import { MALAYALAM_FONT_STYLE } from '../constants';
+
+const RuleRow = ({ rule, onChange, onDelete }) => {
+  const error = validateRule(rule);
+
+  return (
+    <li className="py-1">
+      <div className="flex items-center space-x-2">
+        <input
+          type="text"
+          value={rule.find}
+          onChange={(e) => onChange({ ...rule, find: e.target.value })}
+          placeholder="Find"
+          className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-md"
+          style={MALAYALAM_FONT_STYLE}
+        />
+        <input
+          type="text"
+          value={rule.replace}
+          onChange={(e) => onChange({ ...rule, replace: e.target.value })}
+          placeholder="Replace with"
+          className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-md"
+          style={MALAYALAM_FONT_STYLE}
+        />
+        <select
+          value={rule.type}
+          onChange={(e) => onChange({ ...rule, type: e.target.value })}
+          className="px-2 py-1 border border-gray-300 rounded-md"
+        >
+          {RULE_TYPES.map(type => (
+            <option key={type} value={type}>{type === 'regex' ? 'Regex' : 'Literal'}</option>
+          ))}
+        </select>
+        <button onClick={onDelete} className="text-red-600 hover:text-red-800" title="Delete rule">
+          ✕
+        </button>
+      </div>
+      {error && rule.find && <p className="text-xs text-red-600">{error}</p>}
+    </li>
+  );
+};
+
+// Team glossary: terms used as the recognizer prompt, and find/replace rules
+// applied to every new transcription. Shared as JSON or CSV files.
+const GlossaryEditor = ({ glossary, onChange, onError }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const updateRule = (index, rule) => {
+    onChange({ ...glossary, rules: glossary.rules.map((item, i) => (i === index ? rule : item)) });
+  };
+
+  const deleteRule = (index) => {
+    onChange({ ...glossary, rules: glossary.rules.filter((item, i) => i !== index) });
+  };
+
+  const addRule = () => {
+    onChange({ ...glossary, rules: [...glossary.rules, { find: '', replace: '', type: 'literal' }] });
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      onChange(mergeGlossaries(glossary, await parseGlossaryFile(file)));
+    } catch (error) {
+      console.error('Glossary import error:', error);
+      onError(`Failed to import glossary: ${error.message}`);
+    }
+  };
+
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  return (
+    <div>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="text-sm font-medium text-gray-700 hover:text-gray-900"
+      >
+        {isOpen ? '▾' : '▸'} Legal Glossary
+        <span className="ml-2 text-xs text-gray-500">
+          {glossary.terms.filter(Boolean).length} terms, {glossary.rules.length} rules
+        </span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-2 space-y-3 text-sm">
+          <label className="block">
+            <span className="text-gray-700">Terms (one per line, given to Whisper as a prompt)</span>
+            <textarea
+              value={glossary.terms.join('\n')}
+              onChange={(e) => onChange({ ...glossary, terms: e.target.value.split('\n') })}
+              rows={5}
+              placeholder={'suo motu\nWrit Petition (Civil)\nSection 482 CrPC'}
+              className="block w-full mt-1 px-2 py-1 border border-gray-300 rounded-md"
+              style={MALAYALAM_FONT_STYLE}
+            />
+          </label>
+
+          <div>
+            <p className="text-gray-700">Find and replace (applied in order)</p>
+            <ul>
+              {glossary.rules.map((rule, index) => (
+                <RuleRow
+                  key={index}
+                  rule={rule}
+                  onChange={(updated) => updateRule(index, updated)}
+                  onDelete={() => deleteRule(index)}
+                />
+              ))}
+            </ul>
+            <button onClick={addRule} className="mt-1 text-blue-600 hover:text-blue-800">
+              + Add rule
+            </button>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <label className="px-3 py-1 bg-gray-200 rounded-md cursor-pointer hover:bg-gray-300">
+              Import JSON/CSV
+              <input type="file" accept=".json,.csv" onChange={handleImport} className="hidden" />
+            </label>
+            <button
+              onClick={() => downloadFile(`glossary-${stamp}.json`, glossaryToJson(glossary), 'application/json')}
+              className="px-3 py-1 bg-gray-200 rounded-md hover:bg-gray-300"
+            >
+              Export JSON
+            </button>
+            <button
+              onClick={() => downloadFile(`glossary-${stamp}.csv`, glossaryToCsv(glossary), 'text/csv')}
+              className="px-3 py-1 bg-gray-200 rounded-md hover:bg-gray-300"
+            >
+              Export CSV
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GlossaryEditor;
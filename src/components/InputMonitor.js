@@ -0,0 +1,104 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  MIN_DB,
+  toDecibels,
+  measureLevels,
+  createQualityMonitor,
+  QUALITY_WARNINGS
+} from '../utils/audioLevel';
+
+// Columns kept in the scrolling waveform, one per animation frame (~5 s)
+const HISTORY_LENGTH = 300;
+
+// Draw the recent peaks right-aligned, newest on the right
+const drawHistory = (canvas, history) => {
+  const context = canvas.getContext('2d');
+  const width = canvas.clientWidth * window.devicePixelRatio;
+  const height = canvas.clientHeight * window.devicePixelRatio;
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+
+  context.clearRect(0, 0, width, height);
+  const columnWidth = width / HISTORY_LENGTH;
+  const offset = HISTORY_LENGTH - history.length;
+  history.forEach((peak, index) => {
+    const barHeight = Math.max(1, peak * height);
+    context.fillStyle = peak >= 0.99 ? '#dc2626' : '#3b82f6';
+    context.fillRect((offset + index) * columnWidth, (height - barHeight) / 2, Math.max(1, columnWidth), barHeight);
+  });
+};
+
+// Live input level meter, scrolling waveform and quality warnings for the
+// microphone stream being recorded
+const InputMonitor = ({ stream }) => {
+  const [warnings, setWarnings] = useState([]);
+  const canvasRef = useRef(null);
+  const meterRef = useRef(null);
+  const deviceLabel = stream.getAudioTracks()[0]?.label;
+
+  useEffect(() => {
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    const source = audioContext.createMediaStreamSource(stream);
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = 2048;
+    source.connect(analyser);
+
+    const samples = new Float32Array(analyser.fftSize);
+    const monitor = createQualityMonitor();
+    const history = [];
+    let shownWarnings = '';
+    let frame = null;
+
+    const tick = () => {
+      analyser.getFloatTimeDomainData(samples);
+      const levels = measureLevels(samples);
+
+      history.push(levels.peak);
+      if (history.length > HISTORY_LENGTH) history.shift();
+      if (canvasRef.current) drawHistory(canvasRef.current, history);
+
+      // The meter is updated directly rather than through state, as it
+      // changes every frame
+      if (meterRef.current) {
+        const fraction = (toDecibels(levels.rms) - MIN_DB) / -MIN_DB;
+        meterRef.current.style.width = `${Math.round(fraction * 100)}%`;
+      }
+
+      const active = monitor.update(levels, audioContext.currentTime);
+      if (active.join() !== shownWarnings) {
+        shownWarnings = active.join();
+        setWarnings(active);
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      source.disconnect();
+      audioContext.close();
+    };
+  }, [stream]);
+
+  return (
+    <div className="p-3 bg-white rounded border border-gray-200 space-y-2">
+      <div className="flex items-center space-x-2">
+        <span className="text-xs text-gray-500 w-10">Level</span>
+        <div className="flex-1 h-2 bg-gray-200 rounded overflow-hidden">
+          <div ref={meterRef} className="h-2 bg-green-500" style={{ width: '0%' }} />
+        </div>
+      </div>
+      <canvas ref={canvasRef} className="w-full h-12 bg-gray-50 rounded" />
+      {deviceLabel && <p className="text-xs text-gray-500 truncate">Input: {deviceLabel}</p>}
+      {warnings.map(warning => (
+        <p key={warning} className="p-2 text-sm bg-orange-50 text-orange-800 rounded">
+          ⚠ {QUALITY_WARNINGS[warning]}
+        </p>
+      ))}
+    </div>
+  );
+};
+
+export default InputMonitor;
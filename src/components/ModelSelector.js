@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { MODEL_OPTIONS } from '../models';
+
+// Model picker; the fine-tuned CTC model additionally needs its ONNX export
+// and vocab.json picked from disk before it can be loaded
+const ModelSelector = ({ selectedModelId, onSelect, onLoadCtcModel, disabled }) => {
+  const [modelFile, setModelFile] = useState(null);
+  const [vocabFile, setVocabFile] = useState(null);
+
+  return (
+    <div className="mb-4">
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        Recognition Model
+      </label>
+      <select
+        value={selectedModelId}
+        onChange={(e) => onSelect(e.target.value)}
+        disabled={disabled}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+      >
+        {MODEL_OPTIONS.map((option) => (
+          <option key={option.id} value={option.id}>
+            {option.name}
+          </option>
+        ))}
+      </select>
+
+      {selectedModelId === 'custom-ctc' && (
+        <div className="mt-2 p-3 bg-gray-50 rounded-md space-y-2 text-sm">
+          <label className="block">
+            <span className="text-gray-700">ONNX model</span>
+            <input
+              type="file"
+              accept=".onnx"
+              onChange={(e) => setModelFile(e.target.files[0] || null)}
+              className="block w-full mt-1 text-sm"
+            />
+          </label>
+          <label className="block">
+            <span className="text-gray-700">Vocabulary (vocab.json)</span>
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={(e) => setVocabFile(e.target.files[0] || null)}
+              className="block w-full mt-1 text-sm"
+            />
+          </label>
+          <button
+            onClick={() => onLoadCtcModel(modelFile, vocabFile)}
+            disabled={!modelFile || !vocabFile || disabled}
+            className="px-4 py-1 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:opacity-50"
+          >
+            Load Model
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModelSelector;
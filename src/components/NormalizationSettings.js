@@ -0,0 +1,46 @@
+import React from 'react';
+import { NUMERAL_OPTIONS } from '../utils/malayalamNormalize';
+
+const RULES = [
+  { id: 'chillu', label: 'Normalize chillu letters (old encodings to ൻ, ർ, ൽ…)' },
+  { id: 'zeroWidth', label: 'Remove stray zero-width joiners' },
+  { id: 'punctuation', label: 'Clean up punctuation and sentence boundaries' },
+  { id: 'repetitions', label: 'Remove repeated-phrase hallucinations' }
+];
+
+// Post-processing rules applied to new transcriptions before they are saved
+const NormalizationSettings = ({ settings, onChange }) => {
+  return (
+    <div className="space-y-2">
+      <p className="text-sm font-medium text-gray-700">Text Clean-up</p>
+      {RULES.map(rule => (
+        <div key={rule.id} className="flex items-center">
+          <input
+            id={`normalize-${rule.id}`}
+            type="checkbox"
+            checked={settings[rule.id]}
+            onChange={(e) => onChange({ ...settings, [rule.id]: e.target.checked })}
+            className="h-4 w-4 text-blue-600"
+          />
+          <label htmlFor={`normalize-${rule.id}`} className="ml-2 text-sm text-gray-700">
+            {rule.label}
+          </label>
+        </div>
+      ))}
+      <label className="flex items-center space-x-2 text-sm text-gray-700">
+        <span>Numerals</span>
+        <select
+          value={settings.numerals}
+          onChange={(e) => onChange({ ...settings, numerals: e.target.value })}
+          className="px-2 py-1 border border-gray-300 rounded-md"
+        >
+          {NUMERAL_OPTIONS.map(option => (
+            <option key={option.id} value={option.id}>{option.name}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default NormalizationSettings;
@@ -0,0 +1,114 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { MODEL_SOURCE_OPTIONS, DEFAULT_MODEL_BASE_URL } from '../models';
+import { listCachedModels, deleteCachedModel, clearModelCache } from '../utils/modelCache';
+import { formatBytes } from '../utils/format';
+
+// Where models are loaded from, and the model files cached in the browser.
+// Changing the source reloads the model, so `disabled` locks it while jobs run.
+const OfflineSettings = ({ source, onChange, onError, disabled }) => {
+  const [cachedModels, setCachedModels] = useState(null);
+  // The base URL is applied when the field loses focus, not on every keystroke
+  const [baseUrl, setBaseUrl] = useState(source.baseUrl);
+
+  const refresh = useCallback(async () => {
+    try {
+      setCachedModels(await listCachedModels(source.baseUrl));
+    } catch (error) {
+      console.error('Model cache error:', error);
+      onError(`Failed to read the model cache: ${error.message}`);
+    }
+  }, [source.baseUrl, onError]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const handleDelete = async (model) => {
+    await deleteCachedModel(model);
+    refresh();
+  };
+
+  const handleClearAll = async () => {
+    if (!window.confirm('Delete all cached model files? They will be fetched again when next used.')) return;
+    await clearModelCache();
+    refresh();
+  };
+
+  const totalSize = cachedModels?.reduce((sum, model) => sum + model.size, 0) ?? 0;
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-gray-700">
+        Model Files
+      </label>
+      <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+        {MODEL_SOURCE_OPTIONS.map(option => (
+          <label key={option.id} className="flex items-center">
+            <input
+              type="radio"
+              name="model-source"
+              checked={source.mode === option.id}
+              onChange={() => onChange({ ...source, mode: option.id })}
+              disabled={disabled}
+              className="h-4 w-4 text-blue-600"
+            />
+            <span className="ml-2">{option.name}</span>
+          </label>
+        ))}
+      </div>
+      {source.mode === 'local' && (
+        <label className="block text-sm text-gray-700">
+          Base URL
+          <input
+            type="text"
+            value={baseUrl}
+            onChange={(e) => setBaseUrl(e.target.value)}
+            onBlur={() => {
+              const value = baseUrl.trim() || DEFAULT_MODEL_BASE_URL;
+              setBaseUrl(value);
+              if (value !== source.baseUrl) onChange({ ...source, baseUrl: value });
+            }}
+            placeholder={DEFAULT_MODEL_BASE_URL}
+            disabled={disabled}
+            className="block w-full mt-1 px-2 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+          />
+        </label>
+      )}
+
+      <div className="flex items-center justify-between text-sm text-gray-700">
+        <span>Cached in this browser{cachedModels && `: ${formatBytes(totalSize)}`}</span>
+        {cachedModels?.length > 0 && (
+          <button onClick={handleClearAll} className="text-xs text-red-600 hover:text-red-800">
+            Clear all
+          </button>
+        )}
+      </div>
+      {cachedModels?.length === 0 && (
+        <p className="text-xs text-gray-500">No models cached yet; they are cached when first loaded.</p>
+      )}
+      {cachedModels?.length > 0 && (
+        <ul className="divide-y divide-gray-100 text-sm">
+          {cachedModels.map(model => (
+            <li key={model.modelId} className="flex items-center justify-between py-1">
+              <div className="min-w-0">
+                <p className="truncate text-gray-800">{model.modelId}</p>
+                <p className="text-xs text-gray-500">
+                  {model.names.length > 0 ? model.names.join(', ') : `${model.fileCount} files`}
+                  {' · '}{formatBytes(model.size)}
+                </p>
+              </div>
+              <button
+                onClick={() => handleDelete(model)}
+                className="ml-2 text-xs text-red-600 hover:text-red-800"
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default OfflineSettings;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { SpeakerWaveIcon, PauseIcon, PlayIcon, StopIcon } from '@heroicons/react/24/solid';
+import { READ_ALOUD_RATES } from '../hooks/useReadAloud';
+
+const describeReading = (reading, lineCount) => {
+  const line = `line ${reading.index + 1} of ${lineCount}`;
+  switch (reading.status) {
+    case 'loading':
+      return `Loading voice ${Math.round(reading.progress * 100)}%`;
+    case 'preparing':
+      return `Preparing ${line}`;
+    case 'paused':
+      return `Paused at ${line}`;
+    default:
+      return `Reading ${line}`;
+  }
+};
+
+// Read-aloud button of a history entry, and while it is being read, its
+// progress with pause, stop and speed controls. `reading` is useReadAloud's
+// state when this entry is being read, otherwise null.
+const ReadAloudControls = ({ reading, lineCount, rate, onStart, onStop, onPause, onResume, onRateChange }) => {
+  if (!reading) {
+    return (
+      <button
+        onClick={onStart}
+        className="flex items-center px-2 py-0.5 text-xs border border-gray-300 rounded hover:bg-gray-100"
+        title="Read the transcript aloud"
+      >
+        <SpeakerWaveIcon className="h-4 w-4 mr-1" />
+        Read aloud
+      </button>
+    );
+  }
+
+  const isPaused = reading.status === 'paused';
+  return (
+    <div className="flex items-center space-x-1 text-xs text-gray-600" role="status">
+      <span>{describeReading(reading, lineCount)}</span>
+      <button
+        onClick={isPaused ? onResume : onPause}
+        className="p-1 rounded hover:bg-gray-100"
+        title={isPaused ? 'Resume reading' : 'Pause reading'}
+        aria-label={isPaused ? 'Resume reading' : 'Pause reading'}
+      >
+        {isPaused ? <PlayIcon className="h-4 w-4" /> : <PauseIcon className="h-4 w-4" />}
+      </button>
+      <button
+        onClick={onStop}
+        className="p-1 rounded hover:bg-gray-100"
+        title="Stop reading"
+        aria-label="Stop reading"
+      >
+        <StopIcon className="h-4 w-4" />
+      </button>
+      <select
+        value={rate}
+        onChange={(e) => onRateChange(Number(e.target.value))}
+        className="px-1 py-0.5 border border-gray-300 rounded"
+        aria-label="Reading speed"
+      >
+        {READ_ALOUD_RATES.map(option => (
+          <option key={option} value={option}>{option}×</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default ReadAloudControls;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { TTS_VOICE_OPTIONS } from '../models';
+import { READ_ALOUD_RATES } from '../hooks/useReadAloud';
+
+// Voice and speed for reading transcripts aloud, in the Advanced Options panel
+const ReadAloudSettings = ({ settings, onChange }) => {
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-gray-700">
+        Read Aloud
+      </label>
+      <div className="space-y-2 text-sm text-gray-700">
+        <label className="block">
+          <span>Voice</span>
+          <select
+            value={settings.voiceId}
+            onChange={(e) => onChange({ ...settings, voiceId: e.target.value })}
+            className="block w-full mt-1 px-3 py-2 border border-gray-300 rounded-md"
+          >
+            {TTS_VOICE_OPTIONS.map(option => (
+              <option key={option.id} value={option.id}>{option.name}</option>
+            ))}
+          </select>
+        </label>
+        {settings.voiceId === 'custom' && (
+          <label className="block">
+            <span>Model ID</span>
+            <input
+              type="text"
+              value={settings.customModelId}
+              onChange={(e) => onChange({ ...settings, customModelId: e.target.value.trim() })}
+              placeholder="e.g. my-org/mms-tts-mal-finetuned"
+              className="block w-full mt-1 px-2 py-1 border border-gray-300 rounded-md"
+            />
+          </label>
+        )}
+        <label className="flex items-center space-x-2">
+          <span>Speed</span>
+          <select
+            value={settings.rate}
+            onChange={(e) => onChange({ ...settings, rate: Number(e.target.value) })}
+            className="px-2 py-1 border border-gray-300 rounded-md"
+          >
+            {READ_ALOUD_RATES.map(rate => (
+              <option key={rate} value={rate}>{rate}×</option>
+            ))}
+          </select>
+        </label>
+        <p className="text-xs text-gray-500">
+          Speech is synthesized in the browser, from the same model files source as speech recognition. The voice
+          model is downloaded on first use.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ReadAloudSettings;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { formatBytes } from '../utils/format';
+import { formatTimestamp } from '../utils/time';
+
+// Offer recordings that were cut short (browser crash, closed tab or failed
+// transcription) for transcription into the history
+const RecordingRecovery = ({ recordings, onRecover, onDiscard, disabled }) => {
+  const handleDiscard = (recording) => {
+    if (window.confirm('Delete this unfinished recording? It cannot be recovered afterwards.')) {
+      onDiscard(recording.sessionId);
+    }
+  };
+
+  return (
+    <div className="p-4 bg-orange-50 rounded-lg text-orange-900 space-y-2">
+      <p className="text-sm font-medium">
+        {recordings.length === 1 ? 'An unfinished recording was found' : `${recordings.length} unfinished recordings were found`}
+      </p>
+      <ul className="space-y-2">
+        {recordings.map(recording => (
+          <li key={recording.sessionId} className="flex items-center justify-between text-sm">
+            <span>
+              {new Date(recording.startedAt).toLocaleString()}
+              {/* One chunk is written per second of recording */}
+              <span className="ml-2 text-xs text-orange-700">
+                about {formatTimestamp(recording.chunkCount)}, {formatBytes(recording.blob.size)}
+              </span>
+            </span>
+            <span className="flex items-center space-x-2 shrink-0 ml-2">
+              <button
+                onClick={() => onRecover(recording)}
+                disabled={disabled}
+                className="px-2 py-1 text-xs bg-orange-600 text-white rounded hover:bg-orange-700 disabled:opacity-50"
+              >
+                Recover and transcribe
+              </button>
+              <button
+                onClick={() => handleDiscard(recording)}
+                disabled={disabled}
+                className="px-2 py-1 text-xs text-orange-800 hover:text-orange-950 disabled:opacity-50"
+              >
+                Discard
+              </button>
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RecordingRecovery;
@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import { formatTimestamp, parseTimestamp } from '../utils/time';
+import {
+  AUDIO_REDACTION_MODES,
+  REDACTION_PLACEHOLDER,
+  getRedactions,
+  getRedactionLog,
+  getAudioRedactionRanges,
+  isTranscriptWhollyRedacted,
+  describeRedaction,
+  addTextRedaction,
+  addTimeRedaction,
+  removeRedaction
+} from '../utils/redaction';
+
+// Phrases and time ranges to hide in the shared copies of one history entry,
+// with the log of changes. `currentTime` is the playback position, offered as
+// either end of a time range.
+const RedactionPanel = ({ entry, currentTime, onChange, onExportAudio, isExportingAudio }) => {
+  const [phrase, setPhrase] = useState('');
+  const [rangeStart, setRangeStart] = useState('');
+  const [rangeEnd, setRangeEnd] = useState('');
+  const [reason, setReason] = useState('');
+  const [audioMode, setAudioMode] = useState('beep');
+
+  const redactions = getRedactions(entry);
+  const log = getRedactionLog(entry);
+  const audioRanges = getAudioRedactionRanges(entry);
+  const start = parseTimestamp(rangeStart);
+  const end = parseTimestamp(rangeEnd);
+  const isRangeValid = start !== null && end !== null && start !== end;
+
+  // Text selected in the transcript, e.g. by dragging over a name
+  const takeSelectedText = () => {
+    const selected = window.getSelection()?.toString().trim();
+    if (selected) setPhrase(selected);
+  };
+
+  const addPhrase = () => {
+    onChange(addTextRedaction(entry, phrase, reason));
+    setPhrase('');
+  };
+
+  const addRange = () => {
+    onChange(addTimeRedaction(entry, start, end, reason));
+    setRangeStart('');
+    setRangeEnd('');
+  };
+
+  const remove = (redaction) => {
+    if (window.confirm(`Stop redacting ${describeRedaction(redaction)}? This is recorded in the log.`)) {
+      onChange(removeRedaction(entry, redaction.id));
+    }
+  };
+
+  return (
+    <div className="p-3 bg-white rounded border border-gray-200 space-y-3 text-sm">
+      <p className="text-xs text-gray-600">
+        Exports of this recording replace redacted text with {REDACTION_PLACEHOLDER}, and the redacted audio is
+        muted or beeped over. The recording and transcript kept in this browser are not changed.
+      </p>
+      {isTranscriptWhollyRedacted(entry) && (
+        <p className="text-xs text-orange-700">
+          The transcript has no segment timings matching its text (an edit merged or split lines), so the time ranges
+          cannot be placed in it and exports hide the whole transcript. Undo that edit, or redact phrases instead, to
+          share the rest.
+        </p>
+      )}
+
+      <div className="space-y-2">
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="text"
+            value={phrase}
+            onChange={(e) => setPhrase(e.target.value)}
+            placeholder="Name or phrase"
+            className="flex-1 min-w-[10rem] px-2 py-1 border border-gray-300 rounded"
+          />
+          <button
+            // Keep the transcript selection when the button takes focus
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={takeSelectedText}
+            className="px-2 py-1 text-xs border border-gray-300 rounded hover:bg-gray-100"
+          >
+            Use selected text
+          </button>
+          <button
+            onClick={addPhrase}
+            disabled={!phrase.trim()}
+            className="px-3 py-1 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:opacity-50"
+          >
+            Redact text
+          </button>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="text"
+            value={rangeStart}
+            onChange={(e) => setRangeStart(e.target.value)}
+            placeholder="From (m:ss)"
+            className="w-24 px-2 py-1 border border-gray-300 rounded font-mono"
+          />
+          <button
+            onClick={() => setRangeStart(currentTime.toFixed(1))}
+            className="px-2 py-1 text-xs text-blue-600 hover:text-blue-800"
+            title="Use the playback position"
+          >
+            Now
+          </button>
+          <input
+            type="text"
+            value={rangeEnd}
+            onChange={(e) => setRangeEnd(e.target.value)}
+            placeholder="To (m:ss)"
+            className="w-24 px-2 py-1 border border-gray-300 rounded font-mono"
+          />
+          <button
+            onClick={() => setRangeEnd(currentTime.toFixed(1))}
+            className="px-2 py-1 text-xs text-blue-600 hover:text-blue-800"
+            title="Use the playback position"
+          >
+            Now
+          </button>
+          <button
+            onClick={addRange}
+            disabled={!isRangeValid}
+            className="px-3 py-1 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:opacity-50"
+          >
+            Redact time range
+          </button>
+        </div>
+        <input
+          type="text"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder="Reason (optional, kept in the log)"
+          className="w-full px-2 py-1 border border-gray-300 rounded"
+        />
+      </div>
+
+      {redactions.length > 0 && (
+        <ul className="divide-y divide-gray-100 border-t border-gray-100">
+          {redactions.map(redaction => (
+            <li key={redaction.id} className="flex items-center justify-between py-1">
+              <span>
+                {describeRedaction(redaction)}
+                {redaction.reason && <span className="ml-2 text-xs text-gray-500">{redaction.reason}</span>}
+              </span>
+              <button onClick={() => remove(redaction)} className="text-xs text-red-600 hover:text-red-800">
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {audioRanges.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 pt-2 border-t border-gray-100">
+          <span className="text-xs text-gray-600">
+            Audio: {audioRanges.map(range => `${formatTimestamp(range.start)}–${formatTimestamp(range.end)}`).join(', ')}
+          </span>
+          <select
+            value={audioMode}
+            onChange={(e) => setAudioMode(e.target.value)}
+            className="px-2 py-0.5 text-xs border border-gray-300 rounded"
+          >
+            {AUDIO_REDACTION_MODES.map(mode => (
+              <option key={mode.id} value={mode.id}>{mode.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => onExportAudio(audioMode)}
+            disabled={isExportingAudio}
+            className="px-2 py-0.5 text-xs border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50"
+            title="Download the recording as WAV with these ranges redacted"
+          >
+            {isExportingAudio ? 'Preparing…' : 'Download redacted audio'}
+          </button>
+          <span className="w-full text-xs text-gray-500">
+            Times for redacted text are estimated from the segment timings; listen to the download before sharing it.
+          </span>
+        </div>
+      )}
+
+      {log.length > 0 && (
+        <details className="pt-2 border-t border-gray-100">
+          <summary className="text-xs text-gray-600 cursor-pointer">Redaction log ({log.length})</summary>
+          <ul className="mt-1 space-y-0.5 text-xs text-gray-600">
+            {log.map((item, index) => (
+              <li key={index}>
+                <span className="font-mono">{new Date(item.at).toLocaleString()}</span>
+                <span className="ml-2 font-medium">{item.action}</span>
+                <span className="ml-2">{item.description}</span>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+};
+
+export default RedactionPanel;
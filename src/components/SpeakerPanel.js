@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { getSpeakerColor } from '../constants';
+import {
+  SPEAKER_NAME_SUGGESTIONS,
+  getSpeakers,
+  getSpeakerSegmentIndices,
+  addSpeaker,
+  renameSpeaker,
+  removeSpeaker,
+  assignSpeaker,
+  hasSpeakerLabels
+} from '../utils/speakers';
+
+// Speakers of one history entry: create, rename and remove them, label the
+// selected segments, and run automatic speaker detection. `onChange` takes a
+// function from the entry to the changed fields (see utils/speakers.js).
+const SpeakerPanel = ({ entry, segmentCount, selection, onSelectionChange, onChange, onDiarize, isDiarizing }) => {
+  const [newName, setNewName] = useState('');
+  const speakers = getSpeakers(entry);
+  const selected = [...selection];
+
+  const handleAdd = (event) => {
+    event.preventDefault();
+    if (!newName.trim()) return;
+    onChange(current => addSpeaker(current, newName));
+    setNewName('');
+  };
+
+  const handleRename = (speaker, name) => {
+    if (name.trim() && name.trim() !== speaker.name) {
+      onChange(current => renameSpeaker(current, speaker.id, name));
+    }
+  };
+
+  const handleRemove = (speaker) => {
+    if (window.confirm(`Remove ${speaker.name}? Their segments will be left unlabelled.`)) {
+      onChange(current => removeSpeaker(current, speaker.id));
+    }
+  };
+
+  const handleAssign = (speakerId) => {
+    onChange(current => assignSpeaker(current, selected, speakerId));
+    onSelectionChange(new Set());
+  };
+
+  const handleDiarize = () => {
+    if (!hasSpeakerLabels(entry) || window.confirm('Replace the current speaker labels with detected ones?')) {
+      onDiarize();
+    }
+  };
+
+  return (
+    <div className="p-3 bg-white rounded border border-gray-200 space-y-2 text-sm">
+      <ul className="space-y-1">
+        {speakers.map((speaker, index) => (
+          <li key={speaker.id} className="flex items-center space-x-2">
+            <span className={`w-3 h-3 shrink-0 rounded-full ${getSpeakerColor(index)}`} />
+            <input
+              key={speaker.name}
+              defaultValue={speaker.name}
+              onBlur={(e) => handleRename(speaker, e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+              className="flex-1 min-w-0 px-2 py-0.5 border border-gray-300 rounded"
+              aria-label="Speaker name"
+            />
+            <button
+              onClick={() => onSelectionChange(new Set(getSpeakerSegmentIndices(entry, speaker.id)))}
+              className="text-xs text-blue-600 hover:text-blue-800"
+              title="Select this speaker's segments"
+            >
+              {getSpeakerSegmentIndices(entry, speaker.id).length} segments
+            </button>
+            <button
+              onClick={() => handleRemove(speaker)}
+              className="text-xs text-red-600 hover:text-red-800"
+            >
+              Remove
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={handleAdd} className="flex items-center space-x-2">
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          list="speaker-name-suggestions"
+          placeholder="New speaker, e.g. Judge"
+          className="flex-1 min-w-0 px-2 py-0.5 border border-gray-300 rounded"
+        />
+        <datalist id="speaker-name-suggestions">
+          {SPEAKER_NAME_SUGGESTIONS.map(name => <option key={name} value={name} />)}
+        </datalist>
+        <button
+          type="submit"
+          disabled={!newName.trim()}
+          className="px-2 py-0.5 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50"
+        >
+          Add
+        </button>
+      </form>
+
+      <div className="flex flex-wrap items-center gap-2 pt-1 border-t border-gray-100">
+        <span className="text-xs text-gray-600">{selected.length} of {segmentCount} selected</span>
+        <button
+          onClick={() => onSelectionChange(new Set(Array.from({ length: segmentCount }, (_, index) => index)))}
+          className="text-xs text-blue-600 hover:text-blue-800"
+        >
+          All
+        </button>
+        <button
+          onClick={() => onSelectionChange(new Set())}
+          className="text-xs text-blue-600 hover:text-blue-800"
+        >
+          None
+        </button>
+        <select
+          value=""
+          onChange={(e) => handleAssign(e.target.value === 'none' ? null : Number(e.target.value))}
+          disabled={selected.length === 0}
+          className="px-2 py-0.5 text-xs border border-gray-300 rounded disabled:opacity-50"
+        >
+          <option value="" disabled>Label selected as…</option>
+          {speakers.map(speaker => (
+            <option key={speaker.id} value={speaker.id}>{speaker.name}</option>
+          ))}
+          <option value="none">No speaker</option>
+        </select>
+      </div>
+      <p className="text-xs text-gray-500">Shift-click a segment's checkbox to select a range.</p>
+
+      <div className="flex items-center space-x-2">
+        <button
+          onClick={handleDiarize}
+          disabled={!onDiarize || isDiarizing}
+          className="px-2 py-0.5 text-xs border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50"
+          title={onDiarize ? 'Propose speaker labels from the voices in the recording' : 'Pick a speaker embedding model under Advanced Options first'}
+        >
+          {isDiarizing ? 'Detecting speakers…' : 'Detect speakers'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SpeakerPanel;
@@ -0,0 +1,133 @@
+import React, { useState, useMemo } from 'react';
+import { PencilSquareIcon, ArrowUturnLeftIcon, ArrowUturnRightIcon } from '@heroicons/react/24/solid';
+import { MALAYALAM_FONT_STYLE } from '../constants';
+import { diffWords } from '../utils/diff';
+import {
+  getEntryText,
+  getEditableText,
+  isEdited,
+  canUndo,
+  canRedo,
+  getRevisionInfo
+} from '../utils/transcript';
+
+// Word-level comparison of the model output against the corrected text
+const TranscriptDiff = ({ original, corrected }) => {
+  const runs = useMemo(() => diffWords(original, corrected), [original, corrected]);
+  return (
+    <p className="whitespace-pre-wrap" lang="ml" dir="ltr" style={MALAYALAM_FONT_STYLE}>
+      {runs.map((run, index) => {
+        if (run.type === 'insert') {
+          return <ins key={index} className="bg-green-100 text-green-800 no-underline">{run.text} </ins>;
+        }
+        if (run.type === 'delete') {
+          return <del key={index} className="bg-red-100 text-red-800">{run.text} </del>;
+        }
+        return <span key={index}>{run.text} </span>;
+      })}
+    </p>
+  );
+};
+
+// In-place editor for a history entry's transcript, with undo/redo over the
+// saved revisions and a diff against the original model output
+const TranscriptEditor = ({ entry, onSave, onUndo, onRedo, children }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [showDiff, setShowDiff] = useState(false);
+
+  const revision = getRevisionInfo(entry);
+  const edited = isEdited(entry);
+
+  const startEditing = () => {
+    setDraft(getEditableText(entry));
+    setIsEditing(true);
+  };
+
+  const save = () => {
+    onSave(entry.id, draft);
+    setIsEditing(false);
+  };
+
+  if (isEditing) {
+    return (
+      <div className="space-y-2">
+        <textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          className="w-full p-3 border border-gray-300 rounded-md min-h-[150px] focus:outline-none focus:ring-2 focus:ring-blue-500"
+          lang="ml"
+          dir="ltr"
+          style={MALAYALAM_FONT_STYLE}
+          autoFocus
+        />
+        <p className="text-xs text-gray-500">
+          Keep one line per segment to preserve the segment timings.
+        </p>
+        <div className="flex justify-end space-x-2">
+          <button
+            onClick={() => setIsEditing(false)}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-100"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={save}
+            className="px-3 py-1 text-sm bg-blue-500 text-white rounded-md hover:bg-blue-600"
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between text-xs text-gray-500">
+        <span>
+          {edited ? 'Edited' : 'Model output'}
+          {revision.count > 1 && ` · revision ${revision.index + 1} of ${revision.count}`}
+        </span>
+        <div className="flex items-center space-x-1">
+          <button
+            onClick={() => onUndo(entry.id)}
+            disabled={!canUndo(entry)}
+            className="p-1 rounded hover:bg-gray-100 disabled:opacity-30"
+            title="Undo"
+          >
+            <ArrowUturnLeftIcon className="h-4 w-4" />
+          </button>
+          <button
+            onClick={() => onRedo(entry.id)}
+            disabled={!canRedo(entry)}
+            className="p-1 rounded hover:bg-gray-100 disabled:opacity-30"
+            title="Redo"
+          >
+            <ArrowUturnRightIcon className="h-4 w-4" />
+          </button>
+          {edited && (
+            <button
+              onClick={() => setShowDiff(!showDiff)}
+              className="px-2 py-0.5 border border-gray-300 rounded hover:bg-gray-100"
+            >
+              {showDiff ? 'Hide changes' : 'Show changes'}
+            </button>
+          )}
+          <button
+            onClick={startEditing}
+            className="p-1 rounded hover:bg-gray-100"
+            title="Edit transcript"
+          >
+            <PencilSquareIcon className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+      {showDiff && edited
+        ? <TranscriptDiff original={entry.transcription.text} corrected={getEntryText(entry)} />
+        : children}
+    </div>
+  );
+};
+
+export default TranscriptEditor;
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { PencilSquareIcon } from '@heroicons/react/24/solid';
+import { MALAYALAM_FONT_STYLE } from '../constants';
+import { getTranslationModel } from '../models';
+import { formatTimestamp } from '../utils/time';
+import { getEntrySegments } from '../utils/transcript';
+import {
+  getTranslationLines,
+  hasTranslation,
+  isTranslationEdited,
+  isTranslationStale,
+  getUntranslatedLines
+} from '../utils/translation';
+
+// The English translation of one history entry beside its transcript, line by
+// line, with in-place correction. `job` is the running translation
+// ({ stage, progress }) or null.
+const TranslationPanel = ({ entry, lang, modelName, job, onTranslate, onCancel, onSave, onRevert }) => {
+  const [draft, setDraft] = useState(null);
+
+  const translated = hasTranslation(entry);
+  const lines = getTranslationLines(entry) ?? [];
+  const sourceLines = entry.translation?.sourceLines ?? [];
+  const segments = getEntrySegments(entry);
+  const isStale = isTranslationStale(entry);
+  const edited = isTranslationEdited(entry);
+  const changedCount = translated ? getUntranslatedLines(entry).length : 0;
+  // Timings only apply while the translated lines are still the segments
+  const showTimes = segments && !isStale && segments.length === lines.length;
+
+  const save = () => {
+    onSave(draft);
+    setDraft(null);
+  };
+
+  const revert = () => {
+    if (window.confirm('Discard your corrections and go back to the model output?')) {
+      onRevert();
+    }
+  };
+
+  const translateButton = (
+    <button
+      onClick={onTranslate}
+      disabled={Boolean(job)}
+      className="px-3 py-1 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:opacity-50"
+    >
+      {!translated && 'Translate to English'}
+      {translated && changedCount > 0 && `Translate ${changedCount} changed line${changedCount === 1 ? '' : 's'}`}
+      {translated && changedCount === 0 && 'Update translation'}
+    </button>
+  );
+
+  return (
+    <div className="p-3 bg-white rounded border border-gray-200 space-y-2 text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-gray-500">
+        <span>
+          {translated
+            ? `${edited ? 'Corrected' : 'Model output'} · ${getTranslationModel(entry.translation.model).name}`
+            : `Translated in the browser with ${modelName}; the model is downloaded on first use.`}
+        </span>
+        <div className="flex items-center space-x-1">
+          {edited && draft === null && (
+            <button onClick={revert} className="px-2 py-0.5 border border-gray-300 rounded hover:bg-gray-100">
+              Revert to model output
+            </button>
+          )}
+          {translated && draft === null && (
+            <button
+              onClick={() => setDraft([...lines])}
+              disabled={Boolean(job)}
+              className="p-1 rounded hover:bg-gray-100 disabled:opacity-30"
+              title="Edit translation"
+            >
+              <PencilSquareIcon className="h-4 w-4" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {(!translated || isStale) && draft === null && (
+        <div className="flex flex-wrap items-center gap-2">
+          {isStale && (
+            <span className="text-xs text-orange-700">The transcript has changed since it was translated.</span>
+          )}
+          {translateButton}
+        </div>
+      )}
+
+      {job && (
+        <div className="flex items-center gap-2 text-xs text-gray-600">
+          <span>
+            {job.stage === 'loading' ? 'Loading translation model' : 'Translating'} {Math.round(job.progress * 100)}%
+          </span>
+          <button onClick={onCancel} className="text-red-600 hover:text-red-800">Cancel</button>
+        </div>
+      )}
+
+      {translated && (
+        <div className="max-h-64 overflow-y-auto divide-y divide-gray-100">
+          {lines.map((line, index) => (
+            <div key={index} className="grid grid-cols-2 gap-3 py-1.5">
+              <p lang={lang} dir="ltr" style={MALAYALAM_FONT_STYLE}>
+                {showTimes && (
+                  <span className="mr-2 text-xs text-gray-500 font-mono">{formatTimestamp(segments[index].start)}</span>
+                )}
+                {sourceLines[index]}
+              </p>
+              {draft ? (
+                <textarea
+                  value={draft[index]}
+                  onChange={(e) => setDraft(draft.map((value, i) => (i === index ? e.target.value : value)))}
+                  rows={2}
+                  lang="en"
+                  className="w-full px-2 py-1 border border-gray-300 rounded"
+                />
+              ) : (
+                <p lang="en">{line}</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {draft && (
+        <div className="flex justify-end space-x-2">
+          <button
+            onClick={() => setDraft(null)}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-100"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={save}
+            className="px-3 py-1 text-sm bg-blue-500 text-white rounded-md hover:bg-blue-600"
+          >
+            Save
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TranslationPanel;
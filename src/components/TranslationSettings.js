@@ -0,0 +1,29 @@
+import React from 'react';
+import { TRANSLATION_MODEL_OPTIONS } from '../models';
+
+// Model used by "Translate to English" on recordings, in the Advanced Options
+// panel
+const TranslationSettings = ({ modelId, onChange }) => {
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-gray-700">
+        Translation
+      </label>
+      <select
+        value={modelId}
+        onChange={(e) => onChange(e.target.value)}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md"
+      >
+        {TRANSLATION_MODEL_OPTIONS.map(option => (
+          <option key={option.id} value={option.id}>{option.name}</option>
+        ))}
+      </select>
+      <p className="text-xs text-gray-500">
+        Translates finished transcripts to English in the browser, from the same model files source as speech
+        recognition.
+      </p>
+    </div>
+  );
+};
+
+export default TranslationSettings;
@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { ArrowUpTrayIcon } from '@heroicons/react/24/solid';
+import { ACCEPTED_MEDIA_TYPES } from '../utils/audioIngest';
+import { formatBytes } from '../utils/format';
+import { isActiveItem, isFinishedItem } from '../hooks/useUploadQueue';
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  decoding: 'Decoding',
+  transcribing: 'Transcribing',
+  done: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+const STATUS_CLASSES = {
+  queued: 'text-gray-500',
+  decoding: 'text-blue-600',
+  transcribing: 'text-blue-600',
+  done: 'text-green-600',
+  failed: 'text-red-600',
+  cancelled: 'text-gray-500'
+};
+
+const QueueItem = ({ item, isFirst, isLast, onCancel, onRetry, onMove }) => {
+  const isActive = isActiveItem(item);
+
+  return (
+    <li className="py-2">
+      <div className="flex items-center justify-between text-sm">
+        <div className="min-w-0">
+          <p className="truncate text-gray-800" title={item.file.name}>{item.file.name}</p>
+          <p className="text-xs">
+            <span className={STATUS_CLASSES[item.status]}>
+              {STATUS_LABELS[item.status]}
+              {item.status === 'transcribing' && ` ${Math.round(item.progress * 100)}%`}
+            </span>
+            <span className="ml-2 text-gray-400">{formatBytes(item.file.size)}</span>
+          </p>
+          {item.error && <p className="text-xs text-red-600">{item.error}</p>}
+        </div>
+        <div className="flex items-center space-x-2 ml-2 shrink-0 text-xs">
+          {item.status === 'queued' && (
+            <>
+              <button
+                onClick={() => onMove(item.id, -1)}
+                disabled={isFirst}
+                className="text-gray-600 hover:text-gray-800 disabled:opacity-30"
+                title="Move up"
+              >
+                ▲
+              </button>
+              <button
+                onClick={() => onMove(item.id, 1)}
+                disabled={isLast}
+                className="text-gray-600 hover:text-gray-800 disabled:opacity-30"
+                title="Move down"
+              >
+                ▼
+              </button>
+            </>
+          )}
+          {(item.status === 'failed' || item.status === 'cancelled') && (
+            <button onClick={() => onRetry(item.id)} className="text-blue-600 hover:text-blue-800">
+              Retry
+            </button>
+          )}
+          <button onClick={() => onCancel(item.id)} className="text-red-600 hover:text-red-800">
+            {isActive || item.status === 'queued' ? 'Cancel' : 'Remove'}
+          </button>
+        </div>
+      </div>
+      {isActive && (
+        <div className="mt-1 h-1 bg-gray-200 rounded">
+          <div className="h-1 bg-blue-500 rounded" style={{ width: `${item.progress * 100}%` }} />
+        </div>
+      )}
+    </li>
+  );
+};
+
+// File picker and drop zone for audio/video files, plus the queue of uploads
+// being transcribed one after another
+const UploadQueue = ({ items, progress, onAddFiles, onCancel, onRetry, onMove, onClearFinished }) => {
+  const [isDragging, setIsDragging] = useState(false);
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    if (event.dataTransfer.files.length > 0) {
+      onAddFiles(event.dataTransfer.files);
+    }
+  };
+
+  const handleDragOver = (event) => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    setIsDragging(true);
+  };
+
+  const handleFileChange = (event) => {
+    onAddFiles(event.target.files);
+    // Allow choosing the same files again
+    event.target.value = '';
+  };
+
+  const doneCount = items.filter(item => item.status === 'done').length;
+  const failedCount = items.filter(item => item.status === 'failed').length;
+
+  return (
+    <div>
+      <label
+        onDragOver={handleDragOver}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        className={`w-full px-6 py-3 rounded-full cursor-pointer flex items-center justify-center text-white ${
+          isDragging ? 'bg-gray-700 ring-2 ring-blue-400' : 'bg-gray-500 hover:bg-gray-600'
+        }`}
+      >
+        <ArrowUpTrayIcon className="h-6 w-6 mr-2" />
+        {isDragging ? 'Drop files to add them' : 'Upload or Drop Audio/Video Files'}
+        <input
+          type="file"
+          accept={ACCEPTED_MEDIA_TYPES}
+          multiple
+          onChange={handleFileChange}
+          className="hidden"
+        />
+      </label>
+
+      {items.length > 0 && (
+        <div className="mt-3 p-3 bg-white rounded border border-gray-200">
+          <div className="flex items-center justify-between text-sm text-gray-700">
+            <span>
+              {doneCount} of {items.length} done
+              {failedCount > 0 && <span className="ml-1 text-red-600">({failedCount} failed)</span>}
+            </span>
+            {items.some(isFinishedItem) && (
+              <button onClick={onClearFinished} className="text-xs text-blue-600 hover:text-blue-800">
+                Clear finished
+              </button>
+            )}
+          </div>
+          <div className="mt-1 h-2 bg-gray-200 rounded">
+            <div className="h-2 bg-green-500 rounded" style={{ width: `${progress * 100}%` }} />
+          </div>
+          <ul className="mt-2 divide-y divide-gray-100 max-h-64 overflow-y-auto">
+            {items.map((item, index) => (
+              <QueueItem
+                key={item.id}
+                item={item}
+                isFirst={index === 0}
+                isLast={index === items.length - 1}
+                onCancel={onCancel}
+                onRetry={onRetry}
+                onMove={onMove}
+              />
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UploadQueue;
@@ -0,0 +1,64 @@
+import React from 'react';
+
+// Voice activity detection settings for the Advanced Options panel
+const VadSettings = ({ settings, onChange, modelFile, onModelFileChange }) => {
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center">
+        <input
+          id="vad-enabled"
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => onChange({ ...settings, enabled: e.target.checked })}
+          className="h-4 w-4 text-blue-600"
+        />
+        <label htmlFor="vad-enabled" className="ml-2 text-sm font-medium text-gray-700">
+          Skip silence (voice activity detection)
+        </label>
+      </div>
+
+      {settings.enabled && (
+        <div className="pl-6 space-y-2 text-sm text-gray-700">
+          <label className="block">
+            Sensitivity: {Math.round(settings.sensitivity * 100)}%
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={settings.sensitivity}
+              onChange={(e) => onChange({ ...settings, sensitivity: Number(e.target.value) })}
+              className="block w-full"
+            />
+          </label>
+          <label className="flex items-center space-x-2">
+            <span>Minimum silence</span>
+            <input
+              type="number"
+              min="100"
+              step="100"
+              value={settings.minSilenceMs}
+              onChange={(e) => onChange({ ...settings, minSilenceMs: Math.max(100, Number(e.target.value)) })}
+              className="w-24 px-2 py-1 border border-gray-300 rounded-md"
+            />
+            <span>ms</span>
+          </label>
+          <label className="block">
+            <span>Silero VAD model (optional, .onnx)</span>
+            <input
+              type="file"
+              accept=".onnx"
+              onChange={(e) => onModelFileChange(e.target.files[0] || null)}
+              className="block w-full mt-1 text-sm"
+            />
+          </label>
+          <p className="text-xs text-gray-500">
+            {modelFile ? `Using ${modelFile.name}` : 'Using the built-in energy detector'}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VadSettings;
@@ -0,0 +1,29 @@
+import React from 'react';
+
+// Shown instead of the load error when a read-aloud voice has no ONNX export
+// (see "Read Aloud" in the README): how to convert it and serve it from the app
+const VoiceConversionHelp = ({ modelId, onDismiss }) => {
+  return (
+    <div className="p-4 bg-yellow-50 rounded-lg text-sm text-yellow-900 space-y-2" role="alert">
+      <p>
+        The voice <code>{modelId}</code> has no ONNX export, so the browser cannot run it. Convert it with the
+        transformers.js (v2) conversion script and copy it to the app's models:
+      </p>
+      <pre className="p-2 bg-white rounded text-xs overflow-x-auto">
+        {`# in a checkout of https://github.com/xenova/transformers.js (v2)
+python -m scripts.convert --quantize --model_id ${modelId}
+cp -r models/${modelId} <this repo>/public/models/${modelId.split('/')[0]}/
+npm run download-models -- ${modelId}`}
+      </pre>
+      <p>
+        Then choose "This app's server" under Advanced Options → Model Files. The last command lists the copied files
+        in the manifest, so that they are cached for offline use.
+      </p>
+      <button onClick={onDismiss} className="text-xs text-yellow-800 underline hover:text-yellow-900">
+        Dismiss
+      </button>
+    </div>
+  );
+};
+
+export default VoiceConversionHelp;
@@ -0,0 +1,57 @@
+import React, { useEffect, useRef } from 'react';
+
+const drawPeaks = (canvas, peaks) => {
+  const context = canvas.getContext('2d');
+  const width = canvas.clientWidth * window.devicePixelRatio;
+  const height = canvas.clientHeight * window.devicePixelRatio;
+  canvas.width = width;
+  canvas.height = height;
+
+  context.clearRect(0, 0, width, height);
+  context.fillStyle = '#9ca3af';
+  const barWidth = width / peaks.length;
+  // Scaled to the loudest peak so quiet recordings are still readable
+  const scale = 1 / Math.max(0.01, ...peaks);
+  peaks.forEach((peak, index) => {
+    const barHeight = Math.max(1, peak * scale * height);
+    context.fillRect(index * barWidth, (height - barHeight) / 2, Math.max(1, barWidth - 0.5), barHeight);
+  });
+};
+
+// Static waveform of a whole recording with the playback position; clicking
+// seeks there. `peaks` come from computeWaveformPeaks().
+const Waveform = ({ peaks, duration, currentTime, onSeek }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !peaks) return undefined;
+    drawPeaks(canvas, peaks);
+
+    // Redraw at the new size when the layout changes
+    const observer = new ResizeObserver(() => drawPeaks(canvas, peaks));
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, [peaks]);
+
+  if (!peaks) {
+    return <div className="h-12 bg-gray-100 rounded animate-pulse" />;
+  }
+
+  const handleClick = (event) => {
+    if (!duration) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    onSeek(((event.clientX - rect.left) / rect.width) * duration);
+  };
+
+  const position = duration ? Math.min(1, currentTime / duration) : 0;
+
+  return (
+    <div className="relative h-12 cursor-pointer" onClick={handleClick} title="Click to play from here">
+      <canvas ref={canvasRef} className="w-full h-12 bg-white rounded border border-gray-200" />
+      <div className="absolute top-0 bottom-0 w-px bg-blue-600" style={{ left: `${position * 100}%` }} />
+    </div>
+  );
+};
+
+export default Waveform;
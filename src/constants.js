@@ -0,0 +1,22 @@
+// Malayalam font style configuration
+export const MALAYALAM_FONT_STYLE = {
+  fontFamily: 'system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Noto Sans Malayalam", "Malayalam Sangam MN", "Manjari", sans-serif',
+  fontSize: '1.1rem',
+  lineHeight: '1.5',
+  direction: 'ltr',
+  unicodeBidi: 'isolate'
+};
+
+// Badge colours for speaker labels, by the speaker's position in the list
+export const SPEAKER_COLORS = [
+  'bg-blue-100 text-blue-800',
+  'bg-green-100 text-green-800',
+  'bg-purple-100 text-purple-800',
+  'bg-amber-100 text-amber-800',
+  'bg-pink-100 text-pink-800',
+  'bg-teal-100 text-teal-800',
+  'bg-indigo-100 text-indigo-800',
+  'bg-lime-100 text-lime-800'
+];
+
+export const getSpeakerColor = (index) => SPEAKER_COLORS[index % SPEAKER_COLORS.length];
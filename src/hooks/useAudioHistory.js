@@ -0,0 +1,184 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import {
+  loadRecordings,
+  saveRecording,
+  deleteRecordings,
+  getStorageEstimate,
+  requestPersistentStorage
+} from '../utils/historyStore';
+
+const RETENTION_STORAGE_KEY = 'historyRetention';
+
+// maxEntries and maxAgeDays of 0 mean "no limit"
+export const DEFAULT_RETENTION = {
+  maxEntries: 50,
+  maxAgeDays: 0
+};
+
+const loadRetention = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(RETENTION_STORAGE_KEY));
+    return { ...DEFAULT_RETENTION, ...saved };
+  } catch {
+    return DEFAULT_RETENTION;
+  }
+};
+
+// Entries that fall outside the retention policy; history is newest first
+export const getExpiredEntries = (history, { maxEntries, maxAgeDays }) => {
+  const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+  return history.filter((entry, index) =>
+    (maxEntries > 0 && index >= maxEntries) ||
+    (cutoff !== null && new Date(entry.timestamp).getTime() < cutoff)
+  );
+};
+
+const withAudioUrl = (entry) => ({ ...entry, audioUrl: URL.createObjectURL(entry.blob) });
+
+// Recording history backed by IndexedDB. Entries are updated immutably, so
+// any entry whose object identity changes between renders is written back.
+export function useAudioHistory({ onError } = {}) {
+  const [audioHistory, setAudioHistory] = useState([]);
+  const [retention, setRetentionState] = useState(loadRetention);
+  const [storageEstimate, setStorageEstimate] = useState(null);
+  const [isRestored, setIsRestored] = useState(false);
+
+  const persistedRef = useRef(new Map());
+  const historyRef = useRef(audioHistory);
+  historyRef.current = audioHistory;
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  const reportError = useCallback((message, error) => {
+    console.error(message, error);
+    onErrorRef.current?.(`${message}: ${error.message}`);
+  }, []);
+
+  const refreshStorageEstimate = useCallback(async () => {
+    try {
+      setStorageEstimate(await getStorageEstimate());
+    } catch (error) {
+      console.error('Error estimating storage:', error);
+    }
+  }, []);
+
+  // Restore saved recordings on load
+  useEffect(() => {
+    let isMounted = true;
+
+    const restore = async () => {
+      try {
+        requestPersistentStorage().catch(() => {});
+        const records = await loadRecordings();
+        if (!isMounted) return;
+
+        const restored = records.map(withAudioUrl);
+        restored.forEach(entry => persistedRef.current.set(entry.id, entry));
+        setAudioHistory(prevHistory => [
+          ...prevHistory,
+          ...restored.filter(entry => !prevHistory.some(item => item.id === entry.id))
+        ]);
+      } catch (error) {
+        reportError('Failed to restore recording history', error);
+      } finally {
+        if (isMounted) {
+          setIsRestored(true);
+          refreshStorageEstimate();
+        }
+      }
+    };
+
+    restore();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [reportError, refreshStorageEstimate]);
+
+  // Release every object URL when the history goes away
+  useEffect(() => {
+    return () => {
+      historyRef.current.forEach(entry => URL.revokeObjectURL(entry.audioUrl));
+    };
+  }, []);
+
+  // Write new and changed entries back to IndexedDB
+  useEffect(() => {
+    if (!isRestored) return;
+
+    const changed = audioHistory.filter(entry => persistedRef.current.get(entry.id) !== entry);
+    if (changed.length === 0) return;
+
+    // Audio is only written for new entries; updates change metadata only
+    const saves = changed.map(entry => saveRecording(entry, {
+      withAudio: persistedRef.current.get(entry.id)?.blob !== entry.blob
+    }));
+    changed.forEach(entry => persistedRef.current.set(entry.id, entry));
+    Promise.all(saves)
+      .then(refreshStorageEstimate)
+      .catch(error => reportError('Failed to save recording', error));
+  }, [audioHistory, isRestored, reportError, refreshStorageEstimate]);
+
+  // Apply the retention policy whenever the history or the policy changes
+  useEffect(() => {
+    if (!isRestored) return;
+
+    const expired = getExpiredEntries(audioHistory, retention);
+    if (expired.length === 0) return;
+
+    const expiredIds = expired.map(entry => entry.id);
+    expired.forEach(entry => {
+      URL.revokeObjectURL(entry.audioUrl);
+      persistedRef.current.delete(entry.id);
+    });
+    setAudioHistory(prevHistory => prevHistory.filter(item => !expiredIds.includes(item.id)));
+    deleteRecordings(expiredIds)
+      .then(refreshStorageEstimate)
+      .catch(error => reportError('Failed to remove expired recordings', error));
+  }, [audioHistory, retention, isRestored, reportError, refreshStorageEstimate]);
+
+  const addEntry = useCallback((entry) => {
+    setAudioHistory(prevHistory => [withAudioUrl(entry), ...prevHistory]);
+  }, []);
+
+  // changes is either a partial entry or a function of the current entry
+  const updateEntry = useCallback((id, changes) => {
+    setAudioHistory(prevHistory =>
+      prevHistory.map(item =>
+        item.id === id
+          ? { ...item, ...(typeof changes === 'function' ? changes(item) : changes) }
+          : item
+      )
+    );
+  }, []);
+
+  const deleteEntry = useCallback((id) => {
+    const entry = historyRef.current.find(item => item.id === id);
+    if (entry) {
+      URL.revokeObjectURL(entry.audioUrl);
+    }
+    setAudioHistory(prevHistory => prevHistory.filter(item => item.id !== id));
+    persistedRef.current.delete(id);
+    deleteRecordings([id])
+      .then(refreshStorageEstimate)
+      .catch(error => reportError('Failed to delete recording', error));
+  }, [reportError, refreshStorageEstimate]);
+
+  const setRetention = useCallback((changes) => {
+    setRetentionState(prevRetention => {
+      const next = { ...prevRetention, ...changes };
+      localStorage.setItem(RETENTION_STORAGE_KEY, JSON.stringify(next));
+      return next;
+    });
+  }, []);
+
+  return {
+    audioHistory,
+    addEntry,
+    updateEntry,
+    deleteEntry,
+    retention,
+    setRetention,
+    storageEstimate
+  };
+}
@@ -0,0 +1,29 @@
+import { useState, useRef, useEffect } from 'react';
+
+// Seconds spent running, not counting pauses; restarts from zero each time
+// isRunning becomes true and keeps its last value once it stops
+export function useElapsedTime(isRunning, isPaused) {
+  const [elapsed, setElapsed] = useState(0);
+  const accumulatedRef = useRef(0);
+
+  useEffect(() => {
+    if (isRunning) {
+      accumulatedRef.current = 0;
+      setElapsed(0);
+    }
+  }, [isRunning]);
+
+  useEffect(() => {
+    if (!isRunning || isPaused) return undefined;
+    const resumedAt = Date.now();
+    const current = () => accumulatedRef.current + (Date.now() - resumedAt) / 1000;
+    const timer = setInterval(() => setElapsed(current()), 250);
+    return () => {
+      clearInterval(timer);
+      accumulatedRef.current = current();
+      setElapsed(accumulatedRef.current);
+    };
+  }, [isRunning, isPaused]);
+
+  return elapsed;
+}
@@ -0,0 +1,112 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { evaluateTranscript } from '../utils/errorRate';
+
+// Runs an evaluation set through one or more models and scores every
+// transcript against its reference.
+//
+// - prepareModel(model) loads a model into the worker
+// - transcribeFile(file, { signal }) resolves with the transcript text, or
+//   null when cancelled through the signal
+// - restoreModel() reloads the model picked in the UI once the run is over
+//
+// Results are kept per model as runs: [{ model, results: { [name]: { status,
+// hypothesis, evaluation, error } } }], status being pending, running, done,
+// failed or cancelled.
+export function useEvaluation({ prepareModel, transcribeFile, restoreModel }) {
+  const [runs, setRuns] = useState([]);
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState(0);
+  // { model, fileName } of the step in progress; fileName is null while the
+  // model loads
+  const [currentStep, setCurrentStep] = useState(null);
+
+  const controllerRef = useRef(null);
+  const callbacksRef = useRef({ prepareModel, transcribeFile, restoreModel });
+  callbacksRef.current = { prepareModel, transcribeFile, restoreModel };
+
+  const updateResult = useCallback((modelIndex, name, changes) => {
+    setRuns(prevRuns => prevRuns.map((run, index) => (index === modelIndex
+      ? { ...run, results: { ...run.results, [name]: { ...run.results[name], ...changes } } }
+      : run)));
+  }, []);
+
+  // `entries` come from matchAudioFiles(); those without audio are skipped
+  const run = useCallback(async (entries, models) => {
+    const { prepareModel, transcribeFile, restoreModel } = callbacksRef.current;
+    const items = entries.filter(entry => entry.file);
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setRuns(models.map(model => ({
+      model,
+      results: Object.fromEntries(items.map(item => [item.name, { status: 'pending' }]))
+    })));
+    setProgress(0);
+    setIsRunning(true);
+
+    const total = models.length * items.length;
+    let completed = 0;
+    try {
+      for (const [modelIndex, model] of models.entries()) {
+        if (controller.signal.aborted) break;
+        setCurrentStep({ model, fileName: null });
+        try {
+          await prepareModel(model);
+        } catch (error) {
+          items.forEach(item => updateResult(modelIndex, item.name, {
+            status: 'failed',
+            error: `Model failed to load: ${error.message}`
+          }));
+          completed += items.length;
+          setProgress(completed / total);
+          continue;
+        }
+
+        for (const item of items) {
+          if (controller.signal.aborted) break;
+          setCurrentStep({ model, fileName: item.name });
+          updateResult(modelIndex, item.name, { status: 'running' });
+          try {
+            const hypothesis = await transcribeFile(item.file, { signal: controller.signal });
+            updateResult(modelIndex, item.name, hypothesis === null
+              ? { status: 'cancelled' }
+              : { status: 'done', hypothesis, evaluation: evaluateTranscript(item.reference, hypothesis) });
+          } catch (error) {
+            console.error(`Evaluation of ${item.name} failed:`, error);
+            updateResult(modelIndex, item.name, { status: 'failed', error: error.message });
+          }
+          completed++;
+          setProgress(completed / total);
+        }
+      }
+    } finally {
+      controllerRef.current = null;
+      setCurrentStep(null);
+      // Still running until the selected model is back, so that nothing
+      // starts a job on the pipeline while it is being swapped
+      try {
+        await restoreModel();
+      } catch (error) {
+        console.error('Failed to reload the selected model:', error);
+      } finally {
+        setIsRunning(false);
+      }
+    }
+  }, [updateResult]);
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  const clear = useCallback(() => {
+    setRuns([]);
+    setProgress(0);
+  }, []);
+
+  // Stop a running evaluation when the component goes away
+  useEffect(() => {
+    return () => controllerRef.current?.abort();
+  }, []);
+
+  return { runs, isRunning, progress, currentStep, run, cancel, clear };
+}
@@ -0,0 +1,179 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { startPcmCapture } from '../utils/pcmCapture';
+
+const SAMPLE_RATE = 16000;
+
+// How often the not-yet-final audio is transcribed again
+const LIVE_STEP_MS = 2000;
+// Wait for at least this much new audio before the first pass
+const MIN_PENDING_S = 1;
+// Segments ending this close to the live edge may still change, so they stay
+// pending; past MAX_PENDING_S everything is finalized to keep windows short
+const FINALIZE_MARGIN_S = 2;
+const MAX_PENDING_S = 20;
+
+const joinSamples = (chunks) => {
+  const joined = new Float32Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    joined.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return joined;
+};
+
+// Transcribes rolling windows of microphone audio while recording. Audio that
+// has not been finalized is re-transcribed every LIVE_STEP_MS; segments that
+// end well before the live edge are then finalized and their audio dropped.
+export function useLiveTranscription({ transcribe }) {
+  const [isLive, setIsLive] = useState(false);
+  const [finalSegments, setFinalSegments] = useState([]);
+  const [pendingText, setPendingText] = useState('');
+
+  const stopCaptureRef = useRef(null);
+  const timerRef = useRef(null);
+  const pendingRef = useRef(new Float32Array(0));
+  // Captured chunks not yet joined onto the pending audio; they are joined
+  // once per pass rather than on every worklet message
+  const chunksRef = useRef([]);
+  const committedSecondsRef = useRef(0);
+  const segmentsRef = useRef([]);
+  const optionsRef = useRef({});
+  const resultInfoRef = useRef(null);
+  const inFlightRef = useRef(null);
+  // While paused, captured audio is dropped, as it is by the MediaRecorder
+  const isPausedRef = useRef(false);
+
+  const collectPending = useCallback(() => {
+    if (chunksRef.current.length > 0) {
+      pendingRef.current = joinSamples([pendingRef.current, ...chunksRef.current]);
+      chunksRef.current = [];
+    }
+    return pendingRef.current;
+  }, []);
+
+  // Transcribe the pending audio and finalize what is stable; with `final`
+  // set, everything that is left is finalized
+  const runPass = useCallback(async (final = false) => {
+    const pending = collectPending();
+    if (pending.length < MIN_PENDING_S * SAMPLE_RATE && !final) return;
+    if (pending.length === 0) return;
+
+    const result = await transcribe(pending.slice(), SAMPLE_RATE, optionsRef.current, {
+      background: true,
+      onPartial: text => setPendingText(text)
+    });
+    if (result === null) return;
+
+    // Keep decoding in the language detected by the first pass
+    if (optionsRef.current.language == null && result.language) {
+      optionsRef.current = { ...optionsRef.current, language: result.language };
+    }
+    resultInfoRef.current ??= result;
+
+    const pendingSeconds = pending.length / SAMPLE_RATE;
+    let stable = final
+      ? result.segments
+      : result.segments.filter(segment => segment.end <= pendingSeconds - FINALIZE_MARGIN_S);
+    if (stable.length === 0 && pendingSeconds > MAX_PENDING_S) {
+      stable = result.segments;
+    }
+
+    if (stable.length > 0) {
+      const offset = committedSecondsRef.current;
+      const stableEnd = final ? pendingSeconds : stable[stable.length - 1].end;
+      segmentsRef.current = [
+        ...segmentsRef.current,
+        ...stable.map(segment => ({ ...segment, start: segment.start + offset, end: segment.end + offset }))
+      ];
+      setFinalSegments(segmentsRef.current);
+
+      // Drop the finalized audio; whatever arrived during the pass is still
+      // in chunksRef
+      const consumed = Math.min(Math.round(stableEnd * SAMPLE_RATE), pending.length);
+      pendingRef.current = pending.subarray(consumed);
+      committedSecondsRef.current += consumed / SAMPLE_RATE;
+    }
+
+    const unstable = result.segments.filter(segment => !stable.includes(segment));
+    setPendingText(unstable.map(segment => segment.text).join(' '));
+  }, [transcribe, collectPending]);
+
+  const tick = useCallback(() => {
+    if (inFlightRef.current) return;
+    inFlightRef.current = runPass()
+      .catch(error => console.error('Live transcription error:', error))
+      .finally(() => {
+        inFlightRef.current = null;
+      });
+  }, [runPass]);
+
+  const start = useCallback(async (stream, options) => {
+    pendingRef.current = new Float32Array(0);
+    chunksRef.current = [];
+    committedSecondsRef.current = 0;
+    segmentsRef.current = [];
+    resultInfoRef.current = null;
+    optionsRef.current = options;
+    isPausedRef.current = false;
+    setFinalSegments([]);
+    setPendingText('');
+
+    stopCaptureRef.current = await startPcmCapture(stream, SAMPLE_RATE, (samples) => {
+      if (!isPausedRef.current) {
+        chunksRef.current.push(samples);
+      }
+    });
+    timerRef.current = setInterval(tick, LIVE_STEP_MS);
+    setIsLive(true);
+  }, [tick]);
+
+  // Stop capturing, finalize the remaining audio and resolve with the whole
+  // live transcript in the worker's result shape, plus its duration
+  const stop = useCallback(async () => {
+    clearInterval(timerRef.current);
+    stopCaptureRef.current?.();
+    stopCaptureRef.current = null;
+
+    await inFlightRef.current;
+    await runPass(true);
+    setIsLive(false);
+    setPendingText('');
+
+    const segments = segmentsRef.current;
+    const info = resultInfoRef.current;
+    return {
+      text: segments.map(segment => segment.text).join(' '),
+      language: info?.language ?? optionsRef.current.language ?? null,
+      languageDetected: info?.languageDetected ?? false,
+      task: info?.task ?? optionsRef.current.task ?? 'transcribe',
+      segments,
+      duration: committedSecondsRef.current + collectPending().length / SAMPLE_RATE
+    };
+  }, [runPass, collectPending]);
+
+  const pause = useCallback(() => {
+    isPausedRef.current = true;
+  }, []);
+
+  const resume = useCallback(() => {
+    isPausedRef.current = false;
+  }, []);
+
+  useEffect(() => {
+    return () => {
+      clearInterval(timerRef.current);
+      stopCaptureRef.current?.();
+    };
+  }, []);
+
+  return {
+    isLive,
+    finalText: finalSegments.map(segment => segment.text).join(' '),
+    pendingText,
+    start,
+    stop,
+    pause,
+    resume
+  };
+}
@@ -0,0 +1,52 @@
+import { useState, useEffect } from 'react';
+import { useStoredState } from './useStoredState';
+import { DEFAULT_MODEL_SOURCE } from '../models';
+import { fetchModelManifest, toBaseHref } from '../utils/modelCache';
+import { postModelSource } from '../serviceWorkerRegistration';
+
+// Local when the build asks for it or when the app's own server has a model
+// manifest, so that an offline deployment never reaches for the hub
+const findDefaultSource = async () => {
+  if (DEFAULT_MODEL_SOURCE.mode === 'local') return DEFAULT_MODEL_SOURCE;
+  const files = await fetchModelManifest(DEFAULT_MODEL_SOURCE.baseUrl);
+  return files ? { ...DEFAULT_MODEL_SOURCE, mode: 'local' } : DEFAULT_MODEL_SOURCE;
+};
+
+// The model source chosen in Advanced Options → Model Files, or the default
+// one until a choice is made; null while the default is still being worked
+// out. The service worker is kept told of the source's base URL and manifest.
+export function useModelSource() {
+  const [savedSource, setSavedSource] = useStoredState('modelSource', null);
+  const [defaultSource, setDefaultSource] = useState(null);
+  const source = savedSource ?? defaultSource;
+
+  useEffect(() => {
+    if (savedSource !== null) return;
+    let isCurrent = true;
+    findDefaultSource().then(found => {
+      if (isCurrent) setDefaultSource(found);
+    });
+    return () => {
+      isCurrent = false;
+    };
+  }, [savedSource]);
+
+  const mode = source?.mode;
+  const baseUrl = source?.baseUrl;
+  useEffect(() => {
+    if (!mode) return;
+    let isCurrent = true;
+    if (mode === 'local') {
+      fetchModelManifest(baseUrl).then(files => {
+        if (isCurrent) postModelSource({ baseUrl: toBaseHref(baseUrl), files: files ?? [] });
+      });
+    } else {
+      postModelSource({ baseUrl: null, files: [] });
+    }
+    return () => {
+      isCurrent = false;
+    };
+  }, [mode, baseUrl]);
+
+  return [source, setSavedSource];
+}
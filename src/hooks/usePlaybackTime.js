@@ -0,0 +1,41 @@
+import { useState, useEffect } from 'react';
+
+// Current position of an <audio> element, updated every animation frame while
+// it plays (timeupdate alone only fires a few times a second) and on seeks
+export function usePlaybackTime(audioRef) {
+  const [currentTime, setCurrentTime] = useState(0);
+
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio) return undefined;
+    let frame = null;
+
+    const update = () => setCurrentTime(audio.currentTime);
+    const tick = () => {
+      update();
+      frame = requestAnimationFrame(tick);
+    };
+    const handlePlay = () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(tick);
+    };
+    const handlePause = () => {
+      cancelAnimationFrame(frame);
+      update();
+    };
+
+    audio.addEventListener('play', handlePlay);
+    audio.addEventListener('pause', handlePause);
+    audio.addEventListener('ended', handlePause);
+    audio.addEventListener('seeked', update);
+    return () => {
+      cancelAnimationFrame(frame);
+      audio.removeEventListener('play', handlePlay);
+      audio.removeEventListener('pause', handlePause);
+      audio.removeEventListener('ended', handlePause);
+      audio.removeEventListener('seeked', update);
+    };
+  }, [audioRef]);
+
+  return currentTime;
+}
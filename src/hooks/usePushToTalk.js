@@ -0,0 +1,43 @@
+import { useEffect, useRef } from 'react';
+
+// Hold a key to record: onStart() when it goes down, onStop() when it comes
+// back up (or the window loses focus while it is held). onStart may be
+// async; if the key is released before it finishes, onStop runs afterwards.
+export function usePushToTalk({ enabled, onStart, onStop, code = 'F8' }) {
+  const callbacksRef = useRef({ onStart, onStop });
+  callbacksRef.current = { onStart, onStop };
+  const isHeldRef = useRef(false);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const release = () => {
+      if (!isHeldRef.current) return;
+      isHeldRef.current = false;
+      callbacksRef.current.onStop();
+    };
+
+    const handleKeyDown = async (event) => {
+      if (event.code !== code || event.repeat) return;
+      event.preventDefault();
+      isHeldRef.current = true;
+      await callbacksRef.current.onStart();
+      if (!isHeldRef.current) callbacksRef.current.onStop();
+    };
+
+    const handleKeyUp = (event) => {
+      if (event.code !== code) return;
+      event.preventDefault();
+      release();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', release);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', release);
+    };
+  }, [enabled, code]);
+}
@@ -0,0 +1,122 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { encodeWav } from '../utils/wav';
+import { DEFAULT_VOICE_ID } from '../models';
+
+export const READ_ALOUD_RATES = [0.75, 1, 1.25, 1.5, 2];
+
+export const DEFAULT_READ_ALOUD_SETTINGS = { voiceId: DEFAULT_VOICE_ID, customModelId: '', rate: 1 };
+
+const IDLE = { key: null, index: null, status: 'idle', progress: 0 };
+
+// Stands in for the speech of a blank line, which is skipped
+const NO_SPEECH = { audio: new Float32Array(0), sampleRate: 16000 };
+
+// Play synthesized speech for a reading; resolves when it ends or the
+// reading is stopped
+const playLine = (run, { audio, sampleRate }, rate) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(encodeWav(audio, sampleRate));
+  const element = new Audio(url);
+  element.playbackRate = rate;
+  const finish = (error) => {
+    URL.revokeObjectURL(url);
+    run.audio = null;
+    run.finishLine = null;
+    if (error) reject(error); else resolve();
+  };
+  element.onended = () => finish();
+  element.onerror = () => finish(new Error('The synthesized speech could not be played'));
+  run.audio = element;
+  run.finishLine = () => finish();
+  if (!run.paused) {
+    element.play().catch(finish);
+  }
+});
+
+// Reads lines of text aloud one after another with a text-to-speech voice,
+// synthesizing the next line while the current one plays. `synthesize` is
+// useTranscriber's. Only one reading runs at a time; `key` identifies what is
+// being read, and `index` the line being read, counted from `firstIndex`.
+// Status is 'loading' (the voice model, with progress), 'preparing' (a line),
+// 'playing' or 'paused'; a reading paused while preparing waits before playing.
+export function useReadAloud(synthesize) {
+  const [state, setState] = useState(IDLE);
+  const runRef = useRef(null);
+  const rateRef = useRef(1);
+
+  const stop = useCallback(() => {
+    const run = runRef.current;
+    if (!run) return;
+    run.controller.abort();
+    run.audio?.pause();
+    run.finishLine?.();
+    runRef.current = null;
+    setState(IDLE);
+  }, []);
+
+  // Stop reading when the component goes away
+  useEffect(() => stop, [stop]);
+
+  // Resolves once every line has been read, or the reading was stopped
+  const start = useCallback(async (key, lines, options, firstIndex = 0) => {
+    stop();
+    const controller = new AbortController();
+    const run = { controller, audio: null, paused: false, finishLine: null };
+    runRef.current = run;
+    const isCurrent = () => runRef.current === run;
+    const update = (changes) => {
+      if (isCurrent()) setState(current => ({ ...current, ...changes }));
+    };
+    const prepare = (index) => (lines[index].trim()
+      ? synthesize(lines[index], options, {
+        signal: controller.signal,
+        onProgress: (stage, progress) => update({ status: 'loading', progress })
+      })
+      : Promise.resolve(NO_SPEECH));
+
+    setState({ key, index: firstIndex, status: 'preparing', progress: 0 });
+    let next = prepare(0);
+    try {
+      for (let index = 0; index < lines.length; index++) {
+        update({ index: firstIndex + index, status: run.paused ? 'paused' : 'preparing' });
+        const speech = await next;
+        if (!speech || !isCurrent()) return;
+        next = index + 1 < lines.length ? prepare(index + 1) : null;
+        if (speech === NO_SPEECH) continue;
+        update({ status: run.paused ? 'paused' : 'playing' });
+        await playLine(run, speech, rateRef.current);
+        if (!isCurrent()) return;
+      }
+    } finally {
+      // A line being prepared when reading stops is cancelled with the signal
+      next?.catch(() => {});
+      if (isCurrent()) {
+        runRef.current = null;
+        setState(IDLE);
+      }
+    }
+  }, [synthesize, stop]);
+
+  const pause = useCallback(() => {
+    const run = runRef.current;
+    if (!run) return;
+    run.paused = true;
+    run.audio?.pause();
+    setState(current => ({ ...current, status: 'paused' }));
+  }, []);
+
+  const resume = useCallback(() => {
+    const run = runRef.current;
+    if (!run) return;
+    run.paused = false;
+    run.audio?.play().catch(() => {});
+    setState(current => ({ ...current, status: run.audio ? 'playing' : 'preparing' }));
+  }, []);
+
+  // Applies to the line being read as well as the following ones
+  const setRate = useCallback((rate) => {
+    rateRef.current = rate;
+    if (runRef.current?.audio) runRef.current.audio.playbackRate = rate;
+  }, []);
+
+  return { ...state, isReading: state.status !== 'idle', start, stop, pause, resume, setRate };
+}
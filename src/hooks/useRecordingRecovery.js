@@ -0,0 +1,58 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { savePendingChunk, deletePendingRecording, loadPendingRecordings } from '../utils/historyStore';
+
+// Writes the recording in progress to IndexedDB one MediaRecorder chunk at a
+// time, and lists recordings left unfinished by a crash or a failed
+// transcription so they can be recovered.
+export function useRecordingRecovery({ onError } = {}) {
+  const [pendingRecordings, setPendingRecordings] = useState([]);
+
+  // Writes and deletes run in order, so a finished session is never left
+  // with a chunk written after its deletion
+  const queueRef = useRef(Promise.resolve());
+  const failedSessionsRef = useRef(new Set());
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  const enqueue = useCallback((operation) => {
+    const result = queueRef.current.then(operation);
+    queueRef.current = result.catch(() => {});
+    return result;
+  }, []);
+
+  const refresh = useCallback(async () => {
+    try {
+      setPendingRecordings(await enqueue(loadPendingRecordings));
+    } catch (error) {
+      console.error('Error loading unfinished recordings:', error);
+    }
+  }, [enqueue]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Reports only the first failure of a session, not one per second
+  const saveChunk = useCallback((sessionId, index, blob) => {
+    enqueue(() => savePendingChunk(sessionId, index, blob)).catch(error => {
+      console.error('Error saving recording chunk:', error);
+      if (!failedSessionsRef.current.has(sessionId)) {
+        failedSessionsRef.current.add(sessionId);
+        onErrorRef.current?.(`The recording cannot be saved for recovery: ${error.message}`);
+      }
+    });
+  }, [enqueue]);
+
+  // Forget a session's chunks once its recording is safely in the history,
+  // or when the user discards it
+  const discard = useCallback(async (sessionId) => {
+    try {
+      await enqueue(() => deletePendingRecording(sessionId));
+    } catch (error) {
+      console.error('Error deleting recording chunks:', error);
+    }
+    setPendingRecordings(recordings => recordings.filter(recording => recording.sessionId !== sessionId));
+  }, [enqueue]);
+
+  return { pendingRecordings, saveChunk, discard, refresh };
+}
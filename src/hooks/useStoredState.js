@@ -0,0 +1,27 @@
+import { useState, useCallback } from 'react';
+
+// useState mirrored to localStorage, for settings that should survive a reload.
+// Stored objects are merged over the default so that new fields get defaults.
+export function useStoredState(key, defaultValue) {
+  const [value, setValue] = useState(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(key));
+      if (saved === null) return defaultValue;
+      return typeof defaultValue === 'object' && !Array.isArray(defaultValue)
+        ? { ...defaultValue, ...saved }
+        : saved;
+    } catch {
+      return defaultValue;
+    }
+  });
+
+  const setStoredValue = useCallback((update) => {
+    setValue(prevValue => {
+      const next = typeof update === 'function' ? update(prevValue) : update;
+      localStorage.setItem(key, JSON.stringify(next));
+      return next;
+    });
+  }, [key]);
+
+  return [value, setStoredValue];
+}
@@ -0,0 +1,261 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+
+// Download progress of a job's own model, summed over the files it is made of
+const trackDownload = (onProgress) => {
+  const files = {};
+  return ({ file, loaded, total }) => {
+    files[file] = { loaded, total };
+    const totalBytes = Object.values(files).reduce((sum, f) => sum + (f.total || 0), 0);
+    const loadedBytes = Object.values(files).reduce((sum, f) => sum + (f.loaded || 0), 0);
+    onProgress?.('loading', totalBytes > 0 ? loadedBytes / totalBytes : 0);
+  };
+};
+
+// A worker error message as an Error with the worker's error name, so that
+// callers can tell kinds of failure apart
+const toError = ({ name, message }) => {
+  const error = new Error(message);
+  if (name) error.name = name;
+  return error;
+};
+
+// Keeps the Whisper worker alive for the lifetime of the component and
+// exposes promise-based load/transcribe/diarize/translate/synthesize calls on
+// top of its message protocol (see src/worker.js).
+export function useTranscriber() {
+  const [isModelReady, setIsModelReady] = useState(false);
+  const [loadingProgress, setLoadingProgress] = useState(0);
+  const [partialText, setPartialText] = useState('');
+  const [transcriptionProgress, setTranscriptionProgress] = useState(0);
+  const [activeJobId, setActiveJobId] = useState(null);
+
+  const workerRef = useRef(null);
+  const loadRequestRef = useRef(null);
+  const jobsRef = useRef(new Map());
+  const fileProgressRef = useRef({});
+  const nextJobIdRef = useRef(1);
+  const nextLoadIdRef = useRef(1);
+
+  useEffect(() => {
+    const worker = new Worker(new URL('../worker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+    const jobs = jobsRef.current;
+
+    const settleJob = (jobId, settle) => {
+      const job = jobs.get(jobId);
+      if (!job) return;
+      jobs.delete(jobId);
+      setActiveJobId(current => (current === jobId ? null : current));
+      settle(job);
+    };
+
+    worker.onmessage = (event) => {
+      const { type, jobId } = event.data;
+
+      switch (type) {
+        case 'progress': {
+          // Downloads for a job (a translation model) are reported to that job
+          if (jobId != null) {
+            jobs.get(jobId)?.onDownload?.(event.data);
+            break;
+          }
+          // Aggregate byte counts across every file the model is made of
+          const { file, loaded, total } = event.data;
+          fileProgressRef.current[file] = { loaded, total };
+          const files = Object.values(fileProgressRef.current);
+          const totalBytes = files.reduce((sum, f) => sum + (f.total || 0), 0);
+          const loadedBytes = files.reduce((sum, f) => sum + (f.loaded || 0), 0);
+          setLoadingProgress(totalBytes > 0 ? Math.round((loadedBytes / totalBytes) * 100) : 0);
+          break;
+        }
+        case 'ready':
+          // A superseded load may still finish; only the latest counts
+          if (loadRequestRef.current?.loadId !== event.data.loadId) break;
+          setIsModelReady(true);
+          setLoadingProgress(100);
+          loadRequestRef.current.resolve();
+          loadRequestRef.current = null;
+          break;
+        case 'partial': {
+          const job = jobs.get(jobId);
+          job?.onPartial?.(event.data.text, event.data.progress);
+          if (job && !job.background) {
+            setPartialText(event.data.text);
+            setTranscriptionProgress(event.data.progress);
+          }
+          break;
+        }
+        case 'result':
+          settleJob(jobId, job => job.resolve(event.data.result));
+          break;
+        case 'cancelled':
+          settleJob(jobId, job => job.resolve(null));
+          break;
+        case 'error':
+          if (jobId === null) {
+            if (loadRequestRef.current?.loadId === event.data.loadId) {
+              loadRequestRef.current.reject(new Error(event.data.message));
+              loadRequestRef.current = null;
+            }
+          } else {
+            settleJob(jobId, job => job.reject(toError(event.data)));
+          }
+          break;
+        default:
+          console.warn('Unknown worker message:', event.data);
+      }
+    };
+
+    worker.onerror = (event) => {
+      console.error('Worker crashed:', event);
+      const error = new Error(event.message || 'Transcription worker crashed');
+      loadRequestRef.current?.reject(error);
+      loadRequestRef.current = null;
+      jobs.forEach(job => job.reject(error));
+      jobs.clear();
+      setActiveJobId(null);
+    };
+
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+      jobs.clear();
+    };
+  }, []);
+
+  // Load (or switch to) a model from `source` (see DEFAULT_MODEL_SOURCE in
+  // src/models.js); resolves once the worker reports 'ready', after any jobs
+  // queued before it
+  const loadModel = useCallback((model, source) => {
+    loadRequestRef.current?.reject(new Error('Model load superseded'));
+    fileProgressRef.current = {};
+    setIsModelReady(false);
+    setLoadingProgress(0);
+
+    const loadId = nextLoadIdRef.current++;
+    return new Promise((resolve, reject) => {
+      loadRequestRef.current = { loadId, resolve, reject };
+      workerRef.current.postMessage({ type: 'load', loadId, model, source });
+    });
+  }, []);
+
+  // Resolves with the transcription result, or null if the job was cancelled.
+  // options: { language, task }, with a null language meaning auto-detect.
+  // Background jobs (live previews, the upload queue) report partial text only
+  // to onPartial and do not count as the active, cancellable transcription;
+  // they can be cancelled through an AbortSignal instead.
+  const transcribe = useCallback((audio, sampleRate, options = {}, { onPartial, background = false, signal } = {}) => {
+    if (signal?.aborted) {
+      return Promise.resolve(null);
+    }
+
+    const jobId = nextJobIdRef.current++;
+    if (!background) {
+      setPartialText('');
+      setTranscriptionProgress(0);
+      setActiveJobId(jobId);
+    }
+
+    signal?.addEventListener('abort', () => {
+      if (jobsRef.current.has(jobId)) {
+        workerRef.current?.postMessage({ type: 'cancel', jobId });
+      }
+    }, { once: true });
+
+    return new Promise((resolve, reject) => {
+      jobsRef.current.set(jobId, { resolve, reject, onPartial, background });
+      workerRef.current.postMessage({ type: 'transcribe', jobId, audio, sampleRate, options }, [audio.buffer]);
+    });
+  }, []);
+
+  // Resolves with { labels }, a speaker cluster per segment (see
+  // src/utils/diarization.js), or null if cancelled through the signal.
+  // Diarization runs in the background, queued behind any transcription.
+  const diarize = useCallback((audio, sampleRate, segments, options, { signal } = {}) => {
+    if (signal?.aborted) {
+      return Promise.resolve(null);
+    }
+
+    const jobId = nextJobIdRef.current++;
+    signal?.addEventListener('abort', () => {
+      if (jobsRef.current.has(jobId)) {
+        workerRef.current?.postMessage({ type: 'cancel', jobId });
+      }
+    }, { once: true });
+
+    return new Promise((resolve, reject) => {
+      jobsRef.current.set(jobId, { resolve, reject, background: true });
+      workerRef.current.postMessage({ type: 'diarize', jobId, audio, sampleRate, segments, options }, [audio.buffer]);
+    });
+  }, []);
+
+  // Resolves with { translations }, one per text, or null if cancelled through
+  // the signal. options: { model, source, srcLang, tgtLang } (see
+  // TRANSLATION_MODEL_OPTIONS in src/models.js). onProgress(stage, fraction)
+  // reports the model download ('loading') and the texts done ('translating').
+  const translate = useCallback((texts, options, { onProgress, signal } = {}) => {
+    if (signal?.aborted) {
+      return Promise.resolve(null);
+    }
+
+    const jobId = nextJobIdRef.current++;
+    signal?.addEventListener('abort', () => {
+      if (jobsRef.current.has(jobId)) {
+        workerRef.current?.postMessage({ type: 'cancel', jobId });
+      }
+    }, { once: true });
+
+    return new Promise((resolve, reject) => {
+      jobsRef.current.set(jobId, {
+        resolve,
+        reject,
+        background: true,
+        onPartial: (text, progress) => onProgress?.('translating', progress),
+        onDownload: trackDownload(onProgress)
+      });
+      workerRef.current.postMessage({ type: 'translate', jobId, texts, options });
+    });
+  }, []);
+
+  // Resolves with { audio: Float32Array, sampleRate } for the text, or null if
+  // cancelled through the signal. options: { voice, source } (see
+  // TTS_VOICE_OPTIONS in src/models.js). onProgress('loading', fraction)
+  // reports the voice model download.
+  const synthesize = useCallback((text, options, { onProgress, signal } = {}) => {
+    if (signal?.aborted) {
+      return Promise.resolve(null);
+    }
+
+    const jobId = nextJobIdRef.current++;
+    signal?.addEventListener('abort', () => {
+      if (jobsRef.current.has(jobId)) {
+        workerRef.current?.postMessage({ type: 'cancel', jobId });
+      }
+    }, { once: true });
+
+    return new Promise((resolve, reject) => {
+      jobsRef.current.set(jobId, { resolve, reject, background: true, onDownload: trackDownload(onProgress) });
+      workerRef.current.postMessage({ type: 'synthesize', jobId, text, options });
+    });
+  }, []);
+
+  const cancel = useCallback(() => {
+    if (activeJobId !== null) {
+      workerRef.current.postMessage({ type: 'cancel', jobId: activeJobId });
+    }
+  }, [activeJobId]);
+
+  return {
+    isModelReady,
+    loadingProgress,
+    partialText,
+    transcriptionProgress,
+    isTranscribing: activeJobId !== null,
+    loadModel,
+    transcribe,
+    diarize,
+    translate,
+    synthesize,
+    cancel
+  };
+}
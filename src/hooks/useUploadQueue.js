@@ -0,0 +1,118 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+
+// queued -> decoding -> transcribing -> done | failed | cancelled
+const ACTIVE_STATUSES = ['decoding', 'transcribing'];
+const FINISHED_STATUSES = ['done', 'failed', 'cancelled'];
+
+export const isActiveItem = (item) => ACTIVE_STATUSES.includes(item.status);
+export const isFinishedItem = (item) => FINISHED_STATUSES.includes(item.status);
+
+// Overall progress of the queue, counting finished items as complete
+export const getQueueProgress = (items) => {
+  if (items.length === 0) return 0;
+  const done = items.reduce((sum, item) =>
+    sum + (isFinishedItem(item) ? 1 : isActiveItem(item) ? item.progress : 0), 0);
+  return done / items.length;
+};
+
+// Works through uploaded files one at a time. processFile(file, { signal,
+// onStage, onProgress }) does the actual work and resolves false if it was
+// cancelled through the signal; rejections mark the item as failed.
+export function useUploadQueue({ processFile, isPaused = false }) {
+  const [items, setItems] = useState([]);
+
+  const nextIdRef = useRef(1);
+  const activeRef = useRef(null);
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+  const processFileRef = useRef(processFile);
+  processFileRef.current = processFile;
+
+  const updateItem = useCallback((id, changes) => {
+    setItems(prevItems => prevItems.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  const activeId = items.find(isActiveItem)?.id ?? null;
+  const nextId = items.find(item => item.status === 'queued')?.id ?? null;
+
+  // Start the first queued item whenever nothing is running
+  useEffect(() => {
+    if (isPaused || activeId !== null || nextId === null) return;
+
+    const item = itemsRef.current.find(queued => queued.id === nextId);
+    const controller = new AbortController();
+    activeRef.current = { id: nextId, controller };
+    updateItem(nextId, { status: 'decoding', progress: 0, error: null });
+
+    processFileRef.current(item.file, {
+      signal: controller.signal,
+      onStage: status => updateItem(nextId, { status }),
+      onProgress: progress => updateItem(nextId, { progress })
+    })
+      .then(completed => updateItem(nextId, completed
+        ? { status: 'done', progress: 1 }
+        : { status: 'cancelled' }))
+      .catch(error => {
+        console.error(`Failed to process ${item.file.name}:`, error);
+        updateItem(nextId, { status: 'failed', error: error.message });
+      })
+      .finally(() => {
+        if (activeRef.current?.id === nextId) activeRef.current = null;
+      });
+  }, [isPaused, activeId, nextId, updateItem]);
+
+  // Stop the running item when the queue goes away
+  useEffect(() => {
+    return () => activeRef.current?.controller.abort();
+  }, []);
+
+  const addFiles = useCallback((files) => {
+    const added = Array.from(files, file => ({
+      id: nextIdRef.current++,
+      file,
+      status: 'queued',
+      progress: 0,
+      error: null
+    }));
+    setItems(prevItems => [...prevItems, ...added]);
+  }, []);
+
+  // Cancelling a running item aborts it; any other item is removed
+  const cancel = useCallback((id) => {
+    if (activeRef.current?.id === id) {
+      activeRef.current.controller.abort();
+    } else {
+      setItems(prevItems => prevItems.filter(item => item.id !== id || isActiveItem(item)));
+    }
+  }, []);
+
+  const retry = useCallback((id) => {
+    updateItem(id, { status: 'queued', progress: 0, error: null });
+  }, [updateItem]);
+
+  // Move an item up (-1) or down (+1) in the queue
+  const move = useCallback((id, offset) => {
+    setItems(prevItems => {
+      const index = prevItems.findIndex(item => item.id === id);
+      const target = index + offset;
+      if (index === -1 || target < 0 || target >= prevItems.length) return prevItems;
+      const reordered = [...prevItems];
+      [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+      return reordered;
+    });
+  }, []);
+
+  const clearFinished = useCallback(() => {
+    setItems(prevItems => prevItems.filter(item => !isFinishedItem(item)));
+  }, []);
+
+  return {
+    items,
+    progress: getQueueProgress(items),
+    addFiles,
+    cancel,
+    retry,
+    move,
+    clearFinished
+  };
+}
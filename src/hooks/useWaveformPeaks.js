@@ -0,0 +1,40 @@
+import { useState, useEffect, useRef } from 'react';
+import { loadAudio } from '../utils/audioIngest';
+import { computeWaveformPeaks } from '../utils/audioLevel';
+
+// Recordings are decoded one at a time, so opening a long history does not
+// decode every entry at once
+let decodeQueue = Promise.resolve();
+
+const decodePeaks = (blob) => {
+  const peaks = decodeQueue.then(async () => computeWaveformPeaks((await loadAudio(blob)).samples));
+  decodeQueue = peaks.catch(() => {});
+  return peaks;
+};
+
+// Waveform peaks of a history entry. New entries are saved with them; older
+// ones (and live recordings) are decoded once and handed to onComputed to be
+// stored with the entry.
+export function useWaveformPeaks(entry, onComputed) {
+  const [computed, setComputed] = useState(null);
+  const onComputedRef = useRef(onComputed);
+  onComputedRef.current = onComputed;
+  const { id, blob, waveform } = entry;
+
+  useEffect(() => {
+    if (waveform) return undefined;
+    let isCurrent = true;
+    decodePeaks(blob)
+      .then(peaks => {
+        if (!isCurrent) return;
+        setComputed(peaks);
+        onComputedRef.current(id, peaks);
+      })
+      .catch(error => console.error('Could not draw waveform:', error));
+    return () => {
+      isCurrent = false;
+    };
+  }, [id, blob, waveform]);
+
+  return waveform ?? computed;
+}
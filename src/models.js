@@ -0,0 +1,90 @@
+// Speech recognition models offered in the model picker. Whisper models are
+// fetched by transformers.js (see DEFAULT_MODEL_SOURCE); the CTC model is our own fine-tuned wav2vec2
+// (see tune.ipynb), exported to ONNX and loaded from local files.
+export const MODEL_OPTIONS = [
+  { id: 'whisper-tiny-q', name: 'Whisper tiny (quantized)', type: 'whisper', model_id: 'Xenova/whisper-tiny', revision: 'main', quantized: true },
+  { id: 'whisper-tiny', name: 'Whisper tiny', type: 'whisper', model_id: 'Xenova/whisper-tiny', revision: 'main', quantized: false },
+  { id: 'whisper-base-q', name: 'Whisper base (quantized)', type: 'whisper', model_id: 'Xenova/whisper-base', revision: 'main', quantized: true },
+  { id: 'whisper-base', name: 'Whisper base', type: 'whisper', model_id: 'Xenova/whisper-base', revision: 'main', quantized: false },
+  { id: 'whisper-small-q', name: 'Whisper small (quantized)', type: 'whisper', model_id: 'Xenova/whisper-small', revision: 'main', quantized: true },
+  { id: 'whisper-small', name: 'Whisper small', type: 'whisper', model_id: 'Xenova/whisper-small', revision: 'main', quantized: false },
+  { id: 'custom-ctc', name: 'Fine-tuned Malayalam wav2vec2 (local files)', type: 'ctc' }
+];
+
+export const DEFAULT_MODEL_ID = 'whisper-tiny-q';
+
+export const getModelOption = (id) => MODEL_OPTIONS.find(option => option.id === id);
+
+// Model config for a fine-tuned CTC model; the files are read by the worker
+export const createCtcModelConfig = (modelFile, vocabFile) => ({
+  id: 'custom-ctc',
+  name: `wav2vec2 CTC (${modelFile.name})`,
+  type: 'ctc',
+  modelFile,
+  vocabFile
+});
+
+// Translation models for translating finished transcripts, fetched from the
+// same source as the Whisper models. `languageCodes` maps our language codes
+// to the model's own.
+export const TRANSLATION_MODEL_OPTIONS = [
+  {
+    id: 'nllb-600m',
+    name: 'NLLB-200 distilled 600M',
+    model_id: 'Xenova/nllb-200-distilled-600M',
+    quantized: true,
+    languageCodes: { ml: 'mal_Mlym', hi: 'hin_Deva', en: 'eng_Latn' }
+  },
+  {
+    id: 'm2m100-418m',
+    name: 'M2M100 418M',
+    model_id: 'Xenova/m2m100_418M',
+    quantized: true,
+    languageCodes: { ml: 'ml', hi: 'hi', en: 'en' }
+  }
+];
+
+export const DEFAULT_TRANSLATION_MODEL_ID = 'nllb-600m';
+
+export const getTranslationModel = (id) =>
+  TRANSLATION_MODEL_OPTIONS.find(option => option.id === id) ?? TRANSLATION_MODEL_OPTIONS[0];
+
+// Voices for reading transcripts aloud: VITS text-to-speech models (Meta's
+// MMS-TTS) run by transformers.js. The Malayalam voice is converted to ONNX
+// and served by the app (see README); a custom voice is any other converted
+// VITS model, by its model id.
+export const TTS_VOICE_OPTIONS = [
+  { id: 'mms-mal', name: 'Malayalam (MMS-TTS)', model_id: 'facebook/mms-tts-mal', quantized: true },
+  { id: 'mms-eng', name: 'English (MMS-TTS)', model_id: 'Xenova/mms-tts-eng', quantized: true },
+  { id: 'custom', name: 'Custom VITS model' }
+];
+
+export const DEFAULT_VOICE_ID = 'mms-mal';
+
+export const getVoice = (voiceId, customModelId) =>
+  (voiceId === 'custom'
+    ? { id: 'custom', name: customModelId, model_id: customModelId, quantized: true }
+    : TTS_VOICE_OPTIONS.find(option => option.id === voiceId) ?? TTS_VOICE_OPTIONS[0]);
+
+// Cache key identifying a model config, so the worker only reloads on change
+export const getModelKey = (model) =>
+  model.type === 'ctc'
+    ? `ctc:${model.modelFile.name}:${model.modelFile.size}:${model.modelFile.lastModified}:${model.vocabFile.name}`
+    : `whisper:${model.model_id}@${model.revision}:${model.quantized}`;
+
+// Where Whisper model files are fetched from: the Hugging Face hub, or this
+// app's own server (public/models/ by default, see scripts/download-models.js)
+// for machines without internet access. Builds made with
+// REACT_APP_MODEL_SOURCE=local default to the latter, and so does any build
+// whose server has a model manifest (see useModelSource).
+export const MODEL_SOURCE_OPTIONS = [
+  { id: 'remote', name: 'Hugging Face hub' },
+  { id: 'local', name: 'This app\'s server (offline)' }
+];
+
+export const DEFAULT_MODEL_BASE_URL = `${process.env.PUBLIC_URL}/models/`;
+
+export const DEFAULT_MODEL_SOURCE = {
+  mode: process.env.REACT_APP_MODEL_SOURCE === 'local' ? 'local' : 'remote',
+  baseUrl: DEFAULT_MODEL_BASE_URL
+};
@@ -0,0 +1,99 @@
+/* eslint-disable no-restricted-globals */
+// Service worker for offline use. Built by react-scripts (InjectManifest),
+// which injects the list of app shell files into self.__WB_MANIFEST; only
+// registered in production builds (see serviceWorkerRegistration.js).
+//
+// - App shell: precached, navigations answered with index.html
+// - ONNX runtime .wasm files: precached
+// - Model files under the base URL the page posts (see useModelSource):
+//   cached on first use, and the files of its manifest.json (written by
+//   scripts/download-models.js) precached into the cache transformers.js
+//   reads from, so the first transcription works without a network
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst } from 'workbox-strategies';
+import { MODEL_CACHE_NAME } from './utils/modelCache';
+import ortPackage from 'onnxruntime-web/package.json';
+
+const PUBLIC_URL = process.env.PUBLIC_URL;
+const ORT_WASM_FILES = ['ort-wasm.wasm', 'ort-wasm-simd.wasm'].map(file => `${PUBLIC_URL}/ort/${file}`);
+
+clientsClaim();
+
+precacheAndRoute([
+  ...self.__WB_MANIFEST,
+  ...ORT_WASM_FILES.map(url => ({ url, revision: ortPackage.version }))
+]);
+
+// Client-side routing: every navigation that is not for a file gets index.html
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) =>
+    request.mode === 'navigate' && !url.pathname.startsWith('/_') && !url.pathname.match(fileExtension),
+  createHandlerBoundToURL(`${PUBLIC_URL}/index.html`)
+);
+
+// The page's model source, { baseUrl, files } as posted by the page, with a
+// null baseUrl for the hub. The service worker is stopped between events, so
+// the source is also kept in a cache of its own and read back on start.
+const MODEL_SOURCE_CACHE_NAME = 'model-source';
+const MODEL_SOURCE_KEY = `${PUBLIC_URL}/__model-source`;
+let modelSource = null;
+
+const readModelSource = async () => {
+  const response = await (await caches.open(MODEL_SOURCE_CACHE_NAME)).match(MODEL_SOURCE_KEY);
+  return response ? response.json() : null;
+};
+
+const saveModelSource = async (source) => {
+  modelSource = source;
+  const cache = await caches.open(MODEL_SOURCE_CACHE_NAME);
+  await cache.put(MODEL_SOURCE_KEY, new Response(JSON.stringify(source)));
+};
+
+const modelSourceRead = readModelSource()
+  .then(source => {
+    modelSource ??= source;
+  })
+  .catch(error => console.warn('Could not read the model source:', error));
+
+// Model files are large and never change for a given path
+registerRoute(
+  ({ url }) => Boolean(modelSource?.baseUrl) && url.href.startsWith(modelSource.baseUrl),
+  new CacheFirst({ cacheName: MODEL_CACHE_NAME })
+);
+
+// Fetch every file of the source's manifest that is not cached yet
+const precacheModels = async ({ baseUrl, files }) => {
+  if (!baseUrl) return;
+  const cache = await caches.open(MODEL_CACHE_NAME);
+
+  for (const file of files) {
+    const url = new URL(file, baseUrl).href;
+    if (await cache.match(url)) continue;
+    try {
+      await cache.add(url);
+    } catch (error) {
+      console.warn(`Could not precache ${url}:`, error);
+    }
+  }
+};
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(modelSourceRead
+    .then(() => modelSource && precacheModels(modelSource))
+    .catch(error => console.warn('Model precaching failed:', error)));
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+  if (event.data?.type === 'MODEL_SOURCE') {
+    const { baseUrl, files } = event.data;
+    event.waitUntil(saveModelSource({ baseUrl, files })
+      .then(() => precacheModels(modelSource))
+      .catch(error => console.warn('Model precaching failed:', error)));
+  }
+});
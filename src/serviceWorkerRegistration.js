@@ -0,0 +1,22 @@
+// Registers the offline service worker (src/service-worker.js) in production
+// builds. The development server does not build one.
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(error => console.error('Service worker registration failed:', error));
+  });
+}
+
+// Tells the service worker where model files are loaded from: requests under
+// `baseUrl` (absolute, or null for the hub) are answered from the model cache,
+// and the manifest's `files` under it are precached
+export function postModelSource({ baseUrl, files }) {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.ready
+    .then(registration => registration.active?.postMessage({ type: 'MODEL_SOURCE', baseUrl, files }))
+    .catch(error => console.error('Could not send the model source to the service worker:', error));
+}
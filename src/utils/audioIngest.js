@@ -0,0 +1,147 @@
+// Audio ingestion: turn a recording, an uploaded audio file or the audio track
+// of a local video into mono Float32 samples at the recognizer's sample rate.
+//
+// Decoding goes through an OfflineAudioContext at the recognizer's rate
+// rather than a realtime AudioContext created at 16 kHz (which some browsers
+// ignore). decodeAudioData resamples to its context's rate, so the decoded
+// audio is already at 16 kHz and a long recording is never held in memory at
+// its original rate. This is as deterministic as an explicit render pass: an
+// offline context does not depend on an audio device or on timing, so the
+// same file always gives the same samples in a given browser. It is also the
+// better resampler in Chrome, whose buffer sources interpolate linearly where
+// decoding uses a windowed sinc filter. Should a browser decode at another
+// rate anyway, the audio is rendered to 16 kHz by resample().
+
+export const TARGET_SAMPLE_RATE = 16000;
+
+const VIDEO_EXTENSIONS = ['mp4', 'm4v', 'webm', 'mkv', 'mov'];
+const AUDIO_EXTENSIONS = ['wav', 'mp3', 'm4a', 'aac', 'ogg', 'oga', 'opus', 'flac', 'weba'];
+
+// Value for the `accept` attribute of file inputs
+export const ACCEPTED_MEDIA_TYPES = [
+  'audio/*',
+  'video/mp4',
+  'video/webm',
+  'video/x-matroska',
+  'video/quicktime',
+  ...VIDEO_EXTENSIONS.map(extension => `.${extension}`)
+].join(',');
+
+export class UnsupportedMediaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedMediaError';
+  }
+}
+
+const getExtension = (name = '') => {
+  const dot = name.lastIndexOf('.');
+  return dot === -1 ? '' : name.slice(dot + 1).toLowerCase();
+};
+
+// 'audio', 'video' or null when neither the MIME type nor the extension is
+// one we can read. Recorded blobs have no name, only a type; some browsers
+// give .mkv files no type at all.
+export const getMediaKind = (file) => {
+  const type = file.type || '';
+  if (type.startsWith('video/')) return 'video';
+  if (type.startsWith('audio/')) return 'audio';
+
+  const extension = getExtension(file.name);
+  if (VIDEO_EXTENSIONS.includes(extension)) return 'video';
+  if (AUDIO_EXTENSIONS.includes(extension)) return 'audio';
+  return null;
+};
+
+const describeFile = (file) => (file.name ? `"${file.name}"` : 'The recording');
+
+const getOfflineContextClass = () => {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext) {
+    throw new UnsupportedMediaError('This browser does not support the Web Audio API needed to decode audio');
+  }
+  return OfflineContext;
+};
+
+const decodeArrayBuffer = (arrayBuffer) => {
+  const OfflineContext = getOfflineContextClass();
+  // The context only decodes, so its length is irrelevant; its rate is the
+  // rate the audio is decoded at
+  const context = new OfflineContext(1, 1, TARGET_SAMPLE_RATE);
+  // Older Safari only has the callback form
+  return new Promise((resolve, reject) => {
+    const promise = context.decodeAudioData(arrayBuffer, resolve, reject);
+    promise?.then(resolve, reject);
+  });
+};
+
+// Average all channels into one, so neither side of a stereo recording is lost
+export const downmixToMono = (audioBuffer) => {
+  const { numberOfChannels, length } = audioBuffer;
+  if (numberOfChannels === 1) {
+    return new Float32Array(audioBuffer.getChannelData(0));
+  }
+
+  const mono = new Float32Array(length);
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < length; i++) mono[i] += data[i];
+  }
+  for (let i = 0; i < length; i++) mono[i] /= numberOfChannels;
+  return mono;
+};
+
+// Resample mono samples by rendering them through an OfflineAudioContext
+export const resample = async (samples, sampleRate, targetRate = TARGET_SAMPLE_RATE) => {
+  if (sampleRate === targetRate) {
+    return samples;
+  }
+
+  const OfflineContext = getOfflineContextClass();
+  const length = Math.ceil(samples.length * targetRate / sampleRate);
+  const context = new OfflineContext(1, length, targetRate);
+
+  const buffer = context.createBuffer(1, samples.length, sampleRate);
+  buffer.copyToChannel(samples, 0);
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.connect(context.destination);
+  source.start();
+
+  const rendered = await context.startRendering();
+  return rendered.getChannelData(0);
+};
+
+// Decode a Blob or File into `{ samples, sampleRate, duration, kind }` with
+// mono samples at TARGET_SAMPLE_RATE. Throws UnsupportedMediaError with a
+// message fit for the user when the file cannot be read.
+export const loadAudio = async (file) => {
+  const kind = getMediaKind(file);
+  if (!kind) {
+    throw new UnsupportedMediaError(
+      `${describeFile(file)} is not an audio or video file. Supported formats: WAV, MP3, M4A, OGG, FLAC, WebM, MP4 and MKV.`
+    );
+  }
+
+  let audioBuffer;
+  try {
+    audioBuffer = await decodeArrayBuffer(await file.arrayBuffer());
+  } catch {
+    throw new UnsupportedMediaError(
+      kind === 'video'
+        ? `Could not read the audio track of ${describeFile(file)}. The video may have no audio, or use a codec this browser cannot decode; try converting it to MP4 (AAC audio) or WebM (Opus audio).`
+        : `Could not decode ${describeFile(file)}. The file may be damaged or use a codec this browser cannot decode; try converting it to WAV or MP3.`
+    );
+  }
+
+  if (audioBuffer.length === 0) {
+    throw new UnsupportedMediaError(`${describeFile(file)} contains no audio`);
+  }
+
+  return {
+    samples: await resample(downmixToMono(audioBuffer), audioBuffer.sampleRate),
+    sampleRate: TARGET_SAMPLE_RATE,
+    duration: audioBuffer.duration,
+    kind
+  };
+};
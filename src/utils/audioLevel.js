@@ -0,0 +1,92 @@
+// Input level measurements for the recording monitor and waveform peaks for
+// drawing recordings.
+
+// Levels are in dBFS (0 = full scale); silence is clamped to this floor
+export const MIN_DB = -90;
+
+export const toDecibels = (amplitude) => Math.max(MIN_DB, 20 * Math.log10(amplitude || 1e-10));
+
+// RMS and absolute peak of a block of samples in -1..1
+export const measureLevels = (samples) => {
+  let sumOfSquares = 0;
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const value = samples[i];
+    sumOfSquares += value * value;
+    const magnitude = Math.abs(value);
+    if (magnitude > peak) peak = magnitude;
+  }
+  return {
+    rms: samples.length > 0 ? Math.sqrt(sumOfSquares / samples.length) : 0,
+    peak
+  };
+};
+
+// When the monitor warns. Near-digital-silence for a while usually means a
+// muted or wrong input; a quiet but non-silent signal means the microphone is
+// too far away or its gain too low.
+export const QUALITY_THRESHOLDS = {
+  silenceDb: -60,
+  silenceSeconds: 5,
+  lowSignalDb: -45,
+  lowSignalSeconds: 10,
+  clipLevel: 0.99,
+  // Clipped blocks within the last clipWindowSeconds that trigger a warning
+  clipCount: 3,
+  clipWindowSeconds: 2
+};
+
+export const QUALITY_WARNINGS = {
+  silence: 'No sound from the microphone. Check that it is not muted and that the right input device is selected.',
+  lowSignal: 'The input level is very low. Move the microphone closer or raise its gain.',
+  clipping: 'The input is clipping (too loud). Move the microphone away or lower its gain.'
+};
+
+// Tracks levels over time and reports which warnings apply. Call update()
+// with each block's levels and the current time in seconds; it returns the
+// warning ids (keys of QUALITY_WARNINGS) that are active.
+export const createQualityMonitor = (thresholds = QUALITY_THRESHOLDS) => {
+  let quietSince = null;
+  let lowSince = null;
+  let clipTimes = [];
+
+  return {
+    update: ({ rms, peak }, time) => {
+      const db = toDecibels(rms);
+
+      quietSince = db < thresholds.silenceDb ? (quietSince ?? time) : null;
+      lowSince = db < thresholds.lowSignalDb ? (lowSince ?? time) : null;
+      if (peak >= thresholds.clipLevel) clipTimes.push(time);
+      clipTimes = clipTimes.filter(clipTime => time - clipTime <= thresholds.clipWindowSeconds);
+
+      const warnings = [];
+      const isSilent = quietSince !== null && time - quietSince >= thresholds.silenceSeconds;
+      if (isSilent) {
+        warnings.push('silence');
+      } else if (lowSince !== null && time - lowSince >= thresholds.lowSignalSeconds) {
+        warnings.push('lowSignal');
+      }
+      if (clipTimes.length >= thresholds.clipCount) warnings.push('clipping');
+      return warnings;
+    }
+  };
+};
+
+// Peak magnitude of each of `bucketCount` equal slices of the samples, for
+// drawing a whole recording as a static waveform
+export const computeWaveformPeaks = (samples, bucketCount = 800) => {
+  const count = Math.min(bucketCount, samples.length);
+  const peaks = new Array(count).fill(0);
+  const bucketSize = samples.length / count;
+  for (let bucket = 0; bucket < count; bucket++) {
+    const start = Math.floor(bucket * bucketSize);
+    const end = Math.floor((bucket + 1) * bucketSize);
+    let peak = 0;
+    for (let i = start; i < end; i++) {
+      const magnitude = Math.abs(samples[i]);
+      if (magnitude > peak) peak = magnitude;
+    }
+    peaks[bucket] = Math.round(peak * 1000) / 1000;
+  }
+  return peaks;
+};
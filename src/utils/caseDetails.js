@@ -0,0 +1,28 @@
+// Case metadata attached to a history entry as `caseDetails`, for filing the
+// transcript as a court record. Every field is a string; hearingDate is
+// YYYY-MM-DD as given by a date input.
+
+export const CASE_DETAIL_FIELDS = [
+  { id: 'caseNumber', label: 'Case number', placeholder: 'e.g. WP(C) 1234/2026' },
+  { id: 'bench', label: 'Bench', placeholder: "e.g. Hon'ble Mr. Justice …" },
+  { id: 'courtHall', label: 'Court hall', placeholder: 'e.g. Court Hall 3' },
+  { id: 'parties', label: 'Parties', placeholder: 'e.g. Petitioner v. Respondent', multiline: true },
+  { id: 'hearingDate', label: 'Hearing date', type: 'date' },
+  { id: 'note', label: 'Note', multiline: true }
+];
+
+export const EMPTY_CASE_DETAILS = Object.fromEntries(CASE_DETAIL_FIELDS.map(field => [field.id, '']));
+
+export const getCaseDetails = (entry) => ({ ...EMPTY_CASE_DETAILS, ...entry.caseDetails });
+
+export const hasCaseDetails = (entry) => Object.values(getCaseDetails(entry)).some(value => value.trim());
+
+// Trimmed copy of form values, for saving
+export const cleanCaseDetails = (details) =>
+  Object.fromEntries(CASE_DETAIL_FIELDS.map(field => [field.id, (details[field.id] ?? '').trim()]));
+
+// DD-MM-YYYY, as court records write dates; other values are returned as is
+export const formatHearingDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value ?? '');
+  return match ? `${match[3]}-${match[2]}-${match[1]}` : value ?? '';
+};
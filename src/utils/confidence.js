@@ -0,0 +1,139 @@
+// Confidence measures for recognized segments, after Whisper's own fallback
+// heuristics: average token log-probability, probability that a window holds
+// no speech, and the text's gzip compression ratio (looping, repetitive
+// output compresses unusually well).
+//
+// Segments carry them as segment.confidence = { avgLogprob, noSpeechProb,
+// compressionRatio }, any of which may be null when the model cannot tell.
+
+export const DEFAULT_CONFIDENCE_SETTINGS = {
+  highlight: true,
+  // Segments whose average token probability (exp of avgLogprob) is below
+  // this are flagged
+  threshold: 0.4
+};
+
+// Whisper's defaults for treating a window as silence or as a repetition loop
+const MAX_NO_SPEECH_PROB = 0.6;
+const MAX_COMPRESSION_RATIO = 2.4;
+
+const logSumExp = (values) => {
+  let max = -Infinity;
+  for (let i = 0; i < values.length; i++) if (values[i] > max) max = values[i];
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) sum += Math.exp(values[i] - max);
+  return max + Math.log(sum);
+};
+
+// Log-probability of `id` in a row of logits
+export const logProbability = (row, id) => row[id] - logSumExp(row);
+
+// Records the log-probability of every token a greedy decoder picks. Call
+// observe() with the logits row each step is sampled from and the position
+// it fills; the token is only known once the next step starts (or decoding
+// ends), so resolve() is given the sequence so far.
+export const createTokenLogprobRecorder = () => {
+  const logprobs = [];
+  let pending = null;
+
+  const resolve = (tokens) => {
+    if (pending && pending.position < tokens.length) {
+      logprobs[pending.position] = logProbability(pending.row, Number(tokens[pending.position]));
+      pending = null;
+    }
+  };
+
+  return {
+    logprobs,
+    observe: (row, position, tokens) => {
+      resolve(tokens);
+      pending = { row, position };
+    },
+    resolve
+  };
+};
+
+// Split a window's tokens into timestamped spans ({ start, end, logprobSum,
+// tokenCount }, times relative to the window) using Whisper's
+// <|start|> text <|end|> token pairs. `firstPosition` is the index of the
+// first token after the decoder prefix; text tokens are those below
+// `firstSpecialId`.
+export const getTimedSpans = (tokens, logprobs, { firstPosition, timestampBegin, firstSpecialId, timePrecision }) => {
+  const spans = [];
+  let span = null;
+
+  for (let position = firstPosition; position < tokens.length; position++) {
+    const id = Number(tokens[position]);
+    if (id >= timestampBegin) {
+      const time = (id - timestampBegin) * timePrecision;
+      if (span === null) {
+        span = { start: time, end: time, logprobSum: 0, tokenCount: 0 };
+      } else {
+        span.end = time;
+        if (span.tokenCount > 0) spans.push(span);
+        span = null;
+      }
+    } else if (id < firstSpecialId && span !== null && logprobs[position] !== undefined) {
+      span.logprobSum += logprobs[position];
+      span.tokenCount++;
+    }
+  }
+  // A final span without a closing timestamp (cut off by the window)
+  if (span !== null && span.tokenCount > 0) {
+    spans.push({ ...span, end: Infinity });
+  }
+  return spans;
+};
+
+const overlap = (a, b) => Math.max(0, Math.min(a.end, b.end) - Math.max(a.start, b.start));
+
+// Average log-probability of the spans overlapping a segment, weighting each
+// span's tokens by how much of it the segment covers
+export const averageLogprobFor = (segment, spans) => {
+  let logprobSum = 0;
+  let tokenCount = 0;
+  spans.forEach(span => {
+    const spanLength = span.end - span.start;
+    const weight = spanLength > 0 && Number.isFinite(spanLength)
+      ? overlap(segment, span) / spanLength
+      : (segment.start <= span.start && span.start < segment.end ? 1 : 0);
+    logprobSum += span.logprobSum * weight;
+    tokenCount += span.tokenCount * weight;
+  });
+  return tokenCount > 0 ? logprobSum / tokenCount : null;
+};
+
+// gzip-style compression ratio of a text (bytes / deflated bytes), or null
+// where the browser has no CompressionStream
+export const compressionRatio = async (text) => {
+  if (!text || typeof CompressionStream === 'undefined') return null;
+  const bytes = new TextEncoder().encode(text);
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  const compressed = await new Response(stream).arrayBuffer();
+  return bytes.length / compressed.byteLength;
+};
+
+// Average token probability in 0..1, or null without a log-probability
+export const getTokenProbability = (confidence) =>
+  confidence?.avgLogprob == null ? null : Math.exp(confidence.avgLogprob);
+
+// Reasons a segment should be double-checked; empty when it looks fine
+export const getUncertaintyReasons = (segment, { threshold } = DEFAULT_CONFIDENCE_SETTINGS) => {
+  const confidence = segment.confidence;
+  if (!confidence) return [];
+
+  const reasons = [];
+  const probability = getTokenProbability(confidence);
+  if (probability !== null && probability < threshold) {
+    reasons.push(`low confidence (${Math.round(probability * 100)}%)`);
+  }
+  if (confidence.noSpeechProb != null && confidence.noSpeechProb > MAX_NO_SPEECH_PROB) {
+    reasons.push(`possibly no speech (${Math.round(confidence.noSpeechProb * 100)}%)`);
+  }
+  if (confidence.compressionRatio != null && confidence.compressionRatio > MAX_COMPRESSION_RATIO) {
+    reasons.push(`repetitive text (compression ratio ${confidence.compressionRatio.toFixed(1)})`);
+  }
+  return reasons;
+};
+
+export const isUncertain = (segment, settings) => getUncertaintyReasons(segment, settings).length > 0;
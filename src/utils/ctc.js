@@ -0,0 +1,86 @@
+// Greedy CTC decoding for wav2vec2-style models, driven by the vocab.json
+// written by tune.ipynb: "<pad>" is the CTC blank, "|" separates words and the
+// other special tokens are dropped.
+
+const SPECIAL_TOKENS = ['<pad>', '<s>', '</s>', '<unk>'];
+const WORD_DELIMITER = '|';
+
+// Invert a token -> id vocabulary into an id -> token lookup
+export const createIdToToken = (vocab) => {
+  const idToToken = [];
+  Object.entries(vocab).forEach(([token, id]) => {
+    idToToken[id] = token;
+  });
+  return idToToken;
+};
+
+// Zero-mean, unit-variance normalization, as done by Wav2Vec2FeatureExtractor
+export const normalizeInputValues = (samples) => {
+  let mean = 0;
+  for (let i = 0; i < samples.length; i++) mean += samples[i];
+  mean /= samples.length || 1;
+
+  let variance = 0;
+  for (let i = 0; i < samples.length; i++) variance += (samples[i] - mean) ** 2;
+  variance /= samples.length || 1;
+
+  const scale = 1 / Math.sqrt(variance + 1e-7);
+  const normalized = new Float32Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    normalized[i] = (samples[i] - mean) * scale;
+  }
+  return normalized;
+};
+
+// Decode row-major logits of shape [frames, vocabSize]: take the best token per
+// frame, collapse repeats, then drop blanks and special tokens
+export const ctcGreedyDecode = (logits, frames, vocabSize, idToToken, vocab) => {
+  const blankId = vocab['<pad>'] ?? 0;
+  const specialIds = new Set(SPECIAL_TOKENS.map(token => vocab[token]).filter(id => id !== undefined));
+
+  let text = '';
+  let previousId = -1;
+  for (let frame = 0; frame < frames; frame++) {
+    let bestId = 0;
+    let bestScore = -Infinity;
+    const rowOffset = frame * vocabSize;
+    for (let id = 0; id < vocabSize; id++) {
+      if (logits[rowOffset + id] > bestScore) {
+        bestScore = logits[rowOffset + id];
+        bestId = id;
+      }
+    }
+
+    if (bestId !== previousId && bestId !== blankId && !specialIds.has(bestId)) {
+      const token = idToToken[bestId] ?? '';
+      text += token === WORD_DELIMITER ? ' ' : token;
+    }
+    previousId = bestId;
+  }
+
+  return text.replace(/\s+/g, ' ').trim();
+};
+
+// Mean log-probability of the best token over the frames that are not blank,
+// a rough confidence for a decoded window; null if every frame is blank
+export const ctcAverageLogprob = (logits, frames, vocabSize, vocab) => {
+  const blankId = vocab['<pad>'] ?? 0;
+  let sum = 0;
+  let count = 0;
+
+  for (let frame = 0; frame < frames; frame++) {
+    const row = logits.subarray(frame * vocabSize, (frame + 1) * vocabSize);
+    let bestId = 0;
+    for (let id = 1; id < vocabSize; id++) {
+      if (row[id] > row[bestId]) bestId = id;
+    }
+    if (bestId === blankId) continue;
+
+    let expSum = 0;
+    for (let id = 0; id < vocabSize; id++) expSum += Math.exp(row[id] - row[bestId]);
+    sum -= Math.log(expSum);
+    count++;
+  }
+
+  return count > 0 ? sum / count : null;
+};
@@ -0,0 +1,294 @@
+// Automatic diarization: a speaker embedding per transcript segment from a
+// local ONNX model, clustered so that segments by the same voice share a
+// label.
+//
+// Two kinds of embedding model are supported: those taking 80-bin Kaldi
+// filterbank features [1, frames, 80] (WeSpeaker, 3D-Speaker and sherpa-onnx
+// exports) and those taking raw 16 kHz samples [1, samples].
+
+export const DIARIZATION_INPUT_TYPES = [
+  { id: 'fbank', name: 'Filterbank features (WeSpeaker, 3D-Speaker)' },
+  { id: 'waveform', name: 'Raw waveform' }
+];
+
+export const DEFAULT_DIARIZATION_SETTINGS = {
+  inputType: 'fbank',
+  // 0 lets the similarity threshold decide how many speakers there are
+  speakerCount: 0,
+  // Clusters whose voices are at least this similar (cosine) are merged
+  threshold: 0.5
+};
+
+// Segments shorter than this give unreliable embeddings; they take the label
+// of their nearest neighbour instead. Long segments are embedded from their
+// middle part only.
+const MIN_EMBEDDING_SECONDS = 0.8;
+const MAX_EMBEDDING_SECONDS = 20;
+
+// Kaldi fbank defaults: 25 ms frames every 10 ms, Povey window, pre-emphasis
+const FRAME_MS = 25;
+const SHIFT_MS = 10;
+const MEL_BINS = 80;
+const FFT_SIZE = 512;
+const PREEMPHASIS = 0.97;
+const LOW_FREQUENCY = 20;
+
+const toMel = (frequency) => 1127 * Math.log(1 + frequency / 700);
+
+// Triangular filters over the FFT bins below Nyquist, equally spaced in mel
+const createMelFilters = (sampleRate) => {
+  const binCount = FFT_SIZE / 2;
+  const melLow = toMel(LOW_FREQUENCY);
+  const melHigh = toMel(sampleRate / 2);
+  const melStep = (melHigh - melLow) / (MEL_BINS + 1);
+
+  return Array.from({ length: MEL_BINS }, (_, bin) => {
+    const left = melLow + bin * melStep;
+    const center = left + melStep;
+    const right = center + melStep;
+    const weights = new Float32Array(binCount);
+    for (let k = 0; k < binCount; k++) {
+      const mel = toMel((sampleRate * k) / FFT_SIZE);
+      if (mel > left && mel < right) {
+        weights[k] = mel <= center ? (mel - left) / (center - left) : (right - mel) / (right - center);
+      }
+    }
+    return weights;
+  });
+};
+
+// In-place iterative radix-2 FFT of FFT_SIZE points
+const fft = (real, imag) => {
+  const n = real.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tReal = real[b] * cos - imag[b] * sin;
+        const tImag = real[b] * sin + imag[b] * cos;
+        real[b] = real[a] - tReal;
+        imag[b] = imag[a] - tImag;
+        real[a] += tReal;
+        imag[a] += tImag;
+      }
+    }
+  }
+};
+
+const filterCache = new Map();
+
+// Log mel filterbank energies as computed by Kaldi (and torchaudio's
+// compliance.kaldi.fbank) with dithering off, followed by mean normalization
+// over time. Returns { data, frames } with data laid out [frames, MEL_BINS].
+export const computeFbank = (samples, sampleRate) => {
+  const frameLength = Math.round((FRAME_MS / 1000) * sampleRate);
+  const shift = Math.round((SHIFT_MS / 1000) * sampleRate);
+  const frames = samples.length < frameLength ? 0 : 1 + Math.floor((samples.length - frameLength) / shift);
+  const data = new Float32Array(frames * MEL_BINS);
+  if (frames === 0) return { data, frames };
+
+  if (!filterCache.has(sampleRate)) filterCache.set(sampleRate, createMelFilters(sampleRate));
+  const filters = filterCache.get(sampleRate);
+  const window = Float32Array.from({ length: frameLength }, (_, i) =>
+    Math.pow(0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (frameLength - 1)), 0.85));
+  const real = new Float32Array(FFT_SIZE);
+  const imag = new Float32Array(FFT_SIZE);
+  const power = new Float32Array(FFT_SIZE / 2);
+
+  for (let frame = 0; frame < frames; frame++) {
+    real.fill(0);
+    imag.fill(0);
+    // Models are trained on 16-bit sample values
+    let mean = 0;
+    for (let i = 0; i < frameLength; i++) {
+      real[i] = samples[frame * shift + i] * 32768;
+      mean += real[i];
+    }
+    mean /= frameLength;
+    for (let i = 0; i < frameLength; i++) real[i] -= mean;
+    for (let i = frameLength - 1; i > 0; i--) real[i] -= PREEMPHASIS * real[i - 1];
+    real[0] -= PREEMPHASIS * real[0];
+    for (let i = 0; i < frameLength; i++) real[i] *= window[i];
+
+    fft(real, imag);
+    for (let k = 0; k < power.length; k++) power[k] = real[k] * real[k] + imag[k] * imag[k];
+
+    filters.forEach((weights, bin) => {
+      let energy = 0;
+      for (let k = 0; k < weights.length; k++) energy += weights[k] * power[k];
+      data[frame * MEL_BINS + bin] = Math.log(Math.max(energy, 1.1920929e-7));
+    });
+  }
+
+  for (let bin = 0; bin < MEL_BINS; bin++) {
+    let mean = 0;
+    for (let frame = 0; frame < frames; frame++) mean += data[frame * MEL_BINS + bin];
+    mean /= frames;
+    for (let frame = 0; frame < frames; frame++) data[frame * MEL_BINS + bin] -= mean;
+  }
+  return { data, frames };
+};
+
+const normalizeVector = (vector) => {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm) || 1;
+  return vector.map(value => value / norm);
+};
+
+// Of unit-length vectors, so just their dot product
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+};
+
+// Unit-length embedding of a stretch of samples. `ort` is the
+// onnxruntime-web module and `session` an InferenceSession of the model.
+export const embedSamples = async (ort, session, samples, sampleRate, inputType) => {
+  let input;
+  if (inputType === 'waveform') {
+    input = new ort.Tensor('float32', Float32Array.from(samples), [1, samples.length]);
+  } else {
+    const { data, frames } = computeFbank(samples, sampleRate);
+    input = new ort.Tensor('float32', data, [1, frames, MEL_BINS]);
+  }
+  const outputs = await session.run({ [session.inputNames[0]]: input });
+  const output = outputs[session.outputNames[0]];
+  // The first (only) row of a [1, dim] output
+  const dimension = output.dims[output.dims.length - 1];
+  return normalizeVector(Float32Array.from(output.data.subarray(0, dimension)));
+};
+
+// Average-linkage agglomerative clustering of unit-length embeddings. Merges
+// the most similar pair of clusters until `speakerCount` remain or, with a
+// speakerCount of 0, until no pair is at least `threshold` similar. Returns a
+// cluster number per embedding, numbered in order of first appearance.
+export const clusterEmbeddings = (embeddings, { threshold, speakerCount }) => {
+  const n = embeddings.length;
+  const similarity = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const value = cosineSimilarity(embeddings[i], embeddings[j]);
+      similarity[i * n + j] = value;
+      similarity[j * n + i] = value;
+    }
+  }
+
+  const clusterOf = Array.from({ length: n }, (_, i) => i);
+  const size = new Array(n).fill(1);
+  const isActive = new Array(n).fill(true);
+  // Most similar other cluster of each cluster
+  const bestIndex = new Array(n).fill(-1);
+  const bestSimilarity = new Array(n).fill(-Infinity);
+
+  const findBest = (i) => {
+    bestIndex[i] = -1;
+    bestSimilarity[i] = -Infinity;
+    for (let k = 0; k < n; k++) {
+      if (k !== i && isActive[k] && similarity[i * n + k] > bestSimilarity[i]) {
+        bestIndex[i] = k;
+        bestSimilarity[i] = similarity[i * n + k];
+      }
+    }
+  };
+  for (let i = 0; i < n; i++) findBest(i);
+
+  for (let count = n; count > 1; count--) {
+    let i = -1;
+    for (let k = 0; k < n; k++) {
+      if (isActive[k] && (i === -1 || bestSimilarity[k] > bestSimilarity[i])) i = k;
+    }
+    const j = bestIndex[i];
+    const isDone = speakerCount > 0 ? count <= speakerCount : bestSimilarity[i] < threshold;
+    if (isDone || j === -1) break;
+
+    // Merge j into i; the average similarity to the merged cluster is the
+    // size-weighted mean of the two
+    for (let k = 0; k < n; k++) {
+      if (!isActive[k] || k === i || k === j) continue;
+      const value = (size[i] * similarity[i * n + k] + size[j] * similarity[j * n + k]) / (size[i] + size[j]);
+      similarity[i * n + k] = value;
+      similarity[k * n + i] = value;
+    }
+    isActive[j] = false;
+    size[i] += size[j];
+    for (let k = 0; k < n; k++) {
+      if (clusterOf[k] === j) clusterOf[k] = i;
+    }
+
+    findBest(i);
+    for (let k = 0; k < n; k++) {
+      if (!isActive[k] || k === i) continue;
+      if (bestIndex[k] === i || bestIndex[k] === j) {
+        findBest(k);
+      } else if (similarity[k * n + i] > bestSimilarity[k]) {
+        bestIndex[k] = i;
+        bestSimilarity[k] = similarity[k * n + i];
+      }
+    }
+  }
+
+  const numbers = new Map();
+  return clusterOf.map(cluster => {
+    if (!numbers.has(cluster)) numbers.set(cluster, numbers.size);
+    return numbers.get(cluster);
+  });
+};
+
+// Give unlabelled entries the label of the closest labelled one, preferring
+// the one before on a tie (a short reply usually continues the same turn)
+export const fillFromNeighbours = (labels) =>
+  labels.map((label, index) => {
+    if (label !== null) return label;
+    for (let distance = 1; distance < labels.length; distance++) {
+      const before = labels[index - distance];
+      if (before !== undefined && before !== null) return before;
+      const after = labels[index + distance];
+      if (after !== undefined && after !== null) return after;
+    }
+    return null;
+  });
+
+// Speaker cluster of each segment ({ start, end } in seconds), or null for
+// every segment when none is long enough to embed. Awaits throwIfCancelled()
+// between segments.
+export const diarizeSegments = async (ort, session, samples, sampleRate, segments, settings, throwIfCancelled = () => {}) => {
+  const embeddings = [];
+  const embeddedIndices = [];
+
+  for (const [index, segment] of segments.entries()) {
+    await throwIfCancelled();
+    const duration = segment.end - segment.start;
+    if (duration < MIN_EMBEDDING_SECONDS) continue;
+
+    const middle = (segment.start + segment.end) / 2;
+    const half = Math.min(duration, MAX_EMBEDDING_SECONDS) / 2;
+    const start = Math.max(0, Math.round((middle - half) * sampleRate));
+    const end = Math.min(samples.length, Math.round((middle + half) * sampleRate));
+    if (end - start < MIN_EMBEDDING_SECONDS * sampleRate) continue;
+
+    embeddings.push(await embedSamples(ort, session, samples.subarray(start, end), sampleRate, settings.inputType));
+    embeddedIndices.push(index);
+  }
+
+  const clusters = clusterEmbeddings(embeddings, settings);
+  const labels = new Array(segments.length).fill(null);
+  embeddedIndices.forEach((segmentIndex, embeddingIndex) => {
+    labels[segmentIndex] = clusters[embeddingIndex];
+  });
+  return fillFromNeighbours(labels);
+};
@@ -0,0 +1,155 @@
+import { normalizeChillu } from './malayalamNormalize';
+
+// Continuous dictation: each recording's transcript is appended to one
+// growing document, with spoken commands turned into formatting.
+//
+// A document is { blocks: [{ type: 'paragraph' | 'heading', text }] }; new
+// text always goes to the last block.
+
+export const EMPTY_DICTATION = { blocks: [{ type: 'paragraph', text: '' }] };
+
+// Spoken forms of each command, in English and Malayalam. Matching ignores
+// case and punctuation, since Whisper often writes "Full stop." for "full stop".
+export const DICTATION_COMMANDS = [
+  {
+    action: 'newParagraph',
+    name: 'New paragraph',
+    phrases: ['new paragraph', 'next paragraph', 'പുതിയ ഖണ്ഡിക', 'അടുത്ത ഖണ്ഡിക']
+  },
+  {
+    action: 'fullStop',
+    name: 'Full stop',
+    phrases: ['full stop', 'ഫുൾ സ്റ്റോപ്പ്', 'പൂർണ്ണവിരാമം', 'പൂർണവിരാമം']
+  },
+  {
+    action: 'comma',
+    name: 'Comma',
+    phrases: ['comma', 'കോമ', 'അല്പവിരാമം', 'അൽപവിരാമം']
+  },
+  {
+    action: 'deleteLastSentence',
+    name: 'Delete last sentence',
+    phrases: ['delete last sentence', 'scratch that', 'അവസാന വാക്യം മായ്ക്കുക', 'അവസാന വാചകം മായ്ക്കുക']
+  },
+  {
+    action: 'startHeading',
+    name: 'Start heading',
+    phrases: ['start heading', 'തലക്കെട്ട് തുടങ്ങുക']
+  }
+];
+
+const toMatchForm = (word) => normalizeChillu(word).toLowerCase().replace(/[\p{P}\p{S}]/gu, '');
+
+// Phrases as word lists, longest first so "delete last sentence" wins over
+// any shorter phrase it starts with
+const COMMAND_PATTERNS = DICTATION_COMMANDS
+  .flatMap(({ action, phrases }) => phrases.map(phrase => ({ action, words: phrase.split(' ').map(toMatchForm) })))
+  .sort((a, b) => b.words.length - a.words.length);
+
+const matchCommand = (matchWords, position) =>
+  COMMAND_PATTERNS.find(({ words }) =>
+    words.every((word, offset) => matchWords[position + offset] === word));
+
+// Split a transcript into text and commands: [{ type: 'text', text } |
+// { type: 'command', action }]
+export const parseDictation = (transcript) => {
+  const words = transcript.split(/\s+/).filter(Boolean);
+  const matchWords = words.map(toMatchForm);
+  const parts = [];
+  let textWords = [];
+
+  const flushText = () => {
+    if (textWords.length > 0) parts.push({ type: 'text', text: textWords.join(' ') });
+    textWords = [];
+  };
+
+  for (let i = 0; i < words.length;) {
+    const command = matchCommand(matchWords, i);
+    if (command) {
+      flushText();
+      parts.push({ type: 'command', action: command.action });
+      i += command.words.length;
+    } else {
+      textWords.push(words[i]);
+      i++;
+    }
+  }
+  flushText();
+  return parts;
+};
+
+const SENTENCE_END = /[.?!]/;
+
+// Text without its last sentence. A trailing full stop belongs to the
+// sentence it ends.
+export const removeLastSentence = (text) => {
+  const trimmed = text.trimEnd();
+  let end = trimmed.length - 1;
+  while (end >= 0 && SENTENCE_END.test(trimmed[end])) end--;
+  while (end >= 0 && !SENTENCE_END.test(trimmed[end])) end--;
+  return trimmed.slice(0, end + 1);
+};
+
+const appendText = (blockText, text) => {
+  if (!blockText) return text;
+  // Punctuation attaches to the previous word
+  return /^[.,?!;:]/.test(text) ? blockText.trimEnd() + text : `${blockText.trimEnd()} ${text}`;
+};
+
+const replaceLast = (blocks, update) => [...blocks.slice(0, -1), update(blocks[blocks.length - 1])];
+
+const applyPart = (blocks, part) => {
+  const last = blocks[blocks.length - 1];
+  if (part.type === 'text') {
+    return replaceLast(blocks, block => ({ ...block, text: appendText(block.text, part.text) }));
+  }
+
+  switch (part.action) {
+    case 'newParagraph':
+      return last.text ? [...blocks, { type: 'paragraph', text: '' }] : replaceLast(blocks, block => ({ ...block, type: 'paragraph' }));
+    case 'startHeading':
+      // The heading runs until the next "new paragraph"
+      return last.text ? [...blocks, { type: 'heading', text: '' }] : replaceLast(blocks, block => ({ ...block, type: 'heading' }));
+    // Whisper often punctuates before a spoken mark as well ("appeared. Comma,"),
+    // so the spoken mark replaces a full stop already there
+    case 'fullStop':
+    case 'comma': {
+      if (!last.text) return blocks;
+      const mark = part.action === 'fullStop' ? '.' : ',';
+      return replaceLast(blocks, block => ({ ...block, text: appendText(block.text.trimEnd().replace(/\.$/, ''), mark) }));
+    }
+    case 'deleteLastSentence': {
+      // From the last block that has text; blocks left empty are dropped
+      let index = blocks.length - 1;
+      while (index > 0 && !blocks[index].text) index--;
+      const text = removeLastSentence(blocks[index].text);
+      const remaining = [
+        ...blocks.slice(0, index),
+        ...(text ? [{ ...blocks[index], text }] : []),
+        ...blocks.slice(index + 1)
+      ];
+      return remaining.length > 0 ? remaining : EMPTY_DICTATION.blocks;
+    }
+    default:
+      return blocks;
+  }
+};
+
+// Append one recording's transcript to the document, applying its commands
+export const appendDictation = (document, transcript) => ({
+  ...document,
+  blocks: parseDictation(transcript).reduce(applyPart, document.blocks)
+});
+
+export const isDictationEmpty = (document) => document.blocks.every(block => !block.text);
+
+// Plain text, blocks separated by blank lines
+export const dictationToText = (document) =>
+  document.blocks.filter(block => block.text).map(block => block.text).join('\n\n') + '\n';
+
+// Markdown, headings as "## " lines
+export const dictationToMarkdown = (document) =>
+  document.blocks
+    .filter(block => block.text)
+    .map(block => (block.type === 'heading' ? `## ${block.text}` : block.text))
+    .join('\n\n') + '\n';
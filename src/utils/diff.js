@@ -0,0 +1,102 @@
+// Word-level diff between two texts using Myers' O(ND) algorithm, which
+// stays fast on hour-long transcripts as long as the edits are few. This is
+// the linear-space variant: rather than keeping the furthest-reaching paths
+// of every d for a backtrace, which takes O(D * (N + M)) memory, it searches
+// from both ends for a point on a shortest edit script and diffs the parts
+// before and after that point the same way.
+
+// A point on a shortest edit script of a[aStart, aEnd) and b[bStart, bEnd),
+// where the forward and backward searches first overlap. Both ranges are
+// non-empty and differ in their first and last words.
+const findMiddlePoint = (a, aStart, aEnd, b, bStart, bEnd) => {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const delta = n - m;
+  const isOdd = delta % 2 !== 0;
+  const max = Math.ceil((n + m) / 2);
+  const offset = max + 1;
+  // Furthest x reached on each diagonal k = x - y, counted from the start
+  // going forward and from the end going backward
+  const forward = new Int32Array(2 * max + 3);
+  const backward = new Int32Array(2 * max + 3);
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      const reverseK = delta - k;
+      if (isOdd && reverseK >= -(d - 1) && reverseK <= d - 1 && x + backward[offset + reverseK] >= n) {
+        return { x: aStart + x, y: bStart + y };
+      }
+    }
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]))
+        ? backward[offset + k + 1]
+        : backward[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+      const forwardK = delta - k;
+      if (!isOdd && forwardK >= -d && forwardK <= d && x + forward[offset + forwardK] >= n) {
+        return { x: aEnd - x, y: bEnd - y };
+      }
+    }
+  }
+  throw new Error('No overlap between the forward and backward diff searches');
+};
+
+// Appends the edit script of a[aStart, aEnd) to b[bStart, bEnd) to ops
+const diffRange = (a, aStart, aEnd, b, bStart, bEnd, ops) => {
+  while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+    ops.push({ type: 'equal', word: a[aStart] });
+    aStart++;
+    bStart++;
+  }
+  const suffixStart = aEnd;
+  while (aStart < aEnd && bStart < bEnd && a[aEnd - 1] === b[bEnd - 1]) {
+    aEnd--;
+    bEnd--;
+  }
+
+  if (aStart === aEnd) {
+    for (let j = bStart; j < bEnd; j++) ops.push({ type: 'insert', word: b[j] });
+  } else if (bStart === bEnd) {
+    for (let i = aStart; i < aEnd; i++) ops.push({ type: 'delete', word: a[i] });
+  } else {
+    const { x, y } = findMiddlePoint(a, aStart, aEnd, b, bStart, bEnd);
+    diffRange(a, aStart, x, b, bStart, y, ops);
+    diffRange(a, x, aEnd, b, y, bEnd, ops);
+  }
+
+  for (let i = aEnd; i < suffixStart; i++) ops.push({ type: 'equal', word: a[i] });
+};
+
+// Returns runs of { type: 'equal' | 'insert' | 'delete', text }.
+export const diffWords = (before, after) => {
+  const a = before.split(/\s+/).filter(Boolean);
+  const b = after.split(/\s+/).filter(Boolean);
+  const ops = [];
+  diffRange(a, 0, a.length, b, 0, b.length, ops);
+
+  // Merge consecutive words of the same kind into runs
+  return ops.reduce((runs, { type, word }) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) {
+      last.text += ` ${word}`;
+    } else {
+      runs.push({ type, text: word });
+    }
+    return runs;
+  }, []);
+};
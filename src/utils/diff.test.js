@@ -0,0 +1,33 @@
+import { diffWords } from './diff';
+
+const countChanged = (runs) => runs
+  .filter(run => run.type !== 'equal')
+  .reduce((count, run) => count + run.text.split(' ').length, 0);
+
+describe('diffWords', () => {
+  test('marks inserted and deleted words', () => {
+    expect(diffWords('the court is in session', 'the court was in session today')).toEqual([
+      { type: 'equal', text: 'the court' },
+      { type: 'delete', text: 'is' },
+      { type: 'insert', text: 'was' },
+      { type: 'equal', text: 'in session' },
+      { type: 'insert', text: 'today' }
+    ]);
+  });
+
+  test('handles empty texts', () => {
+    expect(diffWords('', '')).toEqual([]);
+    expect(diffWords('', 'new words')).toEqual([{ type: 'insert', text: 'new words' }]);
+    expect(diffWords('old words', ' ')).toEqual([{ type: 'delete', text: 'old words' }]);
+  });
+
+  test('finds a shortest edit script on long texts', () => {
+    const words = Array.from({ length: 20000 }, (_, index) => `w${index % 97}`);
+    const edited = words.map((word, index) => (index % 50 === 0 ? 'x' : word));
+    const runs = diffWords(words.join(' '), edited.join(' '));
+    // Each of the 400 replaced words is one deletion and one insertion
+    expect(countChanged(runs)).toBe(800);
+    expect(runs.filter(run => run.type !== 'insert').map(run => run.text).join(' ')).toBe(words.join(' '));
+    expect(runs.filter(run => run.type !== 'delete').map(run => run.text).join(' ')).toBe(edited.join(' '));
+  });
+});
@@ -0,0 +1,186 @@
+// Word and character error rates of a transcript against a reference, from a
+// minimum edit distance (Levenshtein) alignment. No browser APIs are used, so
+// this module can be imported as is from Jest tests, for example to check
+// that a normalization change does not make scores worse.
+//
+// Alignment ops are { type: 'equal' | 'substitute' | 'delete' | 'insert',
+// reference, hypothesis }: a deletion is a reference token missing from the
+// hypothesis, an insertion a hypothesis token with no reference counterpart.
+
+// Beyond this many DP cells the alignment is found with Hirschberg's
+// linear-memory method instead of a full direction table
+const MAX_TABLE_CELLS = 25e6;
+
+const DIAGONAL = 0;
+const UP = 1;
+const LEFT = 2;
+
+// Full Levenshtein table with a backtrace; ties prefer a match or
+// substitution, then a deletion, then an insertion
+const alignWithTable = (reference, hypothesis) => {
+  const n = reference.length;
+  const m = hypothesis.length;
+  const cols = m + 1;
+  const directions = new Uint8Array((n + 1) * cols);
+  let previous = new Uint32Array(cols);
+  let current = new Uint32Array(cols);
+
+  for (let j = 0; j <= m; j++) {
+    previous[j] = j;
+    directions[j] = LEFT;
+  }
+  for (let i = 1; i <= n; i++) {
+    current[0] = i;
+    directions[i * cols] = UP;
+    for (let j = 1; j <= m; j++) {
+      const diagonal = previous[j - 1] + (reference[i - 1] === hypothesis[j - 1] ? 0 : 1);
+      const up = previous[j] + 1;
+      const left = current[j - 1] + 1;
+      if (diagonal <= up && diagonal <= left) {
+        current[j] = diagonal;
+        directions[i * cols + j] = DIAGONAL;
+      } else if (up <= left) {
+        current[j] = up;
+        directions[i * cols + j] = UP;
+      } else {
+        current[j] = left;
+        directions[i * cols + j] = LEFT;
+      }
+    }
+    [previous, current] = [current, previous];
+  }
+
+  const ops = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    const direction = directions[i * cols + j];
+    if (i > 0 && j > 0 && direction === DIAGONAL) {
+      const type = reference[i - 1] === hypothesis[j - 1] ? 'equal' : 'substitute';
+      ops.push({ type, reference: reference[--i], hypothesis: hypothesis[--j] });
+    } else if (i > 0 && (j === 0 || direction === UP)) {
+      ops.push({ type: 'delete', reference: reference[--i], hypothesis: null });
+    } else {
+      ops.push({ type: 'insert', reference: null, hypothesis: hypothesis[--j] });
+    }
+  }
+  return ops.reverse();
+};
+
+// Edit distances from all of `reference` to every prefix of `hypothesis`
+const lastCostRow = (reference, hypothesis) => {
+  const m = hypothesis.length;
+  let previous = new Uint32Array(m + 1);
+  let current = new Uint32Array(m + 1);
+  for (let j = 0; j <= m; j++) previous[j] = j;
+
+  for (let i = 1; i <= reference.length; i++) {
+    current[0] = i;
+    for (let j = 1; j <= m; j++) {
+      current[j] = Math.min(
+        previous[j - 1] + (reference[i - 1] === hypothesis[j - 1] ? 0 : 1),
+        previous[j] + 1,
+        current[j - 1] + 1
+      );
+    }
+    [previous, current] = [current, previous];
+  }
+  return previous;
+};
+
+// Hirschberg: split the reference in half, find where the optimal path
+// crosses the middle row, and align the two halves independently
+const alignInHalves = (reference, hypothesis) => {
+  if (reference.length <= 1 || (reference.length + 1) * (hypothesis.length + 1) <= MAX_TABLE_CELLS) {
+    return alignWithTable(reference, hypothesis);
+  }
+
+  const middle = Math.floor(reference.length / 2);
+  const forward = lastCostRow(reference.slice(0, middle), hypothesis);
+  const backward = lastCostRow(reference.slice(middle).reverse(), hypothesis.slice().reverse());
+
+  let split = 0;
+  let best = Infinity;
+  for (let j = 0; j <= hypothesis.length; j++) {
+    const cost = forward[j] + backward[hypothesis.length - j];
+    if (cost < best) {
+      best = cost;
+      split = j;
+    }
+  }
+
+  return [
+    ...alignInHalves(reference.slice(0, middle), hypothesis.slice(0, split)),
+    ...alignInHalves(reference.slice(middle), hypothesis.slice(split))
+  ];
+};
+
+// Minimum edit distance alignment of two token arrays
+export const alignTokens = (reference, hypothesis) => alignInHalves(reference, hypothesis);
+
+// { hits, substitutions, deletions, insertions, referenceLength }
+export const countErrors = (ops) => {
+  const counts = { hits: 0, substitutions: 0, deletions: 0, insertions: 0 };
+  ops.forEach(({ type }) => {
+    if (type === 'equal') counts.hits++;
+    else if (type === 'substitute') counts.substitutions++;
+    else if (type === 'delete') counts.deletions++;
+    else counts.insertions++;
+  });
+  return { ...counts, referenceLength: counts.hits + counts.substitutions + counts.deletions };
+};
+
+// (S + D + I) / N; null for an empty reference, where the rate is undefined
+export const errorRate = ({ substitutions, deletions, insertions, referenceLength }) =>
+  referenceLength > 0 ? (substitutions + deletions + insertions) / referenceLength : null;
+
+// Text as it is scored: NFC, lower case (for Latin script), punctuation and
+// symbols removed, whitespace collapsed. Formatting the recognizer cannot
+// hear is not counted as an error.
+export const prepareForScoring = (text) =>
+  text
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[\p{P}\p{S}]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+export const toWords = (text) => prepareForScoring(text).split(' ').filter(Boolean);
+
+// Characters are code points, ignoring spaces
+export const toCharacters = (text) => Array.from(prepareForScoring(text).replace(/ /g, ''));
+
+const score = (reference, hypothesis, { keepAlignment }) => {
+  const alignment = alignTokens(reference, hypothesis);
+  const counts = countErrors(alignment);
+  return {
+    ...counts,
+    rate: errorRate(counts),
+    ...(keepAlignment ? { alignment } : {})
+  };
+};
+
+// WER and CER of one transcript. The word alignment is kept for display.
+export const evaluateTranscript = (reference, hypothesis) => ({
+  words: score(toWords(reference), toWords(hypothesis), { keepAlignment: true }),
+  characters: score(toCharacters(reference), toCharacters(hypothesis), { keepAlignment: false })
+});
+
+const sumCounts = (counts) => {
+  const total = counts.reduce((sum, item) => ({
+    hits: sum.hits + item.hits,
+    substitutions: sum.substitutions + item.substitutions,
+    deletions: sum.deletions + item.deletions,
+    insertions: sum.insertions + item.insertions,
+    referenceLength: sum.referenceLength + item.referenceLength
+  }), { hits: 0, substitutions: 0, deletions: 0, insertions: 0, referenceLength: 0 });
+  return { ...total, rate: errorRate(total) };
+};
+
+// Corpus-level rates: errors summed over every file divided by the total
+// reference length, so long files weigh more than short ones
+export const aggregateEvaluations = (evaluations) => ({
+  words: sumCounts(evaluations.map(evaluation => evaluation.words)),
+  characters: sumCounts(evaluations.map(evaluation => evaluation.characters)),
+  fileCount: evaluations.length
+});
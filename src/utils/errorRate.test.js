@@ -0,0 +1,97 @@
+import {
+  alignTokens,
+  countErrors,
+  evaluateTranscript,
+  aggregateEvaluations,
+  prepareForScoring
+} from './errorRate';
+import { normalizeText } from './malayalamNormalize';
+
+describe('alignTokens', () => {
+  test('marks substitutions, deletions and insertions', () => {
+    expect(alignTokens(['a', 'b', 'c'], ['a', 'x', 'c', 'd'])).toEqual([
+      { type: 'equal', reference: 'a', hypothesis: 'a' },
+      { type: 'substitute', reference: 'b', hypothesis: 'x' },
+      { type: 'equal', reference: 'c', hypothesis: 'c' },
+      { type: 'insert', reference: null, hypothesis: 'd' }
+    ]);
+    expect(countErrors(alignTokens(['a', 'b', 'c'], ['a', 'c']))).toEqual({
+      hits: 2, substitutions: 0, deletions: 1, insertions: 0, referenceLength: 3
+    });
+  });
+
+  test('finds the minimum edit distance on inputs too large for a full table', () => {
+    // Every 100th token replaced by one that does not occur in the
+    // reference, so the distance is exactly the number replaced
+    const reference = Array.from({ length: 5100 }, (_, index) => 'abcdefghij'[index % 10]);
+    const hypothesis = reference.map((token, index) => (index % 100 === 0 ? 'z' : token));
+    const counts = countErrors(alignTokens(reference, hypothesis));
+    expect(counts.substitutions + counts.deletions + counts.insertions).toBe(51);
+    expect(counts.referenceLength).toBe(5100);
+  }, 20000);
+});
+
+describe('evaluateTranscript', () => {
+  test('scores word and character errors of a known pair', () => {
+    const { words, characters } = evaluateTranscript('the court is in session', 'the court in sessions');
+    expect(words).toMatchObject({ hits: 3, substitutions: 1, deletions: 1, insertions: 0, referenceLength: 5 });
+    expect(words.rate).toBeCloseTo(0.4);
+    // "thecourtisinsession" to "thecourtinsessions": "is" deleted, "s" inserted
+    expect(characters.referenceLength).toBe(19);
+    expect(characters.rate).toBeCloseTo(3 / 19);
+  });
+
+  test('scores a classic character edit distance', () => {
+    expect(evaluateTranscript('kitten', 'sitting').characters.rate).toBeCloseTo(0.5);
+  });
+
+  test('keeps the word alignment but not the character one', () => {
+    const evaluation = evaluateTranscript('one two', 'one three');
+    expect(evaluation.words.alignment).toHaveLength(2);
+    expect(evaluation.characters.alignment).toBeUndefined();
+  });
+
+  test('gives no rate for an empty reference', () => {
+    const { words, characters } = evaluateTranscript('', 'extra words');
+    expect(words).toMatchObject({ insertions: 2, referenceLength: 0, rate: null });
+    expect(characters.rate).toBeNull();
+  });
+
+  test('counts an empty hypothesis as deleting everything', () => {
+    const { words, characters } = evaluateTranscript('one two three', '');
+    expect(words).toMatchObject({ deletions: 3, rate: 1 });
+    expect(characters).toMatchObject({ deletions: 11, rate: 1 });
+  });
+
+  test('ignores case, punctuation and spacing', () => {
+    expect(prepareForScoring('  The Court,  rose. ')).toBe('the court rose');
+    expect(evaluateTranscript('The Court, rose.', 'the court rose').words.rate).toBe(0);
+  });
+});
+
+describe('normalization', () => {
+  // അവൻ in the reference, with the old consonant + virama + ZWJ chillu in
+  // the recognizer output
+  const reference = 'അവൻ വന്നു';
+  const hypothesis = 'അവന്\u200D വന്നു';
+
+  test('counts encoding differences as errors without normalization', () => {
+    expect(evaluateTranscript(reference, hypothesis).words.rate).toBeCloseTo(0.5);
+  });
+
+  test('scores the normalized hypothesis as correct', () => {
+    expect(evaluateTranscript(reference, normalizeText(hypothesis)).words.rate).toBe(0);
+  });
+});
+
+describe('aggregateEvaluations', () => {
+  test('divides the summed errors by the total reference length', () => {
+    const total = aggregateEvaluations([
+      evaluateTranscript('a b', 'a c'),
+      evaluateTranscript('a b c d e f g h', 'a b c d e f g h')
+    ]);
+    expect(total.fileCount).toBe(2);
+    expect(total.words).toMatchObject({ substitutions: 1, referenceLength: 10 });
+    expect(total.words.rate).toBeCloseTo(0.1);
+  });
+});
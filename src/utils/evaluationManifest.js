@@ -0,0 +1,75 @@
+import { parseCsvRecords } from './csv';
+
+// An evaluation set pairs audio files with their reference transcripts:
+//
+// - CSV: a header row with `file` and `reference` columns
+// - JSON: [{ "file": "clip1.wav", "reference": "..." }, ...], the same under
+//   an "items" key, or an object mapping file names to references
+//
+// Files are matched to the picked audio by name, ignoring any directories in
+// the manifest path.
+
+export class ManifestFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ManifestFormatError';
+  }
+}
+
+const baseName = (path) => path.split(/[\\/]/).pop();
+
+const normalizeEntries = (entries) => {
+  const seen = new Set();
+  return entries.map(({ file, reference }, index) => {
+    if (typeof file !== 'string' || !file.trim()) {
+      throw new ManifestFormatError(`Entry ${index + 1} has no file name`);
+    }
+    if (typeof reference !== 'string') {
+      throw new ManifestFormatError(`Entry ${index + 1} (${file}) has no reference transcript`);
+    }
+    const name = baseName(file.trim());
+    if (seen.has(name)) {
+      throw new ManifestFormatError(`"${name}" is listed more than once`);
+    }
+    seen.add(name);
+    return { name, reference };
+  });
+};
+
+export const parseManifestCsv = (text) => {
+  const records = parseCsvRecords(text);
+  if (records.length > 0 && !('file' in records[0] && 'reference' in records[0])) {
+    throw new ManifestFormatError('Expected a header row with file and reference columns');
+  }
+  return normalizeEntries(records);
+};
+
+export const parseManifestJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new ManifestFormatError(`Not valid JSON: ${error.message}`);
+  }
+  if (Array.isArray(data?.items)) data = data.items;
+  if (Array.isArray(data)) return normalizeEntries(data);
+  if (data && typeof data === 'object') {
+    return normalizeEntries(Object.entries(data).map(([file, reference]) => ({ file, reference })));
+  }
+  throw new ManifestFormatError('Expected an array of { file, reference } entries');
+};
+
+// Parse a picked manifest file by its extension
+export const parseManifestFile = async (file) => {
+  const text = await file.text();
+  if (/\.csv$/i.test(file.name)) return parseManifestCsv(text);
+  if (/\.json$/i.test(file.name)) return parseManifestJson(text);
+  throw new ManifestFormatError(`"${file.name}" is not a .json or .csv manifest`);
+};
+
+// Manifest entries with their audio file attached ({ name, reference, file }),
+// file being null when it was not picked
+export const matchAudioFiles = (entries, files) => {
+  const byName = new Map(Array.from(files, file => [file.name, file]));
+  return entries.map(entry => ({ ...entry, file: byName.get(entry.name) ?? null }));
+};
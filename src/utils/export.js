@@ -0,0 +1,252 @@
+import { formatCueTimestamp } from './time';
+import { getEntryText } from './transcript';
+import { getSpeakers, getLabelledSegments, hasSpeakerLabels, groupIntoTurns } from './speakers';
+import { getCaseDetails } from './caseDetails';
+import { hasTranslation, isTranslationEdited, getTranslationText, getTranslatedSegments } from './translation';
+import { toProceedingsHtml, toProceedingsDocx } from './proceedings';
+import { getRedactedEntry, getAudioRedactionRanges, redactSamples } from './redaction';
+import { encodeWav } from './wav';
+import { createZip } from './zip';
+import { loadAudio } from './audioIngest';
+
+export const EXPORT_FORMATS = [
+  { id: 'srt', name: 'SRT', extension: 'srt', mimeType: 'application/x-subrip' },
+  { id: 'vtt', name: 'WebVTT', extension: 'vtt', mimeType: 'text/vtt' },
+  { id: 'txt', name: 'Text', extension: 'txt', mimeType: 'text/plain' },
+  { id: 'json', name: 'JSON', extension: 'json', mimeType: 'application/json' }
+];
+
+// Subtitle cues for an entry, with their speaker names and translations (or
+// null); without segment timings the whole text becomes a single cue
+// spanning the recording (see withDuration)
+const getCues = (entry) => {
+  const segments = getLabelledSegments(entry);
+  if (!segments) {
+    return [{
+      start: 0,
+      end: entry.duration ?? 0,
+      text: getEntryText(entry),
+      speaker: null,
+      translation: hasTranslation(entry) ? getTranslationText(entry) : null
+    }];
+  }
+  const translated = getTranslatedSegments(entry);
+  return segments.map((segment, index) => ({ ...segment, translation: translated?.[index].text || null }));
+};
+
+const escapeVtt = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+export const toSrt = (entry) =>
+  getCues(entry)
+    .map((cue, index) => [
+      index + 1,
+      `${formatCueTimestamp(cue.start, ',')} --> ${formatCueTimestamp(cue.end, ',')}`,
+      cue.speaker ? `${cue.speaker}: ${cue.text}` : cue.text,
+      ...(cue.translation ? [cue.translation] : [])
+    ].join('\n'))
+    .join('\n\n') + '\n';
+
+// Speakers become WebVTT voice spans; translations are a second cue line
+export const toVtt = (entry) =>
+  'WEBVTT\n\n' + getCues(entry)
+    .map(cue => [
+      `${formatCueTimestamp(cue.start, '.')} --> ${formatCueTimestamp(cue.end, '.')}`,
+      cue.speaker ? `<v ${escapeVtt(cue.speaker)}>${escapeVtt(cue.text)}` : escapeVtt(cue.text),
+      ...(cue.translation ? [escapeVtt(cue.translation)] : [])
+    ].join('\n'))
+    .join('\n\n') + '\n';
+
+const formatTurns = (segments) =>
+  groupIntoTurns(segments)
+    .map(turn => (turn.speaker ? `${turn.speaker}: ${turn.text}` : turn.text))
+    .join('\n\n');
+
+// With speaker labels, one paragraph per speaker turn. A translation follows
+// the transcript under its own heading.
+export const toText = (entry) => {
+  const labelled = hasSpeakerLabels(entry);
+  const text = labelled ? formatTurns(getLabelledSegments(entry)) : getEntryText(entry);
+  if (!hasTranslation(entry)) {
+    return text + '\n';
+  }
+  const translated = getTranslatedSegments(entry);
+  const translation = labelled && translated ? formatTurns(translated) : getTranslationText(entry);
+  return `${text}\n\n## English translation\n\n${translation}\n`;
+};
+
+export const toJsonObject = (entry) => ({
+  id: entry.id,
+  recordedAt: entry.timestamp,
+  sourceFile: entry.sourceName ?? null,
+  duration: entry.duration ?? null,
+  language: entry.transcription.sourceLanguage,
+  task: entry.transcription.task,
+  model: entry.model ?? null,
+  case: getCaseDetails(entry),
+  text: getEntryText(entry),
+  originalText: entry.transcription.text,
+  speakers: getSpeakers(entry).map(speaker => speaker.name),
+  segments: getLabelledSegments(entry) ?? [],
+  originalSegments: entry.segments ?? [],
+  translation: hasTranslation(entry)
+    ? {
+      language: entry.translation.language,
+      model: entry.translation.model,
+      edited: isTranslationEdited(entry),
+      text: getTranslationText(entry),
+      segments: getTranslatedSegments(entry) ?? []
+    }
+    : null,
+  redacted: entry.isRedacted ?? false
+});
+
+const SERIALIZERS = {
+  srt: toSrt,
+  vtt: toVtt,
+  txt: toText,
+  json: entry => JSON.stringify(toJsonObject(entry), null, 2)
+};
+
+export const serializeEntry = (entry, formatId) => {
+  const serialize = SERIALIZERS[formatId];
+  if (!serialize) {
+    throw new Error(`Unsupported export format: ${formatId}`);
+  }
+  return serialize(entry);
+};
+
+const getFormat = (formatId) => EXPORT_FORMATS.find(format => format.id === formatId);
+
+// Uploads are named after their source file, recordings after their time
+const entryFileName = (entry, extension) => {
+  const baseName = entry.sourceName
+    ? entry.sourceName.replace(/\.[^.]+$/, '')
+    : `transcript-${new Date(entry.timestamp).toISOString().replace(/[:.]/g, '-')}`;
+  return `${baseName}.${extension}`;
+};
+
+// Revoking the URL as soon as the link is clicked can cancel the download in
+// some browsers
+const REVOKE_DELAY_MS = 10000;
+
+export const downloadBlob = (fileName, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+};
+
+export const downloadFile = (fileName, content, mimeType) => {
+  downloadBlob(fileName, new Blob([content], { type: `${mimeType};charset=utf-8` }));
+};
+
+// The single subtitle cue of an entry without segments ends at the end of the
+// recording; entries saved without a duration get it from their audio
+const withDuration = async (entry) => {
+  if (Number.isFinite(entry.duration) || getLabelledSegments(entry) || !entry.blob) {
+    return entry;
+  }
+  const { duration } = await loadAudio(entry.blob);
+  return { ...entry, duration };
+};
+
+const SUBTITLE_FORMATS = ['srt', 'vtt'];
+
+// Every export below is of the redacted copy of an entry
+export const exportEntry = async (entry, formatId) => {
+  const format = getFormat(formatId);
+  const redacted = getRedactedEntry(SUBTITLE_FORMATS.includes(formatId) ? await withDuration(entry) : entry);
+  downloadFile(entryFileName(redacted, format.extension), serializeEntry(redacted, formatId), format.mimeType);
+};
+
+// Two uploads of files with the same name would overwrite each other in a zip
+const uniqueFileNames = (names) => {
+  const seen = new Map();
+  return names.map(name => {
+    const count = seen.get(name) ?? 0;
+    seen.set(name, count + 1);
+    return count === 0 ? name : name.replace(/(\.[^.]+)$/, ` (${count + 1})$1`);
+  });
+};
+
+// Text and JSON exports combine every entry into one file; subtitle formats
+// are per recording, so those are bundled as one file per entry in a zip
+// (browsers block all but the first of several downloads started at once)
+export const exportEntries = async (entries, formatId) => {
+  const format = getFormat(formatId);
+  const redactedEntries = entries.map(getRedactedEntry);
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  if (formatId === 'json') {
+    const content = JSON.stringify(redactedEntries.map(toJsonObject), null, 2);
+    downloadFile(`transcripts-${stamp}.json`, content, format.mimeType);
+  } else if (formatId === 'txt') {
+    const content = redactedEntries
+      .map(entry => {
+        const heading = [getCaseDetails(entry).caseNumber, entry.sourceName, new Date(entry.timestamp).toLocaleString()]
+          .filter(Boolean)
+          .join(', ');
+        return `# ${heading}\n\n${toText(entry)}`;
+      })
+      .join('\n');
+    downloadFile(`transcripts-${stamp}.txt`, content, format.mimeType);
+  } else {
+    // One entry at a time, since those without a duration decode their audio
+    const subtitled = [];
+    for (const entry of entries) {
+      subtitled.push(getRedactedEntry(await withDuration(entry)));
+    }
+    const names = uniqueFileNames(subtitled.map(entry => entryFileName(entry, format.extension)));
+    const files = subtitled.map((entry, index) => ({ name: names[index], content: serializeEntry(entry, formatId) }));
+    downloadBlob(`transcripts-${stamp}-${format.extension}.zip`, new Blob([createZip(files)], { type: 'application/zip' }));
+  }
+};
+
+// The recording (decoded `samples`) as WAV with the redacted time ranges
+// muted or beeped over
+export const exportRedactedAudio = (entry, samples, sampleRate, mode) => {
+  const redacted = redactSamples(samples, sampleRate, getAudioRedactionRanges(entry), mode);
+  downloadBlob(entryFileName(entry, 'redacted.wav'), encodeWav(redacted, sampleRate));
+};
+
+// The proceedings document, named after the case number when there is one
+const proceedingsFileName = (entry, extension) => {
+  const { caseNumber } = getCaseDetails(entry);
+  return caseNumber
+    ? `proceedings-${caseNumber.replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '')}.${extension}`
+    : entryFileName(entry, extension).replace(/^(transcript-)?/, 'proceedings-');
+};
+
+export const PROCEEDINGS_FORMATS = [
+  { id: 'docx', name: 'Word', extension: 'docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  { id: 'html', name: 'HTML', extension: 'html', mimeType: 'text/html' }
+];
+
+export const exportProceedings = (original, formatId) => {
+  const entry = getRedactedEntry(original);
+  const format = PROCEEDINGS_FORMATS.find(item => item.id === formatId);
+  if (formatId === 'docx') {
+    downloadBlob(proceedingsFileName(entry, format.extension), new Blob([toProceedingsDocx(entry)], { type: format.mimeType }));
+  } else {
+    downloadFile(proceedingsFileName(entry, format.extension), toProceedingsHtml(entry), format.mimeType);
+  }
+};
+
+// Open the proceedings in a new window and bring up the print dialog, from
+// which they can also be saved as PDF
+export const printProceedings = (original) => {
+  const entry = getRedactedEntry(original);
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    throw new Error('The print window was blocked; allow pop-ups for this site');
+  }
+  printWindow.document.write(toProceedingsHtml(entry));
+  printWindow.document.close();
+  printWindow.focus();
+  // Give the fonts a moment to load before printing
+  printWindow.setTimeout(() => printWindow.print(), 300);
+};
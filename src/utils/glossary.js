@@ -0,0 +1,143 @@
+import { parseCsvRecords, toCsv } from './csv';
+
+// A glossary has two parts: terms (legal vocabulary, party names, Latin
+// phrases) that are given to Whisper as a prompt to bias decoding, and
+// find/replace rules for mistakes it still makes the same way every time.
+//
+// { terms: ['suo motu', ...], rules: [{ find, replace, type: 'literal' | 'regex' }] }
+
+export const EMPTY_GLOSSARY = { terms: [], rules: [] };
+
+export const RULE_TYPES = ['literal', 'regex'];
+
+export class GlossaryFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GlossaryFormatError';
+  }
+}
+
+// The prompt text for a set of terms, or null when there are none. The
+// worker truncates long prompts to what Whisper accepts.
+export const buildPrompt = (terms) => {
+  const prompt = terms.map(term => term.trim()).filter(Boolean).join(', ');
+  return prompt || null;
+};
+
+// Regex rules are compiled with the g and u flags; invalid patterns throw
+const compileRule = (rule) =>
+  rule.type === 'regex' ? new RegExp(rule.find, 'gu') : null;
+
+// Error message for a rule that cannot be applied, or null when it is valid
+export const validateRule = (rule) => {
+  if (!rule.find) return 'Find text is empty';
+  try {
+    compileRule(rule);
+    return null;
+  } catch (error) {
+    return `Invalid pattern: ${error.message}`;
+  }
+};
+
+// Apply the rules in order; invalid rules are skipped
+export const applyRules = (text, rules) =>
+  rules.reduce((result, rule) => {
+    if (validateRule(rule) !== null) return result;
+    return rule.type === 'regex'
+      ? result.replace(compileRule(rule), rule.replace)
+      : result.split(rule.find).join(rule.replace);
+  }, text);
+
+// Apply the rules to a worker result, segment by segment when it has segments
+export const applyRulesToResult = (result, rules) => {
+  if (rules.length === 0) return result;
+  if (!result.segments?.length) {
+    return { ...result, text: applyRules(result.text, rules) };
+  }
+
+  const segments = result.segments.map(segment => ({ ...segment, text: applyRules(segment.text, rules) }));
+  return {
+    ...result,
+    text: segments.map(segment => segment.text).join(' '),
+    segments
+  };
+};
+
+const normalizeRule = (rule) => ({
+  find: String(rule.find ?? ''),
+  replace: String(rule.replace ?? ''),
+  type: rule.type === 'regex' ? 'regex' : 'literal'
+});
+
+const normalizeGlossary = ({ terms = [], rules = [] }) => ({
+  terms: [...new Set(terms.map(term => String(term).trim()).filter(Boolean))],
+  rules: rules.map(normalizeRule).filter(rule => rule.find)
+});
+
+export const glossaryToJson = (glossary) => JSON.stringify(normalizeGlossary(glossary), null, 2);
+
+export const parseGlossaryJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new GlossaryFormatError(`Not valid JSON: ${error.message}`);
+  }
+  // A bare array is taken to be a list of terms
+  if (Array.isArray(data)) {
+    return normalizeGlossary({ terms: data });
+  }
+  if (!data || (!Array.isArray(data.terms) && !Array.isArray(data.rules))) {
+    throw new GlossaryFormatError('Expected an object with "terms" and/or "rules" arrays');
+  }
+  return normalizeGlossary(data);
+};
+
+// CSV has one row per term or rule: type,find,replace with type one of
+// term, literal or regex (terms leave replace empty)
+export const glossaryToCsv = (glossary) => {
+  const { terms, rules } = normalizeGlossary(glossary);
+  return toCsv([
+    ['type', 'find', 'replace'],
+    ...terms.map(term => ['term', term, '']),
+    ...rules.map(rule => [rule.type, rule.find, rule.replace])
+  ]);
+};
+
+export const parseGlossaryCsv = (text) => {
+  const records = parseCsvRecords(text);
+  if (records.length > 0 && !('find' in records[0])) {
+    throw new GlossaryFormatError('Expected a header row with type,find,replace columns');
+  }
+
+  const glossary = { terms: [], rules: [] };
+  records.forEach((record, index) => {
+    const type = (record.type || 'term').trim().toLowerCase();
+    if (type === 'term') {
+      glossary.terms.push(record.find);
+    } else if (RULE_TYPES.includes(type)) {
+      glossary.rules.push({ type, find: record.find, replace: record.replace ?? '' });
+    } else {
+      throw new GlossaryFormatError(`Row ${index + 2}: unknown type "${record.type}"`);
+    }
+  });
+  return normalizeGlossary(glossary);
+};
+
+// Parse an imported file by its extension
+export const parseGlossaryFile = async (file) => {
+  const text = await file.text();
+  if (/\.csv$/i.test(file.name)) return parseGlossaryCsv(text);
+  if (/\.json$/i.test(file.name)) return parseGlossaryJson(text);
+  throw new GlossaryFormatError(`"${file.name}" is not a .json or .csv glossary`);
+};
+
+// Imported glossaries are merged into the current one rather than replacing it
+export const mergeGlossaries = (current, imported) => normalizeGlossary({
+  terms: [...current.terms, ...imported.terms],
+  rules: [
+    ...current.rules,
+    ...imported.rules.filter(rule =>
+      !current.rules.some(existing => existing.find === rule.find && existing.type === rule.type))
+  ]
+});
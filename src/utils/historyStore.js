@@ -0,0 +1,165 @@
+// IndexedDB persistence for the recording history. Entries are stored as-is
+// minus the object URL, which only lives for one page load, and the audio
+// blob, which is kept in a store of its own so that metadata changes (edits,
+// speakers, redactions) do not write the audio again.
+// Recordings in progress are also written here chunk by chunk, so they can be
+// recovered after a crash.
+
+const DB_NAME = 'malayalam-transcription';
+const DB_VERSION = 3;
+const RECORDINGS_STORE = 'recordings';
+// { id, blob }, keyed by the recording's id
+const AUDIO_STORE = 'audio';
+// { sessionId, index, blob }, keyed by [sessionId, index]
+const CHUNKS_STORE = 'pendingChunks';
+
+let dbPromise = null;
+
+const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Recordings saved before version 3 kept their audio blob in the record
+const moveAudioOut = (transaction) => {
+  const audioStore = transaction.objectStore(AUDIO_STORE);
+  transaction.objectStore(RECORDINGS_STORE).openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    const { blob, ...record } = cursor.value;
+    if (blob) {
+      audioStore.put({ id: record.id, blob });
+      cursor.update(record);
+    }
+    cursor.continue();
+  };
+};
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    if (!window.indexedDB) {
+      return Promise.reject(new Error('IndexedDB is not available in this browser'));
+    }
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(RECORDINGS_STORE)) {
+        const store = db.createObjectStore(RECORDINGS_STORE, { keyPath: 'id' });
+        store.createIndex('timestamp', 'timestamp');
+      }
+      if (!db.objectStoreNames.contains(CHUNKS_STORE)) {
+        db.createObjectStore(CHUNKS_STORE, { keyPath: ['sessionId', 'index'] });
+      }
+      if (!db.objectStoreNames.contains(AUDIO_STORE)) {
+        db.createObjectStore(AUDIO_STORE, { keyPath: 'id' });
+        moveAudioOut(request.transaction);
+      }
+    };
+    dbPromise = promisifyRequest(request).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+// Runs callback with the named stores in one transaction
+const withStores = async (mode, storeNames, callback) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeNames, mode);
+  const result = callback(...storeNames.map(name => transaction.objectStore(name)));
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  return result instanceof IDBRequest ? result.result : result;
+};
+
+const withStore = (mode, callback, storeName = RECORDINGS_STORE) => withStores(mode, [storeName], callback);
+
+const toRecord = ({ audioUrl, blob, ...entry }) => entry;
+
+// Recordings saved before transcriptions became language-neutral kept the
+// text under a `malayalam` key
+const migrateTranscription = (transcription) =>
+  transcription && 'malayalam' in transcription
+    ? { text: transcription.malayalam, sourceLanguage: transcription.sourceLanguage ?? 'ml', task: 'transcribe' }
+    : transcription;
+
+const fromRecord = (record) => ({
+  ...record,
+  transcription: migrateTranscription(record.transcription),
+  editedTranscription: migrateTranscription(record.editedTranscription)
+});
+
+// All stored recordings with their audio, newest first
+export const loadRecordings = async () => {
+  const [records, audio] = await withStores('readonly', [RECORDINGS_STORE, AUDIO_STORE],
+    (recordings, audioStore) => [recordings.getAll(), audioStore.getAll()]);
+  const blobs = new Map(audio.result.map(({ id, blob }) => [id, blob]));
+  return records.result
+    .map(record => ({ ...fromRecord(record), blob: blobs.get(record.id) }))
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+};
+
+// Writes an entry; its audio only with `withAudio`, as the audio of a
+// recording never changes once it has been saved
+export const saveRecording = (entry, { withAudio = true } = {}) =>
+  withStores('readwrite', [RECORDINGS_STORE, AUDIO_STORE], (recordings, audioStore) => {
+    recordings.put(toRecord(entry));
+    if (withAudio) audioStore.put({ id: entry.id, blob: entry.blob });
+  });
+
+export const deleteRecordings = (ids) =>
+  withStores('readwrite', [RECORDINGS_STORE, AUDIO_STORE], (recordings, audioStore) => ids.forEach(id => {
+    recordings.delete(id);
+    audioStore.delete(id);
+  }));
+
+// Every chunk key of one recording session
+const sessionRange = (sessionId) => IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+
+export const savePendingChunk = (sessionId, index, blob) =>
+  withStore('readwrite', store => store.put({ sessionId, index, blob }), CHUNKS_STORE);
+
+export const deletePendingRecording = (sessionId) =>
+  withStore('readwrite', store => store.delete(sessionRange(sessionId)), CHUNKS_STORE);
+
+// Recordings whose chunks were never cleaned up, i.e. that did not finish:
+// [{ sessionId, startedAt, chunkCount, blob }], oldest first. The session id
+// is the time recording started.
+export const loadPendingRecordings = async () => {
+  const chunks = await withStore('readonly', store => store.getAll(), CHUNKS_STORE);
+  const sessions = new Map();
+  // getAll returns records in key order, so chunks arrive in sequence
+  chunks.forEach(({ sessionId, blob }) => {
+    if (!sessions.has(sessionId)) sessions.set(sessionId, []);
+    sessions.get(sessionId).push(blob);
+  });
+  return [...sessions.entries()].map(([sessionId, blobs]) => ({
+    sessionId,
+    startedAt: new Date(sessionId).toISOString(),
+    chunkCount: blobs.length,
+    blob: new Blob(blobs, { type: blobs[0].type })
+  }));
+};
+
+// Bytes used and available to this origin, or null where the browser
+// does not expose an estimate
+export const getStorageEstimate = async () => {
+  if (!navigator.storage?.estimate) {
+    return null;
+  }
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage, quota };
+};
+
+// Ask the browser not to evict our data under storage pressure
+export const requestPersistentStorage = async () => {
+  if (!navigator.storage?.persist) {
+    return false;
+  }
+  return navigator.storage.persisted().then(persisted => persisted || navigator.storage.persist());
+};
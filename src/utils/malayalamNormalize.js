@@ -0,0 +1,163 @@
+// Post-processing for recognizer output. Whisper's Malayalam mixes the old
+// (consonant + virama + ZWJ) and atomic chillu encodings, leaves stray
+// zero-width characters behind and sometimes loops on a phrase. Each rule is
+// a pure string function so the pipeline can be toggled rule by rule.
+
+export const DEFAULT_NORMALIZATION_SETTINGS = {
+  chillu: true,
+  zeroWidth: true,
+  // 'keep', 'arabic' (0-9) or 'malayalam' (൦-൯)
+  numerals: 'keep',
+  punctuation: true,
+  repetitions: true
+};
+
+export const NUMERAL_OPTIONS = [
+  { id: 'keep', name: 'Keep as recognized' },
+  { id: 'arabic', name: 'Arabic (0-9)' },
+  { id: 'malayalam', name: 'Malayalam (൦-൯)' }
+];
+
+const VIRAMA = '്';
+const ZWJ = '\u200D';
+const ZWNJ = '\u200C';
+const MALAYALAM_ZERO = 0x0D66;
+
+// Consonant + virama + ZWJ, as written before Unicode 5.1, to the atomic
+// chillu letters ൺ ൻ ർ ൽ ൾ ൿ
+const CHILLU_MAP = {
+  'ണ': 'ൺ',
+  'ന': 'ൻ',
+  'ര': 'ർ',
+  'ല': 'ൽ',
+  'ള': 'ൾ',
+  'ക': 'ൿ'
+};
+const OLD_CHILLU_PATTERN = new RegExp(`([${Object.keys(CHILLU_MAP).join('')}])${VIRAMA}${ZWJ}`, 'g');
+
+export const normalizeChillu = (text) =>
+  text
+    .normalize('NFC')
+    .replace(OLD_CHILLU_PATTERN, (match, consonant) => CHILLU_MAP[consonant]);
+
+// ZWJ/ZWNJ only mean something right after a virama (explicit virama and the
+// remaining old-style chillus); anywhere else, and in runs, they are noise.
+// Zero-width spaces, BOMs and soft hyphens are always dropped.
+export const cleanZeroWidth = (text) =>
+  text
+    .replace(/[\u200B\uFEFF\u00AD]/g, '')
+    .replace(/[\u200C\u200D]{2,}/g, match => match[0])
+    .replace(new RegExp(`(^|[^${VIRAMA}])[${ZWJ}${ZWNJ}]+`, 'g'), '$1');
+
+export const toArabicNumerals = (text) =>
+  text.replace(/[൦-൯]/g, digit => String(digit.charCodeAt(0) - MALAYALAM_ZERO));
+
+export const toMalayalamNumerals = (text) =>
+  text.replace(/[0-9]/g, digit => String.fromCharCode(MALAYALAM_ZERO + Number(digit)));
+
+// Whitespace and punctuation spacing, Devanagari dandas (which Whisper emits
+// for Indic text) as full stops, doubled marks collapsed, and Latin sentences
+// capitalized. Short words before a full stop are taken to be abbreviations
+// ("No.", "Sec.", "vs.") rather than sentence ends.
+export const cleanPunctuation = (text) =>
+  text
+    .replace(/\s*[।॥]\s*/g, '. ')
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([.,?!;:])/g, '$1')
+    .replace(/([,?!;:])\1+/g, '$1')
+    .replace(/(^|[^.])\.{2}(?!\.)/g, '$1.')
+    .replace(/\.{4,}/g, '...')
+    .replace(/([,?!;])(?=[^\s\d,?!;"')\]])/g, '$1 ')
+    .replace(/(^|(?:[^\s.]{4,}\.|[?!])\s+)([a-z])/g, (match, boundary, letter) => boundary + letter.toUpperCase())
+    .trim();
+
+const MAX_PHRASE_WORDS = 8;
+
+// Collapse a phrase of up to MAX_PHRASE_WORDS words that repeats back to back
+// `minRepeats` or more times, the typical Whisper hallucination loop, into a
+// single occurrence
+export const removeRepeatedPhrases = (text, minRepeats = 3) => {
+  let words = text.split(/\s+/).filter(Boolean);
+
+  for (let size = 1; size <= MAX_PHRASE_WORDS; size++) {
+    const kept = [];
+    let i = 0;
+    while (i < words.length) {
+      const phrase = words.slice(i, i + size).join(' ');
+      let repeats = 1;
+      while (
+        i + (repeats + 1) * size <= words.length &&
+        words.slice(i + repeats * size, i + (repeats + 1) * size).join(' ') === phrase
+      ) {
+        repeats++;
+      }
+      if (repeats >= minRepeats) {
+        kept.push(...words.slice(i, i + size));
+        i += repeats * size;
+      } else {
+        kept.push(words[i]);
+        i++;
+      }
+    }
+    words = kept;
+  }
+
+  return words.join(' ');
+};
+
+// Apply the enabled rules to one piece of text. Malayalam-specific rules are
+// skipped for text in other languages (e.g. English translations).
+export const normalizeText = (text, settings = DEFAULT_NORMALIZATION_SETTINGS, { isMalayalam = true } = {}) => {
+  let normalized = text;
+  if (isMalayalam && settings.chillu) normalized = normalizeChillu(normalized);
+  if (settings.zeroWidth) normalized = cleanZeroWidth(normalized);
+  if (isMalayalam && settings.numerals === 'arabic') normalized = toArabicNumerals(normalized);
+  if (isMalayalam && settings.numerals === 'malayalam') normalized = toMalayalamNumerals(normalized);
+  if (settings.repetitions) normalized = removeRepeatedPhrases(normalized);
+  if (settings.punctuation) normalized = cleanPunctuation(normalized);
+  return normalized;
+};
+
+// A run of `minRepeats` or more consecutive segments with the same text is
+// merged into its first segment
+export const removeRepeatedSegments = (segments, minRepeats = 3) => {
+  const kept = [];
+  let runStart = 0;
+
+  for (let i = 1; i <= segments.length; i++) {
+    if (i < segments.length && segments[i].text === segments[runStart].text) continue;
+
+    const run = segments.slice(runStart, i);
+    if (run.length >= minRepeats) {
+      kept.push({ ...run[0], end: run[run.length - 1].end });
+    } else {
+      kept.push(...run);
+    }
+    runStart = i;
+  }
+  return kept;
+};
+
+// Normalize a worker result ({ text, language, task, segments }). When there
+// are segments the text is rebuilt from them, as the worker does.
+export const normalizeResult = (result, settings = DEFAULT_NORMALIZATION_SETTINGS) => {
+  const isMalayalam = result.task !== 'translate' && (result.language ?? 'ml') === 'ml';
+  const normalize = text => normalizeText(text, settings, { isMalayalam });
+
+  if (!result.segments?.length) {
+    return { ...result, text: normalize(result.text) };
+  }
+
+  let segments = result.segments
+    .map(segment => ({ ...segment, text: normalize(segment.text) }))
+    .filter(segment => segment.text);
+  if (settings.repetitions) {
+    segments = removeRepeatedSegments(segments);
+  }
+
+  return {
+    ...result,
+    text: segments.map(segment => segment.text).join(' '),
+    segments
+  };
+};
@@ -0,0 +1,177 @@
+import {
+  DEFAULT_NORMALIZATION_SETTINGS,
+  normalizeChillu,
+  cleanZeroWidth,
+  toArabicNumerals,
+  toMalayalamNumerals,
+  cleanPunctuation,
+  removeRepeatedPhrases,
+  removeRepeatedSegments,
+  normalizeText,
+  normalizeResult
+} from './malayalamNormalize';
+
+const VIRAMA = '്';
+const ZWJ = '\u200D';
+const ZWNJ = '\u200C';
+
+// Every rule off, so that each test turns on only the rule it checks
+const ALL_OFF = { chillu: false, zeroWidth: false, numerals: 'keep', punctuation: false, repetitions: false };
+const only = (changes) => ({ ...ALL_OFF, ...changes });
+
+// അവൻ written with the old consonant + virama + ZWJ chillu
+const OLD_AVAN = `അവന${VIRAMA}${ZWJ}`;
+const ATOMIC_AVAN = 'അവൻ';
+
+describe('normalizeChillu', () => {
+  test('replaces every old-style chillu with its atomic letter', () => {
+    const old = ['ണ', 'ന', 'ര', 'ല', 'ള', 'ക'].map(consonant => `${consonant}${VIRAMA}${ZWJ}`).join(' ');
+    expect(normalizeChillu(old)).toBe('ൺ ൻ ർ ൽ ൾ ൿ');
+  });
+
+  test('leaves a virama without ZWJ alone', () => {
+    expect(normalizeChillu(`ന${VIRAMA}`)).toBe(`ന${VIRAMA}`);
+  });
+
+  test('is applied only when enabled', () => {
+    expect(normalizeText(OLD_AVAN, only({ chillu: true }))).toBe(ATOMIC_AVAN);
+    expect(normalizeText(OLD_AVAN, ALL_OFF)).toBe(OLD_AVAN);
+  });
+
+  test('is skipped for text that is not Malayalam', () => {
+    expect(normalizeText(OLD_AVAN, only({ chillu: true }), { isMalayalam: false })).toBe(OLD_AVAN);
+  });
+});
+
+describe('cleanZeroWidth', () => {
+  test('drops zero-width spaces, BOMs and soft hyphens', () => {
+    expect(cleanZeroWidth('a\u200Bb\uFEFFc\u00ADd')).toBe('abcd');
+  });
+
+  test('drops joiners that do not follow a virama', () => {
+    expect(cleanZeroWidth(`കട${ZWJ}ൽ ${ZWNJ}വീട്`)).toBe('കടൽ വീട്');
+  });
+
+  test('keeps one joiner after a virama and collapses runs', () => {
+    expect(cleanZeroWidth(`ക${VIRAMA}${ZWNJ}${ZWNJ}ഷ`)).toBe(`ക${VIRAMA}${ZWNJ}ഷ`);
+  });
+
+  test('is applied only when enabled', () => {
+    const text = 'വീട്\u200B';
+    expect(normalizeText(text, only({ zeroWidth: true }))).toBe('വീട്');
+    expect(normalizeText(text, ALL_OFF)).toBe(text);
+  });
+});
+
+describe('numerals', () => {
+  test('converts Malayalam digits to Arabic', () => {
+    expect(toArabicNumerals('൧൨൩ ൦൯')).toBe('123 09');
+  });
+
+  test('converts Arabic digits to Malayalam', () => {
+    expect(toMalayalamNumerals('123 09')).toBe('൧൨൩ ൦൯');
+  });
+
+  test('follows the numerals setting', () => {
+    expect(normalizeText('൧൨ and 34', only({ numerals: 'arabic' }))).toBe('12 and 34');
+    expect(normalizeText('൧൨ and 34', only({ numerals: 'malayalam' }))).toBe('൧൨ and ൩൪');
+    expect(normalizeText('൧൨ and 34', only({ numerals: 'keep' }))).toBe('൧൨ and 34');
+  });
+
+  test('leaves digits alone in text that is not Malayalam', () => {
+    expect(normalizeText('Section 34', only({ numerals: 'malayalam' }), { isMalayalam: false })).toBe('Section 34');
+  });
+});
+
+describe('cleanPunctuation', () => {
+  test('turns dandas into full stops', () => {
+    expect(cleanPunctuation('ഒന്ന്। രണ്ട്॥')).toBe('ഒന്ന്. രണ്ട്.');
+  });
+
+  test('collapses whitespace and removes space before marks', () => {
+    expect(cleanPunctuation('  ഒന്ന്   ,  രണ്ട് ? ')).toBe('ഒന്ന്, രണ്ട്?');
+  });
+
+  test('collapses doubled marks but keeps ellipses', () => {
+    expect(cleanPunctuation('ശരി,, ശരി.. ശരി...')).toBe('ശരി, ശരി. ശരി...');
+  });
+
+  test('adds a space after a mark followed by a word', () => {
+    expect(cleanPunctuation('ഒന്ന്,രണ്ട്')).toBe('ഒന്ന്, രണ്ട്');
+  });
+
+  test('capitalizes Latin sentences but not after abbreviations', () => {
+    expect(cleanPunctuation('the court rose. see Sec. five')).toBe('The court rose. See Sec. five');
+  });
+
+  test('is applied only when enabled', () => {
+    expect(normalizeText('ഒന്ന് ,രണ്ട്', only({ punctuation: true }))).toBe('ഒന്ന്, രണ്ട്');
+    expect(normalizeText('ഒന്ന് ,രണ്ട്', ALL_OFF)).toBe('ഒന്ന് ,രണ്ട്');
+  });
+});
+
+describe('removeRepeatedPhrases', () => {
+  test('collapses a word repeated three or more times', () => {
+    expect(removeRepeatedPhrases('ശരി ശരി ശരി ശരി സാർ')).toBe('ശരി സാർ');
+  });
+
+  test('collapses a repeated phrase of several words', () => {
+    expect(removeRepeatedPhrases('നന്ദി സാർ നന്ദി സാർ നന്ദി സാർ')).toBe('നന്ദി സാർ');
+  });
+
+  test('keeps a phrase said only twice', () => {
+    expect(removeRepeatedPhrases('ശരി ശരി സാർ')).toBe('ശരി ശരി സാർ');
+  });
+
+  test('is applied only when enabled', () => {
+    expect(normalizeText('ശരി ശരി ശരി', only({ repetitions: true }))).toBe('ശരി');
+    expect(normalizeText('ശരി ശരി ശരി', ALL_OFF)).toBe('ശരി ശരി ശരി');
+  });
+});
+
+describe('removeRepeatedSegments', () => {
+  test('merges a run of identical segments into the first', () => {
+    const segments = [
+      { start: 0, end: 1, text: 'എ' },
+      { start: 1, end: 2, text: 'ബി' },
+      { start: 2, end: 3, text: 'ബി' },
+      { start: 3, end: 4, text: 'ബി' },
+      { start: 4, end: 5, text: 'സി' }
+    ];
+    expect(removeRepeatedSegments(segments)).toEqual([
+      { start: 0, end: 1, text: 'എ' },
+      { start: 1, end: 4, text: 'ബി' },
+      { start: 4, end: 5, text: 'സി' }
+    ]);
+  });
+});
+
+describe('normalizeResult', () => {
+  const segments = [
+    { start: 0, end: 1, text: `${OLD_AVAN} ,വന്നു` },
+    { start: 1, end: 2, text: 'ശരി' },
+    { start: 2, end: 3, text: 'ശരി' },
+    { start: 3, end: 4, text: 'ശരി' }
+  ];
+
+  test('normalizes segments and rebuilds the text from them', () => {
+    const result = normalizeResult({ text: '', language: 'ml', task: 'transcribe', segments });
+    expect(result.segments.map(segment => segment.text)).toEqual([`${ATOMIC_AVAN}, വന്നു`, 'ശരി']);
+    expect(result.segments[1].end).toBe(4);
+    expect(result.text).toBe(`${ATOMIC_AVAN}, വന്നു ശരി`);
+  });
+
+  test('keeps repeated segments when repetitions are off', () => {
+    const result = normalizeResult(
+      { text: '', language: 'ml', task: 'transcribe', segments },
+      { ...DEFAULT_NORMALIZATION_SETTINGS, repetitions: false }
+    );
+    expect(result.segments).toHaveLength(4);
+  });
+
+  test('applies only language-neutral rules to translations', () => {
+    const result = normalizeResult({ text: `${OLD_AVAN} 12`, language: 'ml', task: 'translate' },
+      { ...DEFAULT_NORMALIZATION_SETTINGS, numerals: 'malayalam' });
+    expect(result.text).toBe(`${OLD_AVAN} 12`);
+  });
+});
@@ -0,0 +1,92 @@
+import { MODEL_OPTIONS } from '../models';
+
+// Model files live in the Cache Storage cache transformers.js fills on first
+// load; the service worker precaches locally served models into the same
+// cache, keyed by the same URLs, so nothing is stored twice.
+export const MODEL_CACHE_NAME = 'transformers-cache';
+
+// Absolute URL of a model base URL, with the trailing slash transformers.js
+// expects
+export const toBaseHref = (baseUrl) =>
+  new URL(baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`, window.location.href).href;
+
+// Files listed in the manifest.json under a base URL (written by
+// scripts/download-models.js), or null when there is none. The development
+// server answers unknown paths with index.html, so anything that does not
+// parse as a manifest counts as none.
+export const fetchModelManifest = async (baseUrl) => {
+  try {
+    const response = await fetch(`${toBaseHref(baseUrl)}manifest.json`, { cache: 'no-store' });
+    if (!response.ok) return null;
+    const { files } = await response.json();
+    return Array.isArray(files) ? files : null;
+  } catch {
+    return null;
+  }
+};
+
+const HUB_PATH = /^\/([^/]+\/[^/]+)\/resolve\/[^/]+\/(.+)$/;
+
+// { modelId, file } for a cached URL: hub URLs look like
+// https://huggingface.co/<org>/<name>/resolve/<revision>/<file>, locally
+// served ones <baseUrl><org>/<name>/<file>
+export const parseModelUrl = (url, baseUrl) => {
+  const { hostname, pathname, href } = new URL(url, window.location.href);
+  if (hostname === 'huggingface.co') {
+    const match = pathname.match(HUB_PATH);
+    return match ? { modelId: match[1], file: match[2] } : null;
+  }
+  const base = new URL(baseUrl, window.location.href).href;
+  if (!href.startsWith(base)) return null;
+  const [org, name, ...file] = href.slice(base.length).split('/');
+  return file.length > 0 ? { modelId: `${org}/${name}`, file: file.join('/') } : null;
+};
+
+// Size from the stored headers; only read the body when there are none
+const getResponseSize = async (response) => {
+  const length = Number(response.headers.get('content-length'));
+  return length > 0 ? length : (await response.blob()).size;
+};
+
+// Which model picker entries a set of cached files covers: a Whisper option
+// needs its encoder weights in the matching (quantized or full) precision
+const getCachedOptions = (modelId, files) =>
+  MODEL_OPTIONS
+    .filter(option => option.model_id === modelId)
+    .filter(option => files.includes(`onnx/encoder_model${option.quantized ? '_quantized' : ''}.onnx`))
+    .map(option => option.name);
+
+// Cached models as [{ modelId, names, size, fileCount, urls }], largest first
+export const listCachedModels = async (baseUrl) => {
+  if (typeof caches === 'undefined') return [];
+  const cache = await caches.open(MODEL_CACHE_NAME);
+  const groups = new Map();
+
+  for (const request of await cache.keys()) {
+    const parsed = parseModelUrl(request.url, baseUrl);
+    const modelId = parsed?.modelId ?? 'Other files';
+    const group = groups.get(modelId) ?? { modelId, files: [], size: 0, urls: [] };
+    const response = await cache.match(request);
+    group.size += response ? await getResponseSize(response) : 0;
+    group.urls.push(request.url);
+    if (parsed) group.files.push(parsed.file);
+    groups.set(modelId, group);
+  }
+
+  return [...groups.values()]
+    .map(({ modelId, files, size, urls }) => ({
+      modelId,
+      names: getCachedOptions(modelId, files),
+      size,
+      fileCount: urls.length,
+      urls
+    }))
+    .sort((a, b) => b.size - a.size);
+};
+
+export const deleteCachedModel = async ({ urls }) => {
+  const cache = await caches.open(MODEL_CACHE_NAME);
+  await Promise.all(urls.map(url => cache.delete(url)));
+};
+
+export const clearModelCache = () => caches.delete(MODEL_CACHE_NAME);
@@ -0,0 +1,70 @@
+// Raw PCM tap on a MediaStream, for consumers that need samples as they are
+// recorded rather than the compressed MediaRecorder chunks.
+
+// The worklet posts every 128-frame render quantum of the first channel
+const CAPTURE_PROCESSOR = `
+class CaptureProcessor extends AudioWorkletProcessor {
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+    if (channel) {
+      this.port.postMessage(channel.slice(0));
+    }
+    return true;
+  }
+}
+registerProcessor('capture-processor', CaptureProcessor);
+`;
+
+// Downsample by averaging the input samples that fall into each output sample
+const createDownsampler = (inputRate, outputRate) => {
+  const ratio = inputRate / outputRate;
+  let carry = new Float32Array(0);
+
+  return (input) => {
+    const samples = new Float32Array(carry.length + input.length);
+    samples.set(carry);
+    samples.set(input, carry.length);
+
+    const outputLength = Math.floor(samples.length / ratio);
+    const output = new Float32Array(outputLength);
+    for (let i = 0; i < outputLength; i++) {
+      const start = Math.floor(i * ratio);
+      const end = Math.floor((i + 1) * ratio);
+      let sum = 0;
+      for (let j = start; j < end; j++) sum += samples[j];
+      output[i] = end > start ? sum / (end - start) : samples[start];
+    }
+
+    carry = samples.slice(Math.floor(outputLength * ratio));
+    return output;
+  };
+};
+
+// Calls onSamples with mono Float32Array blocks at `sampleRate` until the
+// returned stop function is called
+export const startPcmCapture = async (stream, sampleRate, onSamples) => {
+  const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  const moduleUrl = URL.createObjectURL(new Blob([CAPTURE_PROCESSOR], { type: 'application/javascript' }));
+
+  try {
+    await audioContext.audioWorklet.addModule(moduleUrl);
+  } finally {
+    URL.revokeObjectURL(moduleUrl);
+  }
+
+  const source = audioContext.createMediaStreamSource(stream);
+  // With no outputs the node is a sink, processed without reaching the speakers
+  const capture = new AudioWorkletNode(audioContext, 'capture-processor', { numberOfOutputs: 0 });
+  const downsample = createDownsampler(audioContext.sampleRate, sampleRate);
+
+  capture.port.onmessage = (event) => {
+    onSamples(downsample(event.data));
+  };
+  source.connect(capture);
+
+  return () => {
+    capture.port.onmessage = null;
+    source.disconnect();
+    audioContext.close();
+  };
+};
@@ -0,0 +1,243 @@
+import { formatTimestamp } from './time';
+import { getEntryText, getTextLanguage } from './transcript';
+import { getLabelledSegments, hasSpeakerLabels, groupIntoTurns } from './speakers';
+import { getCaseDetails, formatHearingDate } from './caseDetails';
+import { hasTranslation, getTranslationText, getTranslatedSegments } from './translation';
+import { createZip } from './zip';
+
+// The proceedings document filed by the registry: a header block with the
+// case details, the transcript as timestamped (and, when labelled,
+// speaker-attributed) paragraphs, its English translation when there is one,
+// and a certification footer. Rendered as a printable HTML page and as a Word
+// document.
+
+export const CERTIFICATION_TEXT =
+  'Certified that the above is a true and correct transcript of the proceedings, prepared from the audio recording and checked against it.';
+
+export const SIGNATURE_LINES = ['Transcribed by', 'Verified by', 'Date'];
+
+const DOCUMENT_FONT = 'Noto Sans Malayalam';
+
+// Document content independent of the output format
+export const buildProceedings = (entry) => {
+  const details = getCaseDetails(entry);
+  const header = [
+    { label: 'Case No.', value: details.caseNumber },
+    { label: 'Bench', value: details.bench },
+    { label: 'Court Hall', value: details.courtHall },
+    { label: 'Parties', value: details.parties },
+    { label: 'Date of Hearing', value: formatHearingDate(details.hearingDate) },
+    { label: 'Recorded', value: new Date(entry.timestamp).toLocaleString('en-IN') },
+    { label: 'Duration', value: entry.duration ? formatTimestamp(entry.duration) : '' },
+    { label: 'Source', value: entry.sourceName ?? '' }
+  ].filter(row => row.value);
+
+  // Speaker turns when segments are labelled, otherwise one paragraph per
+  // segment; a single untimed paragraph without segments
+  const toParagraphs = (segments, text) => (segments
+    ? (hasSpeakerLabels(entry) ? groupIntoTurns(segments) : segments)
+      .map(part => ({ time: formatTimestamp(part.start), speaker: part.speaker ?? null, text: part.text }))
+    : [{ time: null, speaker: null, text }]);
+
+  return {
+    title: 'Proceedings',
+    header,
+    note: details.note,
+    paragraphs: toParagraphs(getLabelledSegments(entry), getEntryText(entry)),
+    lang: getTextLanguage(entry.transcription),
+    translation: hasTranslation(entry)
+      ? {
+        heading: 'English Translation',
+        paragraphs: toParagraphs(getTranslatedSegments(entry), getTranslationText(entry)),
+        lang: entry.translation.language
+      }
+      : null,
+    certification: CERTIFICATION_TEXT,
+    signatures: SIGNATURE_LINES
+  };
+};
+
+const escapeHtml = (text) =>
+  String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const htmlLines = (text) => escapeHtml(text).replace(/\n/g, '<br>');
+
+const htmlParagraphs = (paragraphs) =>
+  paragraphs.map(part => `  <p>${
+    part.time ? `<span class="time">[${part.time}]</span>` : ''
+  }${
+    part.speaker ? `<span class="speaker">${escapeHtml(part.speaker)}:</span> ` : ''
+  }${htmlLines(part.text)}</p>`).join('\n');
+
+// A standalone HTML page laid out for A4 printing (and so for "Save as PDF")
+export const toProceedingsHtml = (entry) => {
+  const proceedings = buildProceedings(entry);
+  const caseNumber = proceedings.header.find(row => row.label === 'Case No.')?.value;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(caseNumber ? `${proceedings.title} – ${caseNumber}` : proceedings.title)}</title>
+<style>
+  @page { size: A4; margin: 25mm 20mm; }
+  body { font-family: "${DOCUMENT_FONT}", "Nirmala UI", Kartika, serif; font-size: 12pt; line-height: 1.6; color: #000; max-width: 170mm; margin: 2em auto; }
+  h1 { text-align: center; font-size: 15pt; letter-spacing: 0.15em; text-transform: uppercase; margin-bottom: 1em; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 1.5em; }
+  th, td { border: 1px solid #000; padding: 4px 8px; text-align: left; vertical-align: top; }
+  th { width: 30%; font-weight: 600; }
+  .note { font-style: italic; margin-bottom: 1.5em; }
+  .transcript p { margin: 0 0 0.8em; text-align: justify; }
+  .time { font-family: monospace; font-size: 9pt; color: #444; margin-right: 0.5em; }
+  .speaker { font-weight: bold; text-transform: uppercase; }
+  h2 { font-size: 13pt; text-align: center; text-transform: uppercase; margin: 2em 0 1em; }
+  footer { margin-top: 3em; break-inside: avoid; }
+  .signatures { display: flex; justify-content: space-between; margin-top: 3em; }
+  .signatures div { width: 30%; border-top: 1px solid #000; padding-top: 4px; text-align: center; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(proceedings.title)}</h1>
+${proceedings.header.length > 0 ? `<table>
+${proceedings.header.map(row => `  <tr><th>${escapeHtml(row.label)}</th><td>${htmlLines(row.value)}</td></tr>`).join('\n')}
+</table>` : ''}
+${proceedings.note ? `<p class="note">${htmlLines(proceedings.note)}</p>` : ''}
+<section class="transcript" lang="${proceedings.lang}">
+${htmlParagraphs(proceedings.paragraphs)}
+</section>
+${proceedings.translation ? `<section class="transcript" lang="${proceedings.translation.lang}">
+<h2>${escapeHtml(proceedings.translation.heading)}</h2>
+${htmlParagraphs(proceedings.translation.paragraphs)}
+</section>` : ''}
+<footer>
+  <p>${escapeHtml(proceedings.certification)}</p>
+  <div class="signatures">
+${proceedings.signatures.map(label => `    <div>${escapeHtml(label)}</div>`).join('\n')}
+  </div>
+</footer>
+</body>
+</html>
+`;
+};
+
+// WordprocessingML
+
+// Characters XML 1.0 does not allow are dropped
+const escapeXml = (text) =>
+  String(text)
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// A run of text, with line breaks as <w:br/>. `properties` is inner rPr XML.
+const run = (text, properties = '') =>
+  String(text).split('\n').map((line, index) =>
+    `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}${index > 0 ? '<w:br/>' : ''}<w:t xml:space="preserve">${escapeXml(line)}</w:t></w:r>`
+  ).join('');
+
+const paragraph = (runs, properties = '') =>
+  `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${runs}</w:p>`;
+
+const tableCell = (content, width) =>
+  `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/></w:tcPr>${content}</w:tc>`;
+
+const BORDER = 'w:val="single" w:sz="4" w:space="0" w:color="000000"';
+
+const headerTable = (rows) => `<w:tbl>
+<w:tblPr><w:tblW w:w="9026" w:type="dxa"/><w:tblBorders>${
+  ['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(side => `<w:${side} ${BORDER}/>`).join('')
+}</w:tblBorders><w:tblCellMar><w:left w:w="100" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr>
+<w:tblGrid><w:gridCol w:w="2700"/><w:gridCol w:w="6326"/></w:tblGrid>
+${rows.map(row => `<w:tr>${
+  tableCell(paragraph(run(row.label, '<w:b/>')), 2700)
+}${
+  tableCell(paragraph(run(row.value)), 6326)
+}</w:tr>`).join('\n')}
+</w:tbl>`;
+
+// Malayalam and Hindi are complex scripts in Word
+const languageProperties = (lang) => (lang === 'en' ? '' : `<w:lang w:bidi="${lang}-IN"/>`);
+
+const transcriptParagraphs = (paragraphs, lang) =>
+  paragraphs.map(part => paragraph(
+    (part.time ? run(`[${part.time}] `, '<w:color w:val="555555"/><w:sz w:val="18"/>') : '')
+    + (part.speaker ? run(`${part.speaker.toUpperCase()}: `, '<w:b/>') : '')
+    + run(part.text, languageProperties(lang)),
+    '<w:jc w:val="both"/><w:spacing w:after="160"/>'
+  ));
+
+const documentXml = (proceedings) => {
+  const { translation } = proceedings;
+  const body = [
+    paragraph(run(proceedings.title.toUpperCase(), '<w:b/><w:sz w:val="30"/>'), '<w:jc w:val="center"/><w:spacing w:after="240"/>'),
+    proceedings.header.length > 0 ? headerTable(proceedings.header) : '',
+    paragraph(''),
+    proceedings.note ? paragraph(run(proceedings.note, '<w:i/>'), '<w:spacing w:after="240"/>') : '',
+    ...transcriptParagraphs(proceedings.paragraphs, proceedings.lang),
+    ...(translation
+      ? [
+        paragraph(run(translation.heading.toUpperCase(), '<w:b/>'), '<w:keepNext/><w:jc w:val="center"/><w:spacing w:before="480" w:after="240"/>'),
+        ...transcriptParagraphs(translation.paragraphs, translation.lang)
+      ]
+      : []),
+    paragraph(run(proceedings.certification), '<w:keepNext/><w:spacing w:before="480" w:after="720"/>'),
+    ...proceedings.signatures.map(label => paragraph(run(`${label}: ____________________`), '<w:keepNext/><w:spacing w:after="360"/>'))
+  ].join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<w:body>
+${body}
+<w:sectPr><w:footerReference w:type="default" r:id="rIdFooter"/><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1418" w:right="1134" w:bottom="1418" w:left="1134" w:header="709" w:footer="709" w:gutter="0"/></w:sectPr>
+</w:body>
+</w:document>`;
+};
+
+// Page numbers, centred
+const FOOTER_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:ftr xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:p><w:pPr><w:jc w:val="center"/></w:pPr><w:r><w:t xml:space="preserve">Page </w:t></w:r><w:fldSimple w:instr="PAGE"><w:r><w:t>1</w:t></w:r></w:fldSimple></w:p>
+</w:ftr>`;
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="${DOCUMENT_FONT}" w:hAnsi="${DOCUMENT_FONT}" w:cs="${DOCUMENT_FONT}"/><w:sz w:val="24"/><w:szCs w:val="24"/><w:lang w:val="en-IN"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="0" w:line="300" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+</w:styles>`;
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/footer1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"/>
+</Types>`;
+
+const PACKAGE_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+<Relationship Id="rIdFooter" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/footer" Target="footer1.xml"/>
+</Relationships>`;
+
+// The proceedings as .docx bytes
+export const toProceedingsDocx = (entry) => createZip([
+  { name: '[Content_Types].xml', content: CONTENT_TYPES_XML },
+  { name: '_rels/.rels', content: PACKAGE_RELS_XML },
+  { name: 'word/document.xml', content: documentXml(buildProceedings(entry)) },
+  { name: 'word/styles.xml', content: STYLES_XML },
+  { name: 'word/footer1.xml', content: FOOTER_XML },
+  { name: 'word/_rels/document.xml.rels', content: DOCUMENT_RELS_XML }
+]);
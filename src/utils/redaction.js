@@ -0,0 +1,278 @@
+import { getWordTimings } from './wordTimings';
+import { getEntryText, getEntrySegments } from './transcript';
+import { formatTimestamp } from './time';
+import { isTranslationStale } from './translation';
+
+// Redaction of sensitive spans (names of minors or victims) from shared
+// copies of a history entry. The entry itself keeps the full transcript and
+// audio; exports go through getRedactedEntry() and the audio through
+// redactSamples().
+//
+// `redactions` lists what to hide:
+//   { id, type: 'text', text, reason, createdAt }            every occurrence of the
+//                                                          phrase, as whole words
+//   { id, type: 'time', start, end, reason, createdAt }      a time range in seconds
+// Both apply to text and audio: a phrase mutes the (estimated) times of its
+// words, and a time range hides the words spoken in it. `redactionLog` records
+// every change and redacted export as { at, action, description }.
+
+export const REDACTION_PLACEHOLDER = '[REDACTED]';
+
+export const AUDIO_REDACTION_MODES = [
+  { id: 'mute', name: 'Mute' },
+  { id: 'beep', name: 'Beep' }
+];
+
+// Word times are estimates, so muting extends this far past a phrase's words
+const PHRASE_PADDING_SECONDS = 0.3;
+const BEEP_FREQUENCY = 1000;
+const BEEP_AMPLITUDE = 0.25;
+// Fades at range edges avoid clicks
+const FADE_SECONDS = 0.01;
+
+const NO_REDACTIONS = [];
+
+export const getRedactions = (entry) => entry.redactions ?? NO_REDACTIONS;
+
+export const getRedactionLog = (entry) => entry.redactionLog ?? [];
+
+export const hasRedactions = (entry) => getRedactions(entry).length > 0;
+
+export const describeRedaction = (redaction) =>
+  (redaction.type === 'text'
+    ? `Text "${redaction.text}"`
+    : `Audio ${formatTimestamp(redaction.start)}–${formatTimestamp(redaction.end)}`);
+
+const logEntry = (action, description) => ({ at: new Date().toISOString(), action, description });
+
+const nextRedactionId = (redactions) => redactions.reduce((max, redaction) => Math.max(max, redaction.id), 0) + 1;
+
+const withRedaction = (entry, redaction) => {
+  const added = { ...redaction, id: nextRedactionId(getRedactions(entry)), createdAt: new Date().toISOString() };
+  const reason = added.reason ? ` (${added.reason})` : '';
+  return {
+    redactions: [...getRedactions(entry), added],
+    redactionLog: [...getRedactionLog(entry), logEntry('added', `${describeRedaction(added)}${reason}`)]
+  };
+};
+
+export const addTextRedaction = (entry, text, reason = '') =>
+  withRedaction(entry, { type: 'text', text: text.trim().replace(/\s+/g, ' '), reason: reason.trim() });
+
+export const addTimeRedaction = (entry, start, end, reason = '') =>
+  withRedaction(entry, { type: 'time', start: Math.min(start, end), end: Math.max(start, end), reason: reason.trim() });
+
+export const removeRedaction = (entry, id) => {
+  const redaction = getRedactions(entry).find(item => item.id === id);
+  if (!redaction) return {};
+  return {
+    redactions: getRedactions(entry).filter(item => item.id !== id),
+    redactionLog: [...getRedactionLog(entry), logEntry('removed', describeRedaction(redaction))]
+  };
+};
+
+// Record a redacted export in the log
+export const logRedactedExport = (entry, description) => ({
+  redactionLog: [...getRedactionLog(entry), logEntry('exported', description)]
+});
+
+// Letters, vowel signs, digits and the joiners used in Malayalam words. A
+// phrase is widened to the whole words it touches, so a name is hidden
+// together with its case endings.
+const WORD_CHARACTER = '[\\p{L}\\p{M}\\p{N}\\u200c\\u200d]';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const phrasePattern = (phrase) =>
+  new RegExp(`${WORD_CHARACTER}*${phrase.split(' ').map(escapeRegExp).join('\\s+')}${WORD_CHARACTER}*`, 'giu');
+
+const getPhrases = (redactions) =>
+  redactions.filter(redaction => redaction.type === 'text' && redaction.text).map(redaction => redaction.text);
+
+const getTimeRanges = (redactions) => redactions.filter(redaction => redaction.type === 'time');
+
+// Replace every occurrence of the phrases in untimed text
+export const redactPlainText = (text, redactions) =>
+  getPhrases(redactions).reduce((result, phrase) => result.replace(phrasePattern(phrase), REDACTION_PLACEHOLDER), text);
+
+// Transcript text without timings: time ranges cannot be placed in it, so
+// with any of them the whole text is hidden, and otherwise only the phrases
+const redactUntimedText = (text, redactions) =>
+  (getTimeRanges(redactions).length > 0 ? REDACTION_PLACEHOLDER : redactPlainText(text, redactions));
+
+// The transcript has time range redactions but, after an edit that broke its
+// alignment with the segments (or without segments at all), no timings to
+// place them, so exports hide all of it
+export const isTranscriptWhollyRedacted = (entry) =>
+  getTimeRanges(getRedactions(entry)).length > 0 && getEntrySegments(entry) === null;
+
+// Words of a segment as [{ text, start, end, redacted, fromPhrase }];
+// fromPhrase marks words hidden only by a phrase match
+export const findRedactedWords = (segment, redactions) => {
+  const words = getWordTimings(segment);
+  const ranges = getTimeRanges(redactions);
+  const inRange = words.map(word => ranges.some(range => word.start < range.end && word.end > range.start));
+  const flags = [...inRange];
+
+  // Phrases are matched against the words joined by single spaces, and the
+  // words a match overlaps are flagged
+  let offset = 0;
+  const spans = words.map(word => {
+    const span = [offset, offset + word.text.length];
+    offset += word.text.length + 1;
+    return span;
+  });
+  const joined = words.map(word => word.text).join(' ');
+  getPhrases(redactions).forEach(phrase => {
+    for (const match of joined.matchAll(phrasePattern(phrase))) {
+      const matchEnd = match.index + match[0].length;
+      spans.forEach(([start, end], index) => {
+        if (start < matchEnd && end > match.index) flags[index] = true;
+      });
+    }
+  });
+
+  return words.map((word, index) => ({
+    ...word,
+    redacted: flags[index],
+    fromPhrase: flags[index] && !inRange[index]
+  }));
+};
+
+// Segment text with each run of redacted words replaced by one placeholder
+const redactSegmentText = (segment, redactions) =>
+  findRedactedWords(segment, redactions)
+    .reduce((parts, word, index, words) => {
+      if (!word.redacted) parts.push(word.text);
+      else if (!words[index - 1]?.redacted) parts.push(REDACTION_PLACEHOLDER);
+      return parts;
+    }, [])
+    .join(' ');
+
+const redactSegments = (segments, redactions) =>
+  segments?.map(segment => ({ ...segment, text: redactSegmentText(segment, redactions) })) ?? segments;
+
+// Phrases are hidden in translated lines too, but a name or passage rarely
+// survives translation in a form they match, so a line whose source had
+// anything redacted is hidden whole unless a phrase matched in it. When the
+// transcript changed since translating, or has no segments, time ranges
+// cannot be placed, so with any of them every line is hidden. The source
+// lines kept for re-translation are dropped.
+const redactTranslation = (entry, redactions) => {
+  const { translation } = entry;
+  const segments = getEntrySegments(entry);
+  const isAligned = !isTranslationStale(entry);
+  const hasTimeRanges = getTimeRanges(redactions).length > 0;
+  const sourceRedacted = isAligned && segments
+    ? segments.map(segment => findRedactedWords(segment, redactions).some(word => word.redacted))
+    : translation.sourceLines.map(line => hasTimeRanges || redactPlainText(line, redactions) !== line);
+  const redactLines = (lines) => lines?.map((line, index) => {
+    const redacted = redactPlainText(line, redactions);
+    return sourceRedacted[index] && redacted === line ? REDACTION_PLACEHOLDER : redacted;
+  });
+  return {
+    ...translation,
+    sourceLines: undefined,
+    lines: redactLines(translation.lines),
+    editedLines: redactLines(translation.editedLines)
+  };
+};
+
+// A copy of the entry safe to share: transcript text, segments, case
+// details, speaker names and translation with the redacted spans replaced,
+// and without the edit history or the redaction list (both hold the original
+// text)
+export const getRedactedEntry = (entry) => {
+  const redactions = getRedactions(entry);
+  if (redactions.length === 0) return entry;
+
+  const segments = redactSegments(entry.segments?.length > 0 ? entry.segments : null, redactions);
+  const editedSegments = entry.editedSegments === undefined
+    ? undefined
+    : redactSegments(entry.editedSegments, redactions);
+  const joinSegments = (items) => items.map(segment => segment.text).filter(Boolean).join(' ');
+  const currentSegments = editedSegments !== undefined ? editedSegments : segments;
+
+  const copy = {
+    ...entry,
+    transcription: {
+      ...entry.transcription,
+      text: segments ? joinSegments(segments) : redactUntimedText(entry.transcription.text, redactions)
+    },
+    segments: segments ?? entry.segments,
+    editedSegments,
+    revisions: undefined,
+    revisionIndex: undefined,
+    redactions: undefined,
+    redactionLog: undefined,
+    isRedacted: true
+  };
+  if (entry.editedTranscription) {
+    copy.editedTranscription = {
+      ...entry.editedTranscription,
+      text: currentSegments ? joinSegments(currentSegments) : redactUntimedText(getEntryText(entry), redactions)
+    };
+  }
+  if (entry.caseDetails) {
+    copy.caseDetails = Object.fromEntries(Object.entries(entry.caseDetails)
+      .map(([key, value]) => [key, redactPlainText(value, redactions)]));
+  }
+  if (entry.translation) {
+    copy.translation = redactTranslation(entry, redactions);
+  }
+  if (entry.speakers) {
+    copy.speakers = entry.speakers.map(speaker => ({ ...speaker, name: redactPlainText(speaker.name, redactions) }));
+  }
+  // The source file name goes into exports and their file names
+  if (entry.sourceName) {
+    copy.sourceName = redactPlainText(entry.sourceName, redactions);
+  }
+  return copy;
+};
+
+// Time ranges to mute or beep: the explicit ranges plus the estimated times
+// of phrase matches, padded, merged and sorted
+export const getAudioRedactionRanges = (entry) => {
+  const redactions = getRedactions(entry);
+  const ranges = getTimeRanges(redactions).map(({ start, end }) => ({ start, end }));
+  (getEntrySegments(entry) ?? []).forEach(segment => {
+    findRedactedWords(segment, redactions)
+      .filter(word => word.fromPhrase)
+      .forEach(word => ranges.push({
+        start: Math.max(0, word.start - PHRASE_PADDING_SECONDS),
+        end: word.end + PHRASE_PADDING_SECONDS
+      }));
+  });
+
+  return ranges
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ ...range });
+      }
+      return merged;
+    }, []);
+};
+
+// A copy of the samples silenced, or overlaid with a tone, over `ranges`
+export const redactSamples = (samples, sampleRate, ranges, mode = 'mute') => {
+  const output = new Float32Array(samples);
+  const fade = Math.round(FADE_SECONDS * sampleRate);
+
+  ranges.forEach(range => {
+    const start = Math.max(0, Math.floor(range.start * sampleRate));
+    const end = Math.min(output.length, Math.ceil(range.end * sampleRate));
+    for (let i = start; i < end; i++) {
+      // 0 inside the range, ramping from and back to 1 at its edges
+      const gain = Math.max(0, 1 - Math.min(i - start, end - 1 - i) / fade);
+      const tone = mode === 'beep'
+        ? BEEP_AMPLITUDE * (1 - gain) * Math.sin((2 * Math.PI * BEEP_FREQUENCY * (i - start)) / sampleRate)
+        : 0;
+      output[i] = output[i] * gain + tone;
+    }
+  });
+  return output;
+};
@@ -0,0 +1,122 @@
+import { getEntrySegments } from './transcript';
+
+// Speaker labels for a history entry's segments.
+//
+// `speakers` is [{ id, name, detected }], detected being true for speakers
+// proposed by automatic diarization and not yet renamed. `segmentSpeakers`
+// holds a speaker id (or null) per segment index. Edits keep one line per
+// segment, so the indices stay valid for `editedSegments` too; when an edit
+// drops the segments the labels are hidden until it is undone.
+//
+// Helpers that change an entry return the changed fields, for updateEntry().
+
+// Names offered when adding a speaker to a hearing transcript
+export const SPEAKER_NAME_SUGGESTIONS = [
+  'Judge',
+  "Petitioner's counsel",
+  "Respondent's counsel",
+  'Public prosecutor',
+  'Witness',
+  'Bench clerk'
+];
+
+export const getSpeakers = (entry) => entry.speakers ?? [];
+
+const getAssignments = (entry) => entry.segmentSpeakers ?? [];
+
+const nextSpeakerId = (speakers) => speakers.reduce((max, speaker) => Math.max(max, speaker.id), 0) + 1;
+
+export const addSpeaker = (entry, name) => {
+  const speakers = getSpeakers(entry);
+  return { speakers: [...speakers, { id: nextSpeakerId(speakers), name: name.trim(), detected: false }] };
+};
+
+export const renameSpeaker = (entry, id, name) => ({
+  speakers: getSpeakers(entry).map(speaker => (speaker.id === id
+    ? { ...speaker, name: name.trim(), detected: false }
+    : speaker))
+});
+
+// Removing a speaker leaves their segments unlabelled
+export const removeSpeaker = (entry, id) => ({
+  speakers: getSpeakers(entry).filter(speaker => speaker.id !== id),
+  segmentSpeakers: getAssignments(entry).map(speakerId => (speakerId === id ? null : speakerId))
+});
+
+// Label the segments at `indices` with `speakerId`, or clear them with null
+export const assignSpeaker = (entry, indices, speakerId) => {
+  const segmentSpeakers = [...getAssignments(entry)];
+  indices.forEach(index => {
+    segmentSpeakers[index] = speakerId;
+  });
+  return { segmentSpeakers: Array.from(segmentSpeakers, speakerId => speakerId ?? null) };
+};
+
+// Indices of the segments labelled with a speaker
+export const getSpeakerSegmentIndices = (entry, id) =>
+  getAssignments(entry).flatMap((speakerId, index) => (speakerId === id ? [index] : []));
+
+// Speaker of each current segment, null where unlabelled
+export const getSegmentSpeakers = (entry) => {
+  const speakers = new Map(getSpeakers(entry).map(speaker => [speaker.id, speaker]));
+  const assignments = getAssignments(entry);
+  return (getEntrySegments(entry) ?? []).map((segment, index) => speakers.get(assignments[index]) ?? null);
+};
+
+const getSegmentSpeakerNames = (entry) => getSegmentSpeakers(entry).map(speaker => speaker?.name ?? null);
+
+// The current segments with each one's speaker name (or null), or null
+// without timed segments
+export const getLabelledSegments = (entry) => {
+  const segments = getEntrySegments(entry);
+  if (!segments) return null;
+  const names = getSegmentSpeakerNames(entry);
+  return segments.map((segment, index) => ({ ...segment, speaker: names[index] }));
+};
+
+export const hasSpeakerLabels = (entry) => getSegmentSpeakerNames(entry).some(Boolean);
+
+// Consecutive segments by the same speaker joined into turns: [{ speaker,
+// start, end, text }]
+export const groupIntoTurns = (segments) =>
+  segments.reduce((turns, segment) => {
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === segment.speaker) {
+      last.end = segment.end;
+      last.text = `${last.text} ${segment.text}`;
+    } else {
+      turns.push({ speaker: segment.speaker, start: segment.start, end: segment.end, text: segment.text });
+    }
+    return turns;
+  }, []);
+
+// Apply a diarization result: `labels` holds a cluster number (or null, to
+// keep the current label) per segment. Each cluster becomes a new "Speaker N";
+// speakers proposed by an earlier run that no segment uses any more are
+// dropped, while speakers the user created or renamed are kept.
+export const applyDiarization = (entry, labels) => {
+  const existing = getSpeakers(entry);
+  const firstId = nextSpeakerId(existing);
+  const assignments = getAssignments(entry);
+  const segmentSpeakers = labels.map((label, index) =>
+    (label === null ? assignments[index] ?? null : firstId + label));
+  const used = new Set(segmentSpeakers);
+  const kept = existing.filter(speaker => !speaker.detected || used.has(speaker.id));
+
+  // Number the new speakers after any earlier ones still in use
+  const takenNames = new Set(kept.map(speaker => speaker.name));
+  let number = 0;
+  const nextName = () => {
+    number++;
+    while (takenNames.has(`Speaker ${number}`)) number++;
+    return `Speaker ${number}`;
+  };
+  const clusterCount = labels.reduce((max, label) => (label === null ? max : Math.max(max, label + 1)), 0);
+  const proposed = Array.from({ length: clusterCount }, (_, cluster) => ({
+    id: firstId + cluster,
+    name: nextName(),
+    detected: true
+  }));
+
+  return { speakers: [...kept, ...proposed], segmentSpeakers };
+};
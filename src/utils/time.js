@@ -0,0 +1,32 @@
+// Format a position in seconds as m:ss, or h:mm:ss for recordings over an hour
+export const formatTimestamp = (seconds) => {
+  const totalSeconds = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const secs = String(totalSeconds % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+};
+
+// Format a position in seconds as a subtitle cue time, HH:MM:SS,mmm for SRT
+// and HH:MM:SS.mmm for WebVTT
+export const formatCueTimestamp = (seconds, separator = ',') => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = String(Math.floor(totalMs / 3600000)).padStart(2, '0');
+  const minutes = String(Math.floor((totalMs % 3600000) / 60000)).padStart(2, '0');
+  const secs = String(Math.floor((totalMs % 60000) / 1000)).padStart(2, '0');
+  const ms = String(totalMs % 1000).padStart(3, '0');
+
+  return `${hours}:${minutes}:${secs}${separator}${ms}`;
+};
+
+// Parse seconds, m:ss or h:mm:ss (seconds may have decimals) back to
+// seconds, or null when the text is not a timestamp
+export const parseTimestamp = (text) => {
+  const match = /^(?:(?:(\d+):)?(\d+):)?(\d+(?:\.\d+)?)$/.exec(text.trim());
+  if (!match) return null;
+  const [, hours = '0', minutes = '0', seconds] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+};
@@ -0,0 +1,94 @@
+// Helpers for reading and editing a history entry's transcript.
+//
+// A transcription is { text, sourceLanguage, languageDetected, task }: the
+// text, the spoken language (as selected or detected by Whisper) and whether
+// the text was transcribed or translated to English.
+//
+// `transcription` and `segments` always hold the unedited model output, kept
+// for audit. Edits go to `editedTranscription` and `editedSegments`, and every
+// saved edit is appended to `revisions` so it can be undone and redone.
+// `editedSegments` is null when an edit no longer lines up with the segments.
+
+// The corrected text if the entry has been edited, otherwise the model output
+export const getEntryText = (entry) =>
+  entry.editedTranscription?.text ?? entry.transcription.text;
+
+// Timed segments matching the current text, or null if an edit broke the
+// correspondence between text and timings
+export const getEntrySegments = (entry) => {
+  if (entry.editedSegments !== undefined) {
+    return entry.editedSegments;
+  }
+  return entry.segments?.length > 0 ? entry.segments : null;
+};
+
+export const isEdited = (entry) => getEntryText(entry) !== entry.transcription.text;
+
+// Language of a transcription's text, for lang attributes
+export const getTextLanguage = (transcription) =>
+  transcription.task === 'translate' ? 'en' : transcription.sourceLanguage ?? 'ml';
+
+// Text shown in the editor: one segment per line when timings are available
+export const getEditableText = (entry) => {
+  const segments = getEntrySegments(entry);
+  return segments ? segments.map(segment => segment.text).join('\n') : getEntryText(entry);
+};
+
+const getRevisions = (entry) =>
+  entry.revisions ?? [{
+    text: entry.transcription.text,
+    segments: entry.segments?.length > 0 ? entry.segments : null,
+    savedAt: entry.timestamp
+  }];
+
+const getRevisionIndex = (entry) => entry.revisionIndex ?? getRevisions(entry).length - 1;
+
+const applyRevision = (entry, revisions, revisionIndex) => {
+  const revision = revisions[revisionIndex];
+  return {
+    revisions,
+    revisionIndex,
+    editedTranscription: { ...entry.transcription, text: revision.text },
+    editedSegments: revision.segments
+  };
+};
+
+// Changes that record `editedText` as a new revision. If the text still has
+// one line per segment, the lines are mapped back onto the segment timings.
+export const saveEdit = (entry, editedText) => {
+  const baseSegments = getEntrySegments(entry) ?? (entry.segments?.length > 0 ? entry.segments : null);
+  const lines = editedText.split('\n').map(line => line.trim());
+
+  let revision;
+  if (baseSegments && lines.length === baseSegments.length) {
+    revision = {
+      text: lines.filter(Boolean).join(' '),
+      segments: baseSegments.map((segment, index) => ({ ...segment, text: lines[index] }))
+    };
+  } else {
+    revision = { text: editedText.trim(), segments: null };
+  }
+
+  // Saving after an undo discards the revisions that could have been redone
+  const revisions = [
+    ...getRevisions(entry).slice(0, getRevisionIndex(entry) + 1),
+    { ...revision, savedAt: new Date().toISOString() }
+  ];
+  return applyRevision(entry, revisions, revisions.length - 1);
+};
+
+export const canUndo = (entry) => getRevisionIndex(entry) > 0;
+
+export const canRedo = (entry) => getRevisionIndex(entry) < getRevisions(entry).length - 1;
+
+export const undoEdit = (entry) =>
+  canUndo(entry) ? applyRevision(entry, getRevisions(entry), getRevisionIndex(entry) - 1) : {};
+
+export const redoEdit = (entry) =>
+  canRedo(entry) ? applyRevision(entry, getRevisions(entry), getRevisionIndex(entry) + 1) : {};
+
+export const getRevisionInfo = (entry) => ({
+  index: getRevisionIndex(entry),
+  count: getRevisions(entry).length,
+  savedAt: getRevisions(entry)[getRevisionIndex(entry)].savedAt
+});
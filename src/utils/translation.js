@@ -0,0 +1,95 @@
+import { getEntryText, getEntrySegments, getTextLanguage } from './transcript';
+import { getLabelledSegments } from './speakers';
+
+// English translation of a history entry's transcript, stored as
+// `translation`:
+//
+//   { language, model, translatedAt,
+//     sourceLines: [string],   the transcript lines as they were translated
+//     lines: [string],         model output, one per source line
+//     editedLines: [string] }  corrected lines, once edited
+//
+// Lines are the entry's segments when it has them, so the translation keeps
+// their timings, and otherwise the sentences of its text.
+
+export const TRANSLATION_LANGUAGE = 'en';
+
+// Sentence ends in Malayalam and Hindi (danda) text, and line breaks
+const SENTENCE_BREAK = /(?<=[.?!।॥])\s+|\n+/;
+
+export const splitSentences = (text) =>
+  text.split(SENTENCE_BREAK).map(sentence => sentence.trim()).filter(Boolean);
+
+export const getSourceLines = (entry) => {
+  const segments = getEntrySegments(entry);
+  return segments ? segments.map(segment => segment.text) : splitSentences(getEntryText(entry));
+};
+
+// English transcripts (and Whisper's own translations) need no translation
+export const canTranslate = (entry) => getTextLanguage(entry.transcription) !== TRANSLATION_LANGUAGE;
+
+export const hasTranslation = (entry) => Boolean(entry.translation);
+
+export const getTranslationLines = (entry) =>
+  entry.translation?.editedLines ?? entry.translation?.lines ?? null;
+
+export const isTranslationEdited = (entry) => Boolean(entry.translation?.editedLines);
+
+export const getTranslationText = (entry) => (getTranslationLines(entry) ?? []).filter(Boolean).join(' ');
+
+// The transcript was edited since it was translated
+export const isTranslationStale = (entry) => {
+  const { sourceLines } = entry.translation ?? {};
+  if (!sourceLines) return false;
+  const current = getSourceLines(entry);
+  return current.length !== sourceLines.length || current.some((line, index) => line !== sourceLines[index]);
+};
+
+// Source lines without a translation yet: all of them at first, and only
+// the changed ones once the transcript has been edited
+export const getUntranslatedLines = (entry) => {
+  const known = new Set(entry.translation?.sourceLines ?? []);
+  return [...new Set(getSourceLines(entry).filter(line => line.trim() && !known.has(line)))];
+};
+
+// Changes that translate the current source lines, reusing the existing
+// translation (and corrections) of lines that did not change. `translations`
+// maps newly translated source lines to their translation.
+export const updateTranslation = (entry, translations, modelId) => {
+  const previous = entry.translation;
+  const previousLines = previous?.sourceLines ?? [];
+  const modelOutput = new Map(previousLines.map((line, index) => [line, previous.lines[index]]));
+  const corrected = new Map(previousLines.map((line, index) => [line, previous.editedLines?.[index]]));
+
+  const sourceLines = getSourceLines(entry);
+  const lines = sourceLines.map(line => translations.get(line) ?? modelOutput.get(line) ?? '');
+  return {
+    translation: {
+      language: TRANSLATION_LANGUAGE,
+      model: modelId,
+      translatedAt: new Date().toISOString(),
+      sourceLines,
+      lines,
+      editedLines: previous?.editedLines
+        ? sourceLines.map((line, index) => corrected.get(line) ?? lines[index])
+        : undefined
+    }
+  };
+};
+
+export const saveTranslationEdit = (entry, editedLines) => ({
+  translation: { ...entry.translation, editedLines: editedLines.map(line => line.trim()) }
+});
+
+export const revertTranslationEdit = (entry) => ({
+  translation: { ...entry.translation, editedLines: undefined }
+});
+
+// The entry's segments (with speaker names) carrying their translation as
+// text, or null when the translation is not by segment or no longer lines up
+export const getTranslatedSegments = (entry) => {
+  const segments = getLabelledSegments(entry);
+  const lines = getTranslationLines(entry);
+  if (!segments || !lines || lines.length !== segments.length) return null;
+  return segments.map((segment, index) => ({ ...segment, text: lines[index] }));
+};
@@ -0,0 +1,181 @@
+/* global BigInt, BigInt64Array */
+// Voice activity detection: find the speech regions of a recording so that
+// leading/trailing silence is trimmed and silent stretches are never sent to
+// the recognizer (where Whisper tends to hallucinate text).
+//
+// Two detectors share the same region logic: an energy detector that needs no
+// model, and Silero VAD (v4 or v5 ONNX export) loaded from a local file.
+
+export const DEFAULT_VAD_SETTINGS = {
+  enabled: false,
+  // 0..1, higher finds quieter speech
+  sensitivity: 0.5,
+  // Pauses shorter than this do not split speech regions
+  minSilenceMs: 700
+};
+
+const ENERGY_FRAME_MS = 30;
+const SILERO_FRAME_SAMPLES = 512;
+const SILERO_V5_CONTEXT_SAMPLES = 64;
+const SILERO_CHECK_FRAMES = 100;
+const MIN_SPEECH_MS = 250;
+const PADDING_MS = 200;
+
+// Merge per-frame speech flags into padded [start, end) sample ranges
+export const framesToRegions = (isSpeech, frameSamples, totalSamples, sampleRate, { minSilenceMs }) => {
+  const minSilenceFrames = Math.ceil((minSilenceMs / 1000) * sampleRate / frameSamples);
+  const minSpeechSamples = (MIN_SPEECH_MS / 1000) * sampleRate;
+  const padding = Math.round((PADDING_MS / 1000) * sampleRate);
+
+  const regions = [];
+  let regionStart = null;
+  let silentFrames = 0;
+
+  isSpeech.forEach((speech, frame) => {
+    if (speech) {
+      if (regionStart === null) regionStart = frame;
+      silentFrames = 0;
+    } else if (regionStart !== null) {
+      silentFrames++;
+      if (silentFrames >= minSilenceFrames) {
+        regions.push([regionStart, frame - silentFrames + 1]);
+        regionStart = null;
+        silentFrames = 0;
+      }
+    }
+  });
+  if (regionStart !== null) {
+    regions.push([regionStart, isSpeech.length - silentFrames]);
+  }
+
+  return regions
+    .map(([startFrame, endFrame]) => ({
+      start: Math.max(0, startFrame * frameSamples - padding),
+      end: Math.min(totalSamples, endFrame * frameSamples + padding)
+    }))
+    .filter(region => region.end - region.start >= minSpeechSamples)
+    // Padding can make neighbours overlap; join them back together
+    .reduce((merged, region) => {
+      const last = merged[merged.length - 1];
+      if (last && region.start <= last.end) {
+        last.end = Math.max(last.end, region.end);
+      } else {
+        merged.push({ ...region });
+      }
+      return merged;
+    }, []);
+};
+
+// Frames louder than an adaptive threshold above the noise floor are speech.
+// The noise floor is the 10th percentile of frame energies; sensitivity moves
+// the threshold between 15 dB (0) and 3 dB (1) above it.
+export const detectSpeechByEnergy = (samples, sampleRate, settings) => {
+  const frameSamples = Math.round((ENERGY_FRAME_MS / 1000) * sampleRate);
+  const frameCount = Math.ceil(samples.length / frameSamples);
+  const energies = new Float32Array(frameCount);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const start = frame * frameSamples;
+    const end = Math.min(start + frameSamples, samples.length);
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+    energies[frame] = 10 * Math.log10(sum / (end - start) + 1e-10);
+  }
+
+  const sorted = Float32Array.from(energies).sort();
+  const noiseFloor = sorted[Math.floor(sorted.length * 0.1)] ?? -100;
+  const threshold = noiseFloor + 15 - 12 * settings.sensitivity;
+
+  const isSpeech = Array.from(energies, energy => energy > threshold);
+  return framesToRegions(isSpeech, frameSamples, samples.length, sampleRate, settings);
+};
+
+// Silero VAD over 512-sample frames. `ort` is the onnxruntime-web module and
+// `session` an InferenceSession created from the model file. Every
+// SILERO_CHECK_FRAMES frames it awaits throwIfCancelled() and reports the
+// share of frames done to onProgress.
+export const detectSpeechWithSilero = async (ort, session, samples, sampleRate, settings, throwIfCancelled = () => {}, onProgress = () => {}) => {
+  const isV5 = session.inputNames.includes('state');
+  const sr = new ort.Tensor('int64', BigInt64Array.from([BigInt(sampleRate)]), []);
+  let state = isV5
+    ? { state: new ort.Tensor('float32', new Float32Array(2 * 128), [2, 1, 128]) }
+    : {
+      h: new ort.Tensor('float32', new Float32Array(2 * 64), [2, 1, 64]),
+      c: new ort.Tensor('float32', new Float32Array(2 * 64), [2, 1, 64])
+    };
+
+  // v5 takes each frame behind the last samples of the frame before it
+  const contextSamples = isV5 ? SILERO_V5_CONTEXT_SAMPLES : 0;
+  const inputSamples = contextSamples + SILERO_FRAME_SAMPLES;
+
+  // sensitivity 0..1 maps to a speech probability threshold of 0.8..0.2
+  const threshold = 0.8 - 0.6 * settings.sensitivity;
+  const frameCount = Math.ceil(samples.length / SILERO_FRAME_SAMPLES);
+  const isSpeech = new Array(frameCount);
+  let context = new Float32Array(contextSamples);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    if (frame % SILERO_CHECK_FRAMES === 0) {
+      await throwIfCancelled();
+      onProgress(frame / frameCount);
+    }
+
+    const chunk = new Float32Array(inputSamples);
+    chunk.set(context);
+    chunk.set(samples.subarray(frame * SILERO_FRAME_SAMPLES, (frame + 1) * SILERO_FRAME_SAMPLES), contextSamples);
+    context = chunk.slice(inputSamples - contextSamples);
+
+    const outputs = await session.run({
+      input: new ort.Tensor('float32', chunk, [1, inputSamples]),
+      sr,
+      ...state
+    });
+    isSpeech[frame] = outputs.output.data[0] > threshold;
+    state = isV5
+      ? { state: outputs.stateN }
+      : { h: outputs.hn, c: outputs.cn };
+  }
+  onProgress(1);
+
+  return framesToRegions(isSpeech, SILERO_FRAME_SAMPLES, samples.length, sampleRate, settings);
+};
+
+// Neighbouring speech regions packed into windows of at most maxSamples, so
+// that short utterances share one recognizer pass instead of each being
+// padded out to a full one. A region longer than maxSamples gets a window of
+// its own, which the recognizer splits up itself. Each window lists its
+// regions with their offset into the window's samples.
+export const packRegions = (regions, maxSamples) => regions.reduce((windows, region) => {
+  const length = region.end - region.start;
+  const last = windows[windows.length - 1];
+  if (last && last.length + length <= maxSamples) {
+    last.regions.push({ ...region, offset: last.length });
+    last.length += length;
+  } else {
+    windows.push({ length, regions: [{ ...region, offset: 0 }] });
+  }
+  return windows;
+}, []);
+
+// The samples of a packed window's regions, one after the other
+export const getWindowSamples = (samples, window) => {
+  if (window.regions.length === 1) {
+    const [{ start, end }] = window.regions;
+    return samples.subarray(start, end);
+  }
+  const joined = new Float32Array(window.length);
+  window.regions.forEach(({ start, end, offset }) => joined.set(samples.subarray(start, end), offset));
+  return joined;
+};
+
+// Recording sample of a sample position in a packed window. An end position
+// that falls on the join of two regions belongs to the earlier one.
+export const toRecordingSample = (window, position, isEnd = false) => {
+  let region = window.regions[0];
+  for (const candidate of window.regions) {
+    if (isEnd ? candidate.offset >= position : candidate.offset > position) break;
+    region = candidate;
+  }
+  const within = Math.max(0, Math.min(position - region.offset, region.end - region.start));
+  return region.start + within;
+};
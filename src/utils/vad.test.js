@@ -0,0 +1,88 @@
+import { detectSpeechWithSilero, packRegions, getWindowSamples, toRecordingSample } from './vad';
+
+describe('packRegions', () => {
+  const regions = [
+    { start: 0, end: 10 },
+    { start: 20, end: 25 },
+    { start: 40, end: 50 },
+    { start: 60, end: 100 }
+  ];
+
+  test('packs neighbouring regions up to the window length', () => {
+    expect(packRegions(regions, 20)).toEqual([
+      { length: 15, regions: [{ start: 0, end: 10, offset: 0 }, { start: 20, end: 25, offset: 10 }] },
+      { length: 10, regions: [{ start: 40, end: 50, offset: 0 }] },
+      { length: 40, regions: [{ start: 60, end: 100, offset: 0 }] }
+    ]);
+  });
+
+  test('joins the samples of a window', () => {
+    const samples = Float32Array.from({ length: 30 }, (_, index) => index);
+    const [window] = packRegions([{ start: 2, end: 4 }, { start: 10, end: 12 }], 20);
+    expect(Array.from(getWindowSamples(samples, window))).toEqual([2, 3, 10, 11]);
+  });
+
+  test('maps window positions back onto the recording', () => {
+    const [window] = packRegions(regions, 20);
+    expect(toRecordingSample(window, 0)).toBe(0);
+    expect(toRecordingSample(window, 12)).toBe(22);
+    // The join of the two regions starts the second but ends the first
+    expect(toRecordingSample(window, 10)).toBe(20);
+    expect(toRecordingSample(window, 10, true)).toBe(10);
+    // Past the end of the window stays inside the last region
+    expect(toRecordingSample(window, 18, true)).toBe(25);
+  });
+});
+
+describe('detectSpeechWithSilero', () => {
+  const ort = {
+    Tensor: class {
+      constructor(type, data, dims) {
+        Object.assign(this, { type, data, dims });
+      }
+    }
+  };
+  // Records each frame's input and says everything is speech
+  const createSession = (inputNames) => {
+    const inputs = [];
+    return {
+      inputs,
+      inputNames,
+      run: async ({ input, state }) => {
+        inputs.push(input);
+        return { output: { data: [1] }, stateN: state, hn: null, cn: null };
+      }
+    };
+  };
+  const samples = Float32Array.from({ length: 1024 }, (_, index) => index);
+  const settings = { sensitivity: 0.5, minSilenceMs: 700 };
+
+  test('puts the last 64 samples of the previous frame in front of each v5 frame', async () => {
+    const session = createSession(['input', 'state', 'sr']);
+    await detectSpeechWithSilero(ort, session, samples, 16000, settings);
+    const [first, second] = session.inputs;
+    expect(first.dims).toEqual([1, 576]);
+    expect(Array.from(first.data.subarray(0, 64)).every(value => value === 0)).toBe(true);
+    expect(first.data[64]).toBe(0);
+    expect(Array.from(second.data.subarray(0, 65))).toEqual(Array.from(samples.subarray(448, 513)));
+  });
+
+  test('gives v4 plain 512-sample frames', async () => {
+    const session = createSession(['input', 'sr', 'h', 'c']);
+    await detectSpeechWithSilero(ort, session, samples, 16000, settings);
+    expect(session.inputs[1].dims).toEqual([1, 512]);
+    expect(session.inputs[1].data[0]).toBe(512);
+  });
+
+  test('stops when cancelled and reports progress', async () => {
+    const session = createSession(['input', 'state', 'sr']);
+    const progress = [];
+    await detectSpeechWithSilero(ort, session, samples, 16000, settings, () => {}, value => progress.push(value));
+    expect(progress).toEqual([0, 1]);
+
+    const cancelled = new Error('cancelled');
+    await expect(detectSpeechWithSilero(ort, createSession(['input', 'state', 'sr']), samples, 16000, settings, () => {
+      throw cancelled;
+    })).rejects.toBe(cancelled);
+  });
+});
@@ -0,0 +1,35 @@
+// Whisper's timestamps are per segment, so word times are estimated by
+// spreading each segment's span over its words in proportion to their
+// length. That is close enough to follow along and to seek by word.
+
+// Words of a segment as [{ text, start, end }]
+export const getWordTimings = (segment) => {
+  const words = segment.text.split(/\s+/).filter(Boolean);
+  const totalLength = words.reduce((sum, word) => sum + word.length, 0);
+  const duration = Math.max(0, segment.end - segment.start);
+
+  let position = 0;
+  return words.map(word => {
+    const start = segment.start + (position / totalLength) * duration;
+    position += word.length;
+    return { text: word, start, end: segment.start + (position / totalLength) * duration };
+  });
+};
+
+// Index of the timed item ({ start, end }) playing at `time`, or -1. Items are
+// sorted by start; gaps between items belong to neither.
+export const findActiveIndex = (items, time) => {
+  let low = 0;
+  let high = items.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (time < items[mid].start) {
+      high = mid - 1;
+    } else if (time >= items[mid].end) {
+      low = mid + 1;
+    } else {
+      return mid;
+    }
+  }
+  return -1;
+};
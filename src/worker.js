@@ -0,0 +1,728 @@
+/* eslint-disable no-restricted-globals */
+import { pipeline, env } from '@xenova/transformers';
+import * as ort from 'onnxruntime-web';
+import { getModelKey } from './models';
+import { createIdToToken, normalizeInputValues, ctcGreedyDecode, ctcAverageLogprob } from './utils/ctc';
+import { detectSpeechByEnergy, detectSpeechWithSilero, packRegions, getWindowSamples, toRecordingSample } from './utils/vad';
+import { diarizeSegments } from './utils/diarization';
+import {
+  logProbability,
+  createTokenLogprobRecorder,
+  getTimedSpans,
+  averageLogprobFor,
+  compressionRatio
+} from './utils/confidence';
+
+// Configure environment. The ONNX runtime's .wasm binaries are served by the
+// app itself (copied to public/ort/ by scripts/copy-ort-wasm.js) rather than
+// from a CDN; `env.backends.onnx` is the same runtime imported as `ort`.
+env.allowLocalModels = false;
+env.useBrowserCache = true;
+env.backends.onnx.wasm.numThreads = 1;
+env.backends.onnx.wasm.wasmPaths = `${process.env.PUBLIC_URL}/ort/`;
+
+// Point transformers.js at the hub or at locally served model files. Local
+// mode never falls back to the hub.
+const configureModelSource = (source) => {
+  const isLocal = source?.mode === 'local';
+  env.allowLocalModels = isLocal;
+  env.allowRemoteModels = !isLocal;
+  if (isLocal) {
+    env.localModelPath = source.baseUrl.endsWith('/') ? source.baseUrl : `${source.baseUrl}/`;
+  }
+};
+
+// Message protocol
+//
+// main -> worker
+//   { type: 'load', loadId, model, source }               a config from src/models.js; source is
+//                                                         { mode: 'remote' | 'local', baseUrl }; loads
+//                                                         wait for queued jobs, and of several waiting
+//                                                         only the latest is carried out
+//   { type: 'transcribe', jobId, audio: Float32Array, sampleRate, options: { language, task, vad, prompt } }
+//                                                         language null = auto-detect; vad is
+//                                                         { enabled, sensitivity, minSilenceMs, modelFile };
+//                                                         prompt is glossary text to bias Whisper (optional)
+//   { type: 'diarize', jobId, audio: Float32Array, sampleRate, segments: [{ start, end }],
+//     options: { modelFile, inputType, speakerCount, threshold } }
+//                                                         speaker embedding model and clustering
+//                                                         settings (see utils/diarization.js)
+//   { type: 'translate', jobId, texts: [string], options: { model, source, srcLang, tgtLang } }
+//                                                         a translation model from src/models.js, with
+//                                                         the model's own language codes
+//   { type: 'synthesize', jobId, text, options: { voice, source } }
+//                                                         a text-to-speech voice from src/models.js
+//   { type: 'cancel', jobId }
+//
+// worker -> main
+//   { type: 'progress', file, progress, loaded, total }   model download progress
+//   { type: 'progress', jobId, file, progress, loaded, total }
+//                                                         translation or voice model download progress
+//   { type: 'ready', loadId, model }                      model loaded
+//   { type: 'partial', jobId, text, progress }            text decoded so far, progress in 0..1
+//   { type: 'result', jobId, result }                     { text, language, languageDetected, task,
+//                                                           segments: [{ start, end, text, confidence }] }
+//                                                         confidence is { avgLogprob, noSpeechProb,
+//                                                         compressionRatio } (see utils/confidence.js)
+//                                                         language is the spoken (requested or detected) language
+//   { type: 'result', jobId, result }                     for diarize: { labels }, a cluster number
+//                                                         (or null) per segment
+//   { type: 'partial', jobId, text, progress }            for translate: the latest translated text
+//   { type: 'result', jobId, result }                     for translate: { translations }, one per text
+//   { type: 'result', jobId, result }                     for synthesize: { audio: Float32Array, sampleRate }
+//   { type: 'cancelled', jobId }
+//   { type: 'error', jobId, name, message }               jobId is null for load errors, which
+//                                                         carry the loadId instead; name is the
+//                                                         error's, e.g. 'VoiceNotConvertedError'
+
+class CancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'CancelledError';
+  }
+}
+
+// A voice whose ONNX export is not where the model source says; the page
+// shows how to convert and serve it (see VoiceConversionHelp)
+class VoiceNotConvertedError extends Error {
+  constructor(modelId) {
+    super(`The voice ${modelId} has no ONNX export at the model source`);
+    this.name = 'VoiceNotConvertedError';
+  }
+}
+
+// A fine-tuned wav2vec2 CTC model exported to ONNX, plus its vocabulary
+const loadCtcModel = async ({ modelFile, vocabFile }) => {
+  const vocab = JSON.parse(await vocabFile.text());
+  const session = await ort.InferenceSession.create(
+    new Uint8Array(await modelFile.arrayBuffer()),
+    { executionProviders: ['wasm'] }
+  );
+  return {
+    session,
+    vocab,
+    idToToken: createIdToToken(vocab),
+    dispose: () => session.release?.()
+  };
+};
+
+// Lazily created recognizer for the current model, shared by every job:
+// a transformers.js pipeline for Whisper, an ONNX session for CTC models
+class Recognizer {
+  static instance = null;
+  static modelKey = null;
+
+  static async getInstance(model, source, progress_callback) {
+    const key = model.type === 'ctc'
+      ? getModelKey(model)
+      : `${getModelKey(model)}:${source?.mode}:${source?.baseUrl}`;
+    if (this.instance === null || this.modelKey !== key) {
+      if (this.instance) {
+        const previous = await this.instance;
+        await previous.dispose?.();
+      }
+      this.modelKey = key;
+      if (model.type !== 'ctc') configureModelSource(source);
+      this.instance = model.type === 'ctc'
+        ? loadCtcModel(model)
+        : pipeline('automatic-speech-recognition', model.model_id, {
+          revision: model.revision,
+          quantized: model.quantized,
+          progress_callback
+        });
+      // Do not cache a failed load, so that a retry starts from scratch
+      this.instance.catch(() => {
+        this.instance = null;
+        this.modelKey = null;
+      });
+    }
+    return this.instance;
+  }
+}
+
+// Lazily created pipeline for another task (translation, text-to-speech),
+// kept apart from the recognizer so that using it does not unload the speech
+// model; reloaded only when a different model is asked for
+class TaskPipeline {
+  instance = null;
+  modelKey = null;
+
+  constructor(task) {
+    this.task = task;
+  }
+
+  async getInstance(model, source, progress_callback) {
+    const key = `${model.model_id}:${model.quantized}:${source?.mode}:${source?.baseUrl}`;
+    if (this.instance === null || this.modelKey !== key) {
+      if (this.instance) {
+        const previous = await this.instance;
+        await previous.dispose?.();
+      }
+      this.modelKey = key;
+      configureModelSource(source);
+      this.instance = pipeline(this.task, model.model_id, {
+        quantized: model.quantized,
+        progress_callback
+      });
+      this.instance.catch(() => {
+        this.instance = null;
+        this.modelKey = null;
+      });
+    }
+    return this.instance;
+  }
+}
+
+const translator = new TaskPipeline('translation');
+const synthesizer = new TaskPipeline('text-to-speech');
+
+// Long recordings are decoded in overlapping 30 s windows (Whisper's input
+// size); the overlap on each side is dropped again when windows are stitched.
+const CHUNK_LENGTH_S = 30;
+const STRIDE_LENGTH_S = 5;
+
+// CTC models see each window independently, so windows do not overlap
+const CTC_WINDOW_S = 20;
+// Whisper keeps at most half of its 448-token context for the prompt
+const MAX_PROMPT_TOKENS = 200;
+// Share of a transcription job's progress taken by Silero VAD
+const SILERO_PROGRESS_SHARE = 0.1;
+
+// ONNX session of a model file picked by the user (Silero VAD, speaker
+// embeddings), reloaded only when a different file is picked
+class FileModel {
+  instance = null;
+  fileKey = null;
+
+  async getInstance(modelFile) {
+    const key = `${modelFile.name}:${modelFile.size}:${modelFile.lastModified}`;
+    if (this.instance === null || this.fileKey !== key) {
+      this.fileKey = key;
+      this.instance = modelFile.arrayBuffer().then(buffer =>
+        ort.InferenceSession.create(new Uint8Array(buffer), { executionProviders: ['wasm'] })
+      );
+      this.instance.catch(() => {
+        this.instance = null;
+        this.fileKey = null;
+      });
+    }
+    return this.instance;
+  }
+}
+
+const vadModel = new FileModel();
+const speakerModel = new FileModel();
+
+let currentModel = null;
+let currentSource = null;
+// Jobs received and not yet settled, and those of them asked to cancel
+const pendingJobs = new Set();
+const cancelledJobs = new Set();
+
+// Jobs run one at a time, in the order they arrive; the model cannot decode
+// two inputs at once. Model loads go through the same queue, so a model is
+// never swapped out under a running job.
+let jobQueue = Promise.resolve();
+// Loads that a later one supersedes before they start are skipped
+let latestLoadId = null;
+
+const reportProgress = (data) => {
+  if (data.status === 'progress') {
+    self.postMessage({
+      type: 'progress',
+      file: data.file,
+      progress: data.progress,
+      loaded: data.loaded,
+      total: data.total
+    });
+  }
+};
+
+// With the wasm backend and no proxy, session.run() never gives the event
+// loop a turn, so a 'cancel' message would only be handled once the job is
+// over. Jobs wait on this between windows and decoding steps.
+const yieldToMessages = () => new Promise(resolve => setTimeout(resolve));
+
+// Rejects with CancelledError once the job has been cancelled, after letting
+// pending messages through
+const createCancellationCheck = (jobId) => async () => {
+  await yieldToMessages();
+  if (cancelledJobs.has(jobId)) {
+    throw new CancelledError(jobId);
+  }
+};
+
+const loadModel = async ({ loadId, model, source }) => {
+  currentModel = model;
+  currentSource = source;
+  const recognizer = await Recognizer.getInstance(model, source, reportProgress);
+  self.postMessage({ type: 'ready', loadId, model });
+  return recognizer;
+};
+
+// Peak normalization without spreading the samples onto the call stack
+const normalize = (audio) => {
+  let peak = 0;
+  for (let i = 0; i < audio.length; i++) {
+    const value = Math.abs(audio[i]);
+    if (value > peak) peak = value;
+  }
+  if (peak === 0) return audio;
+
+  const normalized = new Float32Array(audio.length);
+  for (let i = 0; i < audio.length; i++) {
+    normalized[i] = audio[i] / peak;
+  }
+  return normalized;
+};
+
+// Language code of the first language token in a Whisper output sequence
+const findLanguageToken = (tokenizer, tokens) => {
+  for (const id of tokens.slice(0, 4)) {
+    const match = /^<\|([a-z]{2,3})\|>$/.exec(tokenizer.decode([Number(id)]));
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+};
+
+// <|startofprev|> followed by the prompt's tokens, keeping the end of prompts
+// that are too long as Whisper does; empty without a prompt
+const getPromptIds = (tokenizer, prompt) => {
+  if (!prompt) return [];
+  const ids = tokenizer.encode(` ${prompt.trim()}`, null, { add_special_tokens: false });
+  const [startOfPrev] = tokenizer.model.convert_tokens_to_ids(['<|startofprev|>']);
+  return [startOfPrev, ...ids.slice(-MAX_PROMPT_TOKENS)];
+};
+
+// Whisper decoding relies on two transformers.js internals that the public
+// pipeline has no equivalent for: model.runBeam, wrapped below for the
+// confidence measures, and tokenizer._decode_asr, which stitches windows
+// decoded one at a time (for cancellation and partial text) the way the
+// pipeline does. Neither is public API, so package.json pins
+// @xenova/transformers to the exact version they were written against;
+// check both when upgrading it.
+//
+// transformers.js does not expose the logits of each decoding step, so the
+// model's beam runner is wrapped for the duration of one generate() call to
+// observe them. Jobs run one at a time, so the wrapper never overlaps.
+// onStep may be async; the next step waits for it.
+const withStepLogits = async (model, onStep, generate) => {
+  model.runBeam = async function (beam) {
+    const output = await Object.getPrototypeOf(this).runBeam.call(this, beam);
+    await onStep(beam, output.logits);
+    return output;
+  };
+  try {
+    return await generate();
+  } finally {
+    delete model.runBeam;
+  }
+};
+
+const transcribeWithWhisper = async (transcriber, { samples, sampleRate, options, throwIfCancelled, reportPartial }) => {
+  const { processor, model, tokenizer } = transcriber;
+  const duration = samples.length / sampleRate;
+  const task = options.task ?? 'transcribe';
+  let language = options.language ?? null;
+
+  const windowSize = CHUNK_LENGTH_S * sampleRate;
+  const stride = STRIDE_LENGTH_S * sampleRate;
+  const jump = windowSize - 2 * stride;
+  // The last window is the first to reach the end of the audio, so audio of
+  // up to 30 s takes a single pass
+  const windowCount = samples.length <= windowSize ? 1 : Math.ceil((samples.length - windowSize) / jump) + 1;
+
+  const decodeOptions = {
+    time_precision: processor.feature_extractor.config.chunk_length / model.config.max_source_positions,
+    return_timestamps: true,
+    force_full_sequences: false
+  };
+  // With a prompt, decoding starts from the prompt tokens and every forced
+  // position moves past them. The prompt positions are listed as forced too,
+  // since the timestamp processor counts forced ids to find where the
+  // transcript begins.
+  const promptIds = getPromptIds(tokenizer, options.prompt);
+  const [startOfTranscript] = tokenizer.model.convert_tokens_to_ids(['<|startoftranscript|>']);
+  const getDecoderPrefix = () => {
+    const forcedIds = tokenizer.get_decoder_prompt_ids({ language, task, no_timestamps: false });
+    if (promptIds.length === 0) {
+      return { forced_decoder_ids: forcedIds };
+    }
+    return {
+      decoder_input_ids: [...promptIds, startOfTranscript],
+      forced_decoder_ids: [
+        ...promptIds.slice(1).map((id, index) => [index + 1, id]),
+        [promptIds.length, startOfTranscript],
+        ...forcedIds.map(([position, id]) => [position + promptIds.length, id])
+      ]
+    };
+  };
+  let decoderPrefix = getDecoderPrefix();
+  // Output sequences start with the prompt, which is not part of the transcript
+  const withoutPrompt = (tokens) => tokens.slice(promptIds.length);
+
+  // Token ids and per-window state for the confidence measures
+  const spanOptions = {
+    firstPosition: promptIds.length,
+    timestampBegin: tokenizer.model.convert_tokens_to_ids(['<|notimestamps|>'])[0] + 1,
+    firstSpecialId: tokenizer.model.convert_tokens_to_ids(['<|endoftext|>'])[0],
+    timePrecision: decodeOptions.time_precision
+  };
+  const noSpeechId = tokenizer.model.tokens_to_ids.get('<|nospeech|>')
+    ?? tokenizer.model.tokens_to_ids.get('<|nocaptions|>');
+  const spans = [];
+  const windows = [];
+
+  // Windows are decoded one at a time so that only the current window's
+  // features are held in memory, and so that cancellation and progress
+  // reporting happen between windows as well as between decoding steps.
+  const chunks = [];
+  let stitchedText = '';
+
+  for (let offset = 0, index = 0; index < windowCount; offset += jump, index++) {
+    await throwIfCancelled();
+
+    const windowSamples = samples.subarray(offset, offset + windowSize);
+    const isFirst = offset === 0;
+    const isLast = index === windowCount - 1;
+    const chunkStride = [
+      windowSamples.length,
+      isFirst ? 0 : stride,
+      isLast ? 0 : stride
+    ].map(x => x / sampleRate);
+    const previousText = stitchedText;
+
+    // The step right after <|startoftranscript|> gives the no-speech probability.
+    // Every decoding step ends here, so it doubles as the cancellation point.
+    const recorder = createTokenLogprobRecorder();
+    let noSpeechProb = null;
+    const onStep = async (beam, logits) => {
+      const [, length, vocabSize] = logits.dims;
+      const row = logits.data.subarray((length - 1) * vocabSize, length * vocabSize);
+      const position = beam.output_token_ids.length;
+      if (position === promptIds.length + 1 && noSpeechId !== undefined) {
+        noSpeechProb = Math.exp(logProbability(row, noSpeechId));
+      }
+      recorder.observe(row, position, beam.output_token_ids);
+      await throwIfCancelled();
+    };
+
+    const { input_features } = await processor(windowSamples);
+    const prefix = decoderPrefix;
+    const output = await withStepLogits(model, onStep, () => model.generate(input_features, {
+      ...prefix,
+      return_timestamps: true,
+      num_frames: Math.floor(windowSamples.length / processor.feature_extractor.config.hop_length),
+      callback_function: (beams) => {
+        const [windowText] = tokenizer._decode_asr([{
+          stride: chunkStride,
+          tokens: withoutPrompt(beams[0].output_token_ids)
+        }], decodeOptions);
+        reportPartial(`${previousText}${windowText}`, index / windowCount);
+      }
+    }));
+    recorder.resolve(output[0]);
+
+    // Only the part of the window outside its strides counts, so that
+    // overlapping windows do not score the same speech twice
+    const windowStart = offset / sampleRate;
+    const coreStart = windowStart + chunkStride[1];
+    const coreEnd = windowStart + chunkStride[0] - chunkStride[2];
+    windows.push({ start: coreStart, end: coreEnd, noSpeechProb });
+    getTimedSpans(output[0], recorder.logprobs, spanOptions)
+      .map(span => ({ ...span, start: span.start + windowStart, end: span.end + windowStart }))
+      .filter(span => span.start >= coreStart && span.start < coreEnd)
+      .forEach(span => spans.push(span));
+
+    // With auto-detect, the language found in the first window is forced for
+    // the rest, so that one recording is not decoded in a mix of languages
+    const tokens = withoutPrompt(output[0]);
+    if (language === null) {
+      language = findLanguageToken(tokenizer, tokens);
+      if (language !== null) {
+        decoderPrefix = getDecoderPrefix();
+      }
+    }
+
+    chunks.push({ stride: chunkStride, tokens });
+    [stitchedText] = tokenizer._decode_asr(chunks, decodeOptions);
+    reportPartial(stitchedText, (index + 1) / windowCount);
+  }
+
+  const [text, { chunks: timestamped = [] }] = tokenizer._decode_asr(chunks, decodeOptions);
+  const segments = timestamped
+    .map(({ timestamp: [start, end], text: segmentText }) => ({
+      start,
+      end: end ?? duration,
+      text: segmentText.trim()
+    }))
+    .filter(segment => segment.text);
+
+  const scoredSegments = await Promise.all(segments.map(async segment => ({
+    ...segment,
+    confidence: {
+      avgLogprob: averageLogprobFor(segment, spans),
+      noSpeechProb: windows.find(window => segment.start >= window.start && segment.start < window.end)?.noSpeechProb ?? null,
+      compressionRatio: await compressionRatio(segment.text)
+    }
+  })));
+
+  return {
+    text: text.trim(),
+    language,
+    languageDetected: options.language == null,
+    task,
+    segments: scoredSegments
+  };
+};
+
+const transcribeWithCtc = async (ctcModel, { samples, sampleRate, options, throwIfCancelled, reportPartial }) => {
+  if (options.task === 'translate') {
+    throw new Error('Translation needs a Whisper model; the CTC model only transcribes Malayalam');
+  }
+  const { session, vocab, idToToken } = ctcModel;
+  const windowSize = CTC_WINDOW_S * sampleRate;
+  const windowCount = Math.ceil(samples.length / windowSize);
+  const segments = [];
+
+  for (let offset = 0, index = 0; offset < samples.length; offset += windowSize, index++) {
+    await throwIfCancelled();
+
+    const windowSamples = samples.subarray(offset, offset + windowSize);
+    const input = new ort.Tensor('float32', normalizeInputValues(windowSamples), [1, windowSamples.length]);
+    const outputs = await session.run({ [session.inputNames[0]]: input });
+    const logits = outputs[session.outputNames[0]];
+    const [, frames, vocabSize] = logits.dims;
+
+    const text = ctcGreedyDecode(logits.data, frames, vocabSize, idToToken, vocab);
+    if (text) {
+      segments.push({
+        start: offset / sampleRate,
+        end: (offset + windowSamples.length) / sampleRate,
+        text,
+        confidence: {
+          avgLogprob: ctcAverageLogprob(logits.data, frames, vocabSize, vocab),
+          noSpeechProb: null,
+          compressionRatio: await compressionRatio(text)
+        }
+      });
+    }
+
+    reportPartial(segments.map(segment => segment.text).join(' '), (index + 1) / windowCount);
+  }
+
+  return {
+    text: segments.map(segment => segment.text).join(' '),
+    language: 'ml',
+    languageDetected: false,
+    task: 'transcribe',
+    segments
+  };
+};
+
+// Speech regions as [start, end) sample ranges; the whole recording when VAD is off
+const findSpeechRegions = async (samples, sampleRate, vad, throwIfCancelled, onProgress) => {
+  if (!vad?.enabled) {
+    return [{ start: 0, end: samples.length }];
+  }
+  if (vad.modelFile) {
+    const session = await vadModel.getInstance(vad.modelFile);
+    return detectSpeechWithSilero(ort, session, samples, sampleRate, vad, throwIfCancelled, onProgress);
+  }
+  return detectSpeechByEnergy(samples, sampleRate, vad);
+};
+
+const transcribe = async ({ jobId, audio, sampleRate, options = {} }) => {
+  if (!currentModel) {
+    throw new Error('No model has been loaded');
+  }
+  const recognizer = await Recognizer.getInstance(currentModel, currentSource, reportProgress);
+  const transcribeWindow = currentModel.type === 'ctc' ? transcribeWithCtc : transcribeWithWhisper;
+  const windowLength = (currentModel.type === 'ctc' ? CTC_WINDOW_S : CHUNK_LENGTH_S) * sampleRate;
+
+  const throwIfCancelled = createCancellationCheck(jobId);
+  await throwIfCancelled();
+
+  // Silero VAD runs the model once per 32 ms frame, so it takes up the first
+  // part of the job's progress
+  const vadShare = options.vad?.enabled && options.vad.modelFile ? SILERO_PROGRESS_SHARE : 0;
+  const samples = normalize(audio);
+  const regions = samples.length > 0
+    ? await findSpeechRegions(samples, sampleRate, options.vad, throwIfCancelled, progress => self.postMessage({
+      type: 'partial',
+      jobId,
+      text: '',
+      progress: progress * vadShare
+    }))
+    : [];
+
+  // Speech regions are packed into windows that are recognized one at a
+  // time, and segment times are mapped from each window back onto the
+  // recording's timeline
+  const windows = packRegions(regions, windowLength);
+  const speechLength = windows.reduce((sum, window) => sum + window.length, 0);
+  const texts = [];
+  const segments = [];
+  let windowOptions = options;
+  let firstResult = null;
+  let done = 0;
+
+  for (const window of windows) {
+    await throwIfCancelled();
+
+    const previousText = texts.join(' ');
+    const doneBefore = done;
+    const result = await transcribeWindow(recognizer, {
+      samples: getWindowSamples(samples, window),
+      sampleRate,
+      options: windowOptions,
+      throwIfCancelled,
+      reportPartial: (text, progress) => self.postMessage({
+        type: 'partial',
+        jobId,
+        text: [previousText, text].filter(Boolean).join(' '),
+        progress: vadShare + (1 - vadShare) * (doneBefore + progress * window.length) / speechLength
+      })
+    });
+
+    // Decode later windows in the language detected in the first one
+    firstResult ??= result;
+    if (windowOptions.language == null && result.language) {
+      windowOptions = { ...windowOptions, language: result.language };
+    }
+
+    const toRecordingTime = (time, isEnd) => toRecordingSample(window, Math.round(time * sampleRate), isEnd) / sampleRate;
+    if (result.text) texts.push(result.text);
+    result.segments.forEach(segment => segments.push({
+      ...segment,
+      start: toRecordingTime(segment.start, false),
+      end: toRecordingTime(segment.end, true)
+    }));
+    done += window.length;
+  }
+
+  await throwIfCancelled();
+  return {
+    text: texts.join(' '),
+    language: firstResult?.language ?? options.language ?? null,
+    languageDetected: firstResult?.languageDetected ?? false,
+    task: firstResult?.task ?? options.task ?? 'transcribe',
+    segments
+  };
+};
+
+// Speaker clusters for a recording's segments
+const diarize = async ({ jobId, audio, sampleRate, segments, options }) => {
+  const session = await speakerModel.getInstance(options.modelFile);
+  const labels = await diarizeSegments(ort, session, audio, sampleRate, segments, options, createCancellationCheck(jobId));
+  return { labels };
+};
+
+// Download progress of a job's own model
+const reportJobProgress = (jobId) => (data) => {
+  if (data.status === 'progress') {
+    self.postMessage({ type: 'progress', jobId, file: data.file, progress: data.progress, loaded: data.loaded, total: data.total });
+  }
+};
+
+// Translate texts one at a time, reporting each as it is done
+const translate = async ({ jobId, texts, options }) => {
+  const translateText = await translator.getInstance(options.model, options.source, reportJobProgress(jobId));
+  const throwIfCancelled = createCancellationCheck(jobId);
+
+  const translations = [];
+  for (const text of texts) {
+    await throwIfCancelled();
+    const [output] = text.trim()
+      ? await translateText(text, { src_lang: options.srcLang, tgt_lang: options.tgtLang })
+      : [{ translation_text: '' }];
+    translations.push(output.translation_text.trim());
+    self.postMessage({ type: 'partial', jobId, text: output.translation_text, progress: translations.length / texts.length });
+  }
+  return { translations };
+};
+
+// transformers.js reports a missing file as one it could not locate on the
+// hub, or did not find locally when remote models are off. Locally any
+// missing file counts, as a voice that was never converted has none at all.
+const isMissingVoiceFile = (error) =>
+  /^Could not locate file: ".*\.onnx"/.test(error.message) || /file was not found locally at/.test(error.message);
+
+// Speech for a text, read with a VITS voice model
+const synthesize = async ({ jobId, text, options }) => {
+  const speak = await synthesizer.getInstance(options.voice, options.source, reportJobProgress(jobId))
+    .catch(error => {
+      throw isMissingVoiceFile(error) ? new VoiceNotConvertedError(options.voice.model_id) : error;
+    });
+  await createCancellationCheck(jobId)();
+  const output = await speak(text);
+  return { audio: output.audio, sampleRate: output.sampling_rate };
+};
+
+// Jobs share one queue so that diarization, translation and speech synthesis
+// never compete with recognition for the single ONNX thread
+const enqueue = (run) => {
+  const job = jobQueue.then(run);
+  jobQueue = job.catch(() => {});
+  return job;
+};
+
+const JOB_TYPES = ['transcribe', 'diarize', 'translate', 'synthesize'];
+
+self.addEventListener('message', async (event) => {
+  const { type, jobId = null } = event.data;
+  if (JOB_TYPES.includes(type)) {
+    pendingJobs.add(jobId);
+  }
+
+  try {
+    switch (type) {
+      case 'load':
+        latestLoadId = event.data.loadId;
+        await enqueue(() => (event.data.loadId === latestLoadId ? loadModel(event.data) : null));
+        break;
+      case 'transcribe': {
+        const result = await enqueue(() => transcribe(event.data));
+        self.postMessage({ type: 'result', jobId, result });
+        break;
+      }
+      case 'diarize': {
+        const result = await enqueue(() => diarize(event.data));
+        self.postMessage({ type: 'result', jobId, result });
+        break;
+      }
+      case 'translate': {
+        const result = await enqueue(() => translate(event.data));
+        self.postMessage({ type: 'result', jobId, result });
+        break;
+      }
+      case 'synthesize': {
+        const result = await enqueue(() => synthesize(event.data));
+        self.postMessage({ type: 'result', jobId, result }, [result.audio.buffer]);
+        break;
+      }
+      case 'cancel':
+        // A job that has already settled has nothing left to cancel
+        if (pendingJobs.has(jobId)) {
+          cancelledJobs.add(jobId);
+        }
+        break;
+      default:
+        throw new Error(`Unknown message type: ${type}`);
+    }
+  } catch (error) {
+    if (error instanceof CancelledError) {
+      self.postMessage({ type: 'cancelled', jobId });
+    } else {
+      console.error('Worker error:', error);
+      self.postMessage({ type: 'error', jobId, loadId: event.data.loadId, name: error.name, message: error.message });
+    }
+  } finally {
+    if (JOB_TYPES.includes(type)) {
+      pendingJobs.delete(jobId);
+      cancelledJobs.delete(jobId);
+    }
+  }
+});